@@ -1,6 +1,10 @@
 import { getTerrainHeight, activeChunks } from './world.js';
 import { playerPos } from './physics.js';
 import { mapRenderer } from './MapRenderer.js';
+import { drawGhostOnMap } from './ghost.js';
+import { addCoursePoint, removeCoursePointNear, drawCourseOnMap } from './courses.js';
+import { drawCloudsOnMap } from './clouds.js';
+import { HUD_SETTINGS } from './config.js';
 
 let canvas;
 let ctx;
@@ -19,6 +23,12 @@ let controlsRef = null;
 let mouseScreenX = -1;
 let mouseScreenY = -1;
 
+// A press that moves less than this is a click (course editing) rather than a pan.
+const CLICK_SLOP = 4;
+const COURSE_PICK_PIXELS = 12;
+let pressX = 0;
+let pressY = 0;
+
 export function initLargeMap(controls) {
     controlsRef = controls;
     canvas = document.getElementById('largeMap');
@@ -29,6 +39,9 @@ export function initLargeMap(controls) {
 
     canvas.addEventListener('mousedown', e => {
         if (!isVisible) return;
+        pressX = e.clientX;
+        pressY = e.clientY;
+        if (e.button !== 0) return;
         isDragging = true;
         lastMouseX = e.clientX;
         lastMouseY = e.clientY;
@@ -50,11 +63,19 @@ export function initLargeMap(controls) {
         lastMouseY = e.clientY;
     });
 
-    canvas.addEventListener('mouseup', () => {
+    canvas.addEventListener('mouseup', e => {
         isDragging = false;
-        if (isVisible) canvas.style.cursor = 'grab';
+        if (!isVisible) return;
+        canvas.style.cursor = 'grab';
+        if (Math.hypot(e.clientX - pressX, e.clientY - pressY) > CLICK_SLOP) return;
+        const worldX = viewX + (e.clientX - canvas.width / 2) / scale;
+        const worldZ = viewZ + (e.clientY - canvas.height / 2) / scale;
+        if (e.button === 0) addCoursePoint(worldX, worldZ);
+        else if (e.button === 2) removeCoursePointNear(worldX, worldZ, COURSE_PICK_PIXELS / scale);
     });
 
+    canvas.addEventListener('contextmenu', e => e.preventDefault());
+
     canvas.addEventListener('mouseleave', () => {
         mouseScreenX = -1;
         mouseScreenY = -1;
@@ -102,6 +123,9 @@ export function updateLargeMap(playerPath, cameraQuaternion) {
     // Use MapRenderer for terrain and trees
     mapRenderer.draw(ctx, viewX, viewZ, scale, canvas.width, canvas.height);
     mapRenderer.drawTrees(ctx, viewX, viewZ, scale, canvas.width, canvas.height);
+    if (HUD_SETTINGS.MAP_CLOUDS) drawCloudsOnMap(ctx, viewX, viewZ, scale, canvas.width, canvas.height);
+    drawCourseOnMap(ctx, viewX, viewZ, scale, canvas.width, canvas.height);
+    drawGhostOnMap(ctx, viewX, viewZ, scale, canvas.width, canvas.height);
 
     if (playerPath.length > 1) {
         ctx.strokeStyle = '#ffff00';
@@ -183,6 +207,12 @@ export function updateLargeMapWithCamera(playerPath, camera) {
         ctx.strokeText(coordsText, mouseScreenX, mouseScreenY + 15);
         ctx.fillText(coordsText, mouseScreenX, mouseScreenY + 15);
     }
+
+    ctx.font = '14px Arial';
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Click: add course gate (first = start, last = finish, click the start to close a loop) | Right-click: remove gate', canvas.width / 2, canvas.height - 12);
 }
 
 import * as THREE from 'three';
@@ -1,11 +1,13 @@
-import { getTerrainHeight, activeChunks } from './world.js';
+import { getTerrainHeight, getTerrainColor, getWaterLevel, activeChunks, onTerrainEdited } from './world.js';
 import { CHUNK_SIZE } from './config.js';
+import { onWorldSeedChange } from './seed.js';
 
 // Reduced resolution: 2 pixels per world unit is plenty for a map
 // (default chunk is 60 units -> 120x120 pixels)
 const TILE_RES = 2; 
 const TILE_PIXEL_SIZE = CHUNK_SIZE * TILE_RES;
 const MAX_GENERATIONS_PER_FRAME = 2; // Strict budget to prevent freezing
+const _color = [0, 0, 0];
 
 class MapRenderer {
     constructor() {
@@ -16,6 +18,28 @@ class MapRenderer {
         this.offscreenCtx = this.offscreenCanvas.getContext('2d', { alpha: false });
         
         this.generationQueue = [];
+        onWorldSeedChange(() => this.clearCache());
+        onTerrainEdited((region) => {
+            if (region) this.refreshRegion(region);
+            else this.clearCache();
+        });
+    }
+
+    clearCache() {
+        this.tileCache.clear();
+        this.generationQueue.length = 0;
+    }
+
+    // Redraws cached tiles under a sculpted area; the old tile stays visible until its replacement is ready.
+    refreshRegion({ minX, minZ, maxX, maxZ }) {
+        for (let cx = Math.floor(minX / CHUNK_SIZE); cx <= Math.floor(maxX / CHUNK_SIZE); cx++) {
+            for (let cz = Math.floor(minZ / CHUNK_SIZE); cz <= Math.floor(maxZ / CHUNK_SIZE); cz++) {
+                const key = `${cx},${cz}`;
+                if (!this.tileCache.has(key)) continue;
+                if (this.generationQueue.some(q => q.key === key && q.refresh)) continue;
+                this.generationQueue.unshift({ cx, cz, key, refresh: true });
+            }
+        }
     }
 
     getTile(cx, cz) {
@@ -51,7 +75,7 @@ class MapRenderer {
 
         while (processed < MAX_GENERATIONS_PER_FRAME && this.generationQueue.length > 0) {
             const req = this.generationQueue.shift(); // Get first
-            if (this.tileCache.has(req.key)) continue; // Already done?
+            if (this.tileCache.has(req.key) && !req.refresh) continue; // Already done?
 
             const tile = this.generateTile(req.cx, req.cz);
             this.tileCache.set(req.key, tile);
@@ -74,30 +98,15 @@ class MapRenderer {
 
                 const h = getTerrainHeight(wx, wz);
 
-                let r, g, b;
-
-                if (h < -4.0) {
-                    // Sand
-                    r = 0xd2; g = 0xb4; b = 0x8c;
-                    if (h < -5) { // Water
-                         if (h < -6) { r=30; g=63; b=90; } // Deep
-                         else { r=59; g=125; b=156; } // Shallow
-                    }
-                } else if (h < 0.0) {
-                    const t = (h - (-4.0)) / 4.0;
-                    r = 0xd2 + (0x4a - 0xd2) * t;
-                    g = 0xb4 + (0x6b - 0xb4) * t;
-                    b = 0x8c + (0x36 - 0x8c) * t;
-                } else if (h < 8.0) {
-                    const t = h / 8.0;
-                    r = 0x4a + (0x1a - 0x4a) * t;
-                    g = 0x6b + (0x33 - 0x6b) * t;
-                    b = 0x36 + (0x0a - 0x36) * t;
-                } else {
-                    const t = Math.min(1.0, (h - 8.0) / 10.0);
-                    r = 0x1a + (0x8a - 0x1a) * t;
-                    g = 0x33 + (0x8a - 0x33) * t;
-                    b = 0x0a + (0x8a - 0x0a) * t;
+                // Same biome colours as the terrain vertex colours, with water drawn over anything submerged.
+                getTerrainColor(wx, wz, h, _color);
+                let r = _color[0] * 255;
+                let g = _color[1] * 255;
+                let b = _color[2] * 255;
+                const waterLevel = getWaterLevel(wx, wz);
+                if (h < waterLevel) {
+                     if (h < waterLevel - 1) { r=30; g=63; b=90; } // Deep
+                     else { r=59; g=125; b=156; } // Shallow
                 }
 
                 const idx = (y * TILE_PIXEL_SIZE + x) * 4;
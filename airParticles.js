@@ -1,20 +1,20 @@
 import * as THREE from 'three';
 import { CHUNK_SIZE, RENDER_DISTANCE, PARTICLE_SETTINGS } from './config.js';
-import { getTerrainHeight, activeChunks } from './world.js';
+import { getTerrainHeight, getWaterLevel, activeChunks, onTerrainEdited } from './world.js';
+import { mulberry32 } from './rng.js';
+import { getWorldSeed, onWorldSeedChange } from './seed.js';
+import { weatherState } from './weather.js';
 
 const PARTICLE_COUNT = PARTICLE_SETTINGS?.COUNT ?? 500;
 const PARTICLE_RADIUS = CHUNK_SIZE * (RENDER_DISTANCE - 1.0);
 const PARTICLE_REPEL_RADIUS = 5.0;
 const PARTICLE_REPEL_STRENGTH = 32.0;
-const PARTICLE_WIND_MAX = 0.9;
-const PARTICLE_WIND_CHANGE_INTERVAL = 6.0;
 const PARTICLE_SWIRL_BASE = 1.2;
-const PARTICLE_MAX_UPDATES_PER_FRAME = Math.max(1, PARTICLE_SETTINGS?.MAX_UPDATES_PER_FRAME ?? PARTICLE_COUNT);
 const PARTICLE_MAX_HEIGHT_ABOVE_GROUND = 20.0;
 const PARTICLE_MIN_CLEARANCE = 0.5;
 const PARTICLE_GROUND_SOFT_CLEAR = 1.0;
 const PARTICLE_GROUND_PUSH = 8.0;
-const PARTICLE_WATER_MIN_Y = -4.5;
+const PARTICLE_WATER_CLEARANCE = 0.5;
 const PARTICLE_SOFT_CEILING = 0.8;
 const PARTICLE_CEILING_PUSH = 6.0;
 const PARTICLE_CLUSTER_COUNT = 12;
@@ -25,7 +25,6 @@ const PARTICLE_CLUSTER_DRIFT_CHANGE_INTERVAL = 4.0;
 const PARTICLE_FRONT_CONE_COS = 0.766;
 const PARTICLE_FRONT_AVOID_DISTANCE = 12.0;
 const BOID_NEIGHBOR_RADIUS = 3.5;
-const BOID_SAMPLE_COUNT = Math.max(1, PARTICLE_SETTINGS?.NEIGHBOR_SAMPLES ?? 12);
 const BOID_ALIGN_WEIGHT = 3.0;
 const BOID_COHESION_WEIGHT = 2.0;
 const BOID_SEPARATION_WEIGHT = 6.0;
@@ -33,8 +32,18 @@ const BOID_MAX_SPEED = 12.0;
 const TERRAIN_CACHE_GRID = PARTICLE_SETTINGS?.HEIGHT_CACHE_GRID ?? 1.25;
 const TERRAIN_CACHE_MAX = PARTICLE_SETTINGS?.HEIGHT_CACHE_MAX ?? 2048;
 const PARTICLE_MAX_STEP = 0.1;
-
-export function createAirParticles({ scene, camera, globalShaderUniforms, targetAnisotropy, getWaterLevel }) {
+const RNG_SALT_PARTICLES = 0x27d4eb2f;
+const SPLASH_DROPLETS = 240;
+const SPLASH_GRAVITY = 25.0;
+const SPLASH_LIFETIME = 1.5;
+
+export function createAirParticles({ scene, camera, globalShaderUniforms, targetAnisotropy }) {
+    const splashGeometry = new THREE.BufferGeometry();
+    const splashPositions = new Float32Array(SPLASH_DROPLETS * 3);
+    const splashVelocities = new Float32Array(SPLASH_DROPLETS * 3);
+    const splashLife = new Float32Array(SPLASH_DROPLETS);
+    const splashFloor = new Float32Array(SPLASH_DROPLETS);
+    let splashCount = 0;
     const particleGeometry = new THREE.BufferGeometry();
     const particlePositions = new Float32Array(PARTICLE_COUNT * 3);
     const particleVelocities = new Float32Array(PARTICLE_COUNT * 3);
@@ -48,9 +57,7 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
     const particleClusterDriftTimer = [];
     const particleClusterSwirl = [];
     const particleClusterIds = new Uint16Array(PARTICLE_COUNT);
-    const _globalWind = new THREE.Vector3(0.25, 0.02, 0.25);
-    const _windTarget = new THREE.Vector3(0.25, 0.02, 0.25);
-    let windTimer = PARTICLE_WIND_CHANGE_INTERVAL;
+    let random = mulberry32((getWorldSeed() ^ RNG_SALT_PARTICLES) >>> 0);
 
     const _tmpVec = new THREE.Vector3();
     const _tmpVel = new THREE.Vector3();
@@ -83,7 +90,7 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         const groundY = sampleTerrainHeight(pos.x, pos.z);
         const minY = groundY + PARTICLE_MIN_CLEARANCE;
         const maxY = groundY + PARTICLE_MAX_HEIGHT_ABOVE_GROUND;
-        const waterMin = Math.max(minY, PARTICLE_WATER_MIN_Y);
+        const waterMin = Math.max(minY, getWaterLevel(pos.x, pos.z) + PARTICLE_WATER_CLEARANCE);
         if (pos.y < waterMin) pos.y = waterMin;
         if (pos.y > maxY) pos.y = maxY;
     }
@@ -102,7 +109,7 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         for (let i = 0; i < PARTICLE_CLUSTER_COUNT; i++) {
             particleClusterDriftTimer[i] -= dt;
             if (particleClusterDriftTimer[i] <= 0) {
-                particleClusterDrift[i].copy(randomInSphere(PARTICLE_CLUSTER_DRIFT_SPEED));
+                particleClusterDrift[i].copy(randomInSphere(PARTICLE_CLUSTER_DRIFT_SPEED, Math.random));
                 particleClusterDriftTimer[i] = PARTICLE_CLUSTER_DRIFT_CHANGE_INTERVAL;
             }
             particleClusterOffsets[i].addScaledVector(particleClusterDrift[i], dt);
@@ -155,12 +162,14 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         }
     }
 
-    function randomInSphere(radius) {
-        const u = Math.random();
-        const v = Math.random();
+    // `rand` defaults to the seeded stream used for the initial spawn; per-frame noise passes Math.random
+    // so the layout a seed produces doesn't depend on how many frames have run.
+    function randomInSphere(radius, rand = random) {
+        const u = rand();
+        const v = rand();
         const theta = u * 2.0 * Math.PI;
         const phi = Math.acos(2.0 * v - 1.0);
-        const r = radius * Math.cbrt(Math.random());
+        const r = radius * Math.cbrt(rand());
         const sinPhi = Math.sin(phi);
         return new THREE.Vector3(
             r * sinPhi * Math.cos(theta),
@@ -169,16 +178,6 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         );
     }
 
-    function updateWind(dt) {
-        windTimer -= dt;
-        if (windTimer <= 0) {
-            _windTarget.copy(randomInSphere(PARTICLE_WIND_MAX));
-            _windTarget.y *= 0.2;
-            windTimer = PARTICLE_WIND_CHANGE_INTERVAL;
-        }
-        _globalWind.lerp(_windTarget, Math.min(1, dt * 0.5));
-    }
-
     function isInFrontCone(pos) {
         _tmpOffset.subVectors(pos, camera.position);
         const dist = _tmpOffset.length();
@@ -187,10 +186,10 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         return dist < PARTICLE_FRONT_AVOID_DISTANCE && _tmpOffset.dot(_camDir) > PARTICLE_FRONT_CONE_COS;
     }
 
-    function findSpawnNear(clusterCenter) {
+    function findSpawnNear(clusterCenter, rand = random) {
         let candidate = null;
         for (let tries = 0; tries < 6; tries++) {
-            const c = randomInSphere(PARTICLE_CLUSTER_SPREAD).add(clusterCenter);
+            const c = randomInSphere(PARTICLE_CLUSTER_SPREAD, rand).add(clusterCenter);
             if (!isInFrontCone(c)) {
                 candidate = c;
                 break;
@@ -205,7 +204,8 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         return out.copy(camera.position).add(offset);
     }
 
-    function initAirParticles() {
+    function spawnAirParticles() {
+        _heightCache.clear();
         camera.getWorldDirection(_camDir);
         particleClusterOffsets.length = 0;
         particleClusterDrift.length = 0;
@@ -215,9 +215,9 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
             const offset = randomInSphere(PARTICLE_RADIUS * 0.6);
             particleClusterOffsets.push(offset);
             particleClusterDrift.push(randomInSphere(PARTICLE_CLUSTER_DRIFT_SPEED));
-            particleClusterDriftTimer.push(Math.random() * PARTICLE_CLUSTER_DRIFT_CHANGE_INTERVAL);
-            const swirlDir = Math.random() < 0.5 ? -1 : 1;
-            const swirlSpeed = PARTICLE_SWIRL_BASE * (0.6 + Math.random() * 0.9);
+            particleClusterDriftTimer.push(random() * PARTICLE_CLUSTER_DRIFT_CHANGE_INTERVAL);
+            const swirlDir = random() < 0.5 ? -1 : 1;
+            const swirlSpeed = PARTICLE_SWIRL_BASE * (0.6 + random() * 0.9);
             particleClusterSwirl.push(swirlDir * swirlSpeed);
         }
 
@@ -231,11 +231,109 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
             particlePositions[base] = p.x;
             particlePositions[base + 1] = p.y;
             particlePositions[base + 2] = p.z;
-            particleVelocities[base] = (Math.random() - 0.5) * 4.0;
-            particleVelocities[base + 1] = (Math.random() - 0.5) * 4.0;
-            particleVelocities[base + 2] = (Math.random() - 0.5) * 4.0;
+            particleVelocities[base] = (random() - 0.5) * 4.0;
+            particleVelocities[base + 1] = (random() - 0.5) * 4.0;
+            particleVelocities[base + 2] = (random() - 0.5) * 4.0;
         }
 
+        if (particleGeometry.attributes.position) particleGeometry.attributes.position.needsUpdate = true;
+    }
+
+    // World curvature and PSX vertex snap for a points material; vWorldPos carries the bent position.
+    function bendPoints(shader) {
+        shader.uniforms.uCurvature = globalShaderUniforms.uCurvature;
+        shader.uniforms.uBendCenter = globalShaderUniforms.uBendCenter;
+        shader.uniforms.uPsxTexel = globalShaderUniforms.uPsxTexel;
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <common>',
+            `
+            uniform float uCurvature;
+            uniform vec3 uBendCenter;
+            uniform vec2 uPsxTexel;
+            varying vec3 vWorldPos;
+            #include <common>
+            `
+        );
+
+        shader.vertexShader = shader.vertexShader.replace(
+            '#include <project_vertex>',
+            `
+            vec4 bentWorldPosition = modelMatrix * vec4( position, 1.0 );
+            float dist = distance(bentWorldPosition.xz, uBendCenter.xz);
+            float bendFactor = dist * dist * uCurvature;
+            bentWorldPosition.y -= bendFactor;
+
+            vWorldPos = bentWorldPosition.xyz;
+
+            vec4 mvPosition = viewMatrix * bentWorldPosition;
+            gl_Position = projectionMatrix * mvPosition;
+            vec2 snap = uPsxTexel * gl_Position.w;
+            gl_Position.xy = floor(gl_Position.xy / snap) * snap;
+            `
+        );
+    }
+
+    function initSplashes() {
+        splashGeometry.setAttribute('position', new THREE.BufferAttribute(splashPositions, 3));
+        splashGeometry.setDrawRange(0, 0);
+        const material = new THREE.PointsMaterial({
+            color: 0xdff2ff,
+            size: 0.18,
+            sizeAttenuation: true,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false
+        });
+        material.onBeforeCompile = bendPoints;
+        const points = new THREE.Points(splashGeometry, material);
+        points.frustumCulled = false;
+        points.renderOrder = 2;
+        scene.add(points);
+    }
+
+    // A ring of droplets thrown up from the surface at (x, y, z); strength 0-1 scales count and height.
+    // Cosmetic only, so it stays off the seeded stream that places the dust.
+    function splash(x, y, z, strength) {
+        const count = Math.round(20 + 60 * strength);
+        for (let n = 0; n < count && splashCount < SPLASH_DROPLETS; n++) {
+            const i = splashCount++;
+            const angle = Math.random() * Math.PI * 2;
+            const spread = 0.3 + Math.random() * 0.4;
+            const out = (1 + Math.random() * 2) * (0.5 + strength);
+            splashPositions[i * 3] = x + Math.cos(angle) * spread;
+            splashPositions[i * 3 + 1] = y;
+            splashPositions[i * 3 + 2] = z + Math.sin(angle) * spread;
+            splashVelocities[i * 3] = Math.cos(angle) * out;
+            splashVelocities[i * 3 + 1] = (3 + Math.random() * 4) * (0.4 + strength);
+            splashVelocities[i * 3 + 2] = Math.sin(angle) * out;
+            splashLife[i] = SPLASH_LIFETIME;
+            splashFloor[i] = y;
+        }
+    }
+
+    function updateSplashes(dt) {
+        for (let i = 0; i < splashCount; i++) {
+            const base = i * 3;
+            splashVelocities[base + 1] -= SPLASH_GRAVITY * dt;
+            splashPositions[base] += splashVelocities[base] * dt;
+            splashPositions[base + 1] += splashVelocities[base + 1] * dt;
+            splashPositions[base + 2] += splashVelocities[base + 2] * dt;
+            splashLife[i] -= dt;
+            if (splashLife[i] > 0 && splashPositions[base + 1] >= splashFloor[i]) continue;
+            // Back in the water: move the last live droplet into this slot.
+            const last = --splashCount;
+            splashPositions.copyWithin(base, last * 3, last * 3 + 3);
+            splashVelocities.copyWithin(base, last * 3, last * 3 + 3);
+            splashLife[i] = splashLife[last];
+            splashFloor[i] = splashFloor[last];
+            i--;
+        }
+        splashGeometry.setDrawRange(0, splashCount);
+        splashGeometry.attributes.position.needsUpdate = true;
+    }
+
+    function initAirParticles() {
+        spawnAirParticles();
         particleGeometry.setAttribute('position', new THREE.BufferAttribute(particlePositions, 3));
         particleTexture = new THREE.TextureLoader().load('textures/slime.png', (tex) => {
             if (tex && tex.image && tex.image.width && tex.image.height) {
@@ -253,7 +351,7 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         particleMaterialUniforms = {
             uCurvature: globalShaderUniforms.uCurvature,
             uBendCenter: globalShaderUniforms.uBendCenter,
-            uWaterLevel: { value: typeof getWaterLevel === 'function' ? getWaterLevel() : -5.0 },
+            uWaterLevel: { value: getWaterLevel(camera.position.x, camera.position.z) },
             uWaterColor: { value: new THREE.Color(0x3b7d9c) }
         };
 
@@ -271,35 +369,8 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
         particleMaterial.onBeforeCompile = (shader) => {
             Object.assign(shader.uniforms, particleMaterialUniforms);
             shader.uniforms.uAspect = { value: particleAspect };
-            shader.uniforms.uPsxTexel = globalShaderUniforms.uPsxTexel;
-
-            shader.vertexShader = shader.vertexShader.replace(
-                '#include <common>',
-                `
-                uniform float uCurvature;
-                uniform vec3 uBendCenter;
-                uniform vec2 uPsxTexel;
-                varying vec3 vWorldPos;
-                #include <common>
-                `
-            );
 
-            shader.vertexShader = shader.vertexShader.replace(
-                '#include <project_vertex>',
-                `
-                vec4 bentWorldPosition = modelMatrix * vec4( position, 1.0 );
-                float dist = distance(bentWorldPosition.xz, uBendCenter.xz);
-                float bendFactor = dist * dist * uCurvature;
-                bentWorldPosition.y -= bendFactor;
-
-                vWorldPos = bentWorldPosition.xyz;
-
-                vec4 mvPosition = viewMatrix * bentWorldPosition;
-                gl_Position = projectionMatrix * mvPosition;
-                vec2 snap = uPsxTexel * gl_Position.w;
-                gl_Position.xy = floor(gl_Position.xy / snap) * snap;
-                `
-            );
+            bendPoints(shader);
 
             shader.fragmentShader = shader.fragmentShader.replace(
                 '#include <common>',
@@ -342,21 +413,23 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
 
     function updateAirParticles(dt) {
         if (!particlePoints) return;
-        if (particleMaterialUniforms && typeof getWaterLevel === 'function') {
-            particleMaterialUniforms.uWaterLevel.value = getWaterLevel();
+        updateSplashes(dt);
+        if (particleMaterialUniforms) {
+            // The tint uses one level for all particles; the water around the camera is the one that shows.
+            particleMaterialUniforms.uWaterLevel.value = getWaterLevel(camera.position.x, camera.position.z);
         }
         camera.getWorldDirection(_camDir);
-        updateWind(dt);
         updateClusterOffsets(dt);
         const positions = particleGeometry.attributes.position.array;
         const velocities = particleVelocities;
         let needsUpdate = false;
 
-        const updatesThisFrame = Math.min(PARTICLE_MAX_UPDATES_PER_FRAME, PARTICLE_COUNT);
+        // Update budget and neighbour samples are read live so they can be tuned from the console.
+        const updatesThisFrame = Math.min(Math.max(1, PARTICLE_SETTINGS?.MAX_UPDATES_PER_FRAME ?? PARTICLE_COUNT), PARTICLE_COUNT);
         const stride = Math.max(1, Math.ceil(PARTICLE_COUNT / updatesThisFrame));
         particleUpdateOffset = (particleUpdateOffset + 1) % stride;
         const stepDt = Math.min(dt * stride, PARTICLE_MAX_STEP);
-        const neighborSamples = Math.min(BOID_SAMPLE_COUNT, PARTICLE_COUNT - 1);
+        const neighborSamples = Math.min(Math.max(1, PARTICLE_SETTINGS?.NEIGHBOR_SAMPLES ?? 12), PARTICLE_COUNT - 1);
 
         for (let i = particleUpdateOffset; i < PARTICLE_COUNT; i += stride) {
             const base = i * 3;
@@ -429,7 +502,7 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
                 _tmpVel.z += (Math.random() - 0.5) * 8.0 * stepDt;
             }
 
-            _tmpVel.addScaledVector(_globalWind, stepDt * 0.65);
+            _tmpVel.addScaledVector(weatherState.wind, stepDt * 0.65);
 
             const speed = _tmpVel.length();
             if (speed > BOID_MAX_SPEED) {
@@ -444,7 +517,7 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
             const distToPlayer = _tmpOffset.length();
             const behindCam = _tmpOffset.normalize().dot(_camDir) < -0.2;
             if (distToPlayer > PARTICLE_RADIUS || (behindCam && distToPlayer > PARTICLE_RADIUS * 0.8)) {
-                const newPos = findSpawnNear(clusterCenter);
+                const newPos = findSpawnNear(clusterCenter, Math.random);
                 clampParticleHeight(newPos);
                 _tmpVec.copy(newPos);
                 _tmpVel.set((Math.random() - 0.5) * 4.0, (Math.random() - 0.5) * 4.0, (Math.random() - 0.5) * 4.0);
@@ -463,8 +536,15 @@ export function createAirParticles({ scene, camera, globalShaderUniforms, target
     }
 
     initAirParticles();
+    initSplashes();
+    onWorldSeedChange((seed) => {
+        random = mulberry32((seed ^ RNG_SALT_PARTICLES) >>> 0);
+        spawnAirParticles();
+    });
+    onTerrainEdited(() => _heightCache.clear());
 
     return {
-        updateAirParticles
+        updateAirParticles,
+        splash
     };
 }
@@ -0,0 +1,153 @@
+// Biome table shared by terrain.js (3D world and chunk workers) and MapRenderer.
+// Like terrain.js this must stay free of 'three' so it can load inside a worker.
+
+// Climate coordinates are in [-1, 1]. Height terms feed rawTerrainHeight:
+// ridge * (1 - |n|)^1.5 + detail * n2 + offset. Colour ramps are sRGB stops by height.
+export const BIOMES = [
+    {
+        id: 'desert',
+        name: 'Desert',
+        temperature: 0.75,
+        moisture: -0.7,
+        height: { ridge: 6.0, detail: 2.5, offset: -5.0 },
+        ramp: [[-4, 0xc9a66b], [2, 0xe0c48a], [10, 0xd9a760], [20, 0xa86a3c]],
+        treeThreshold: 0.55,
+        trees: ['cactus'],
+        grass: 'dry',
+        grassDensity: 0.15
+    },
+    {
+        id: 'grassland',
+        name: 'Grassland',
+        temperature: 0.3,
+        moisture: -0.1,
+        height: { ridge: 10.0, detail: 3.0, offset: -7.0 },
+        ramp: [[-4, 0xd2b48c], [0, 0x6b8f3a], [10, 0x4f7a2a], [22, 0x8a8a7a]],
+        treeThreshold: 0.45,
+        trees: ['broadleaf'],
+        grass: 'lush',
+        grassDensity: 1.0
+    },
+    {
+        id: 'swamp',
+        name: 'Swamp',
+        temperature: 0.45,
+        moisture: 0.8,
+        height: { ridge: 3.0, detail: 2.0, offset: -5.5 },
+        ramp: [[-6, 0x5a5a3a], [-3, 0x4a5530], [2, 0x3b4a22], [10, 0x2e3a1a]],
+        treeThreshold: 0.1,
+        trees: ['swamp'],
+        grass: 'swamp',
+        grassDensity: 0.8
+    },
+    {
+        id: 'pineForest',
+        name: 'Pine Forest',
+        temperature: -0.1,
+        moisture: 0.35,
+        height: { ridge: 15.0, detail: 4.0, offset: -10.0 },
+        ramp: [[-4, 0xd2b48c], [0, 0x4a6b36], [8, 0x1a330a], [18, 0x8a8a8a]],
+        treeThreshold: 0.2,
+        trees: ['pine'],
+        grass: 'lush',
+        grassDensity: 1.0
+    },
+    {
+        id: 'tundra',
+        name: 'Tundra',
+        temperature: -0.75,
+        moisture: -0.3,
+        height: { ridge: 8.0, detail: 3.0, offset: -6.0 },
+        ramp: [[-4, 0x9a9480], [0, 0x8c9478], [6, 0xb8c0b8], [14, 0xf0f4f8]],
+        treeThreshold: 0.6,
+        trees: ['snowPine'],
+        grass: 'frost',
+        grassDensity: 0.4
+    },
+    {
+        id: 'alpine',
+        name: 'Alpine',
+        temperature: -0.55,
+        moisture: 0.6,
+        height: { ridge: 34.0, detail: 5.0, offset: -8.0 },
+        ramp: [[-4, 0x8a8a8a], [4, 0x5f6b4a], [14, 0x7a7a7a], [24, 0xf4f6fa]],
+        treeThreshold: 0.35,
+        trees: ['snowPine', 'pine'],
+        grass: 'frost',
+        grassDensity: 0.3
+    }
+];
+
+// Tree species decide instanced materials in world.js; `leaves: false` species have no canopy collider.
+// `color` tints the distant impostor trees in the LOD rings.
+export const TREE_SPECIES = {
+    pine: { leaves: true, color: 0x1a330a },
+    snowPine: { leaves: true, color: 0xc8d4d0 },
+    broadleaf: { leaves: true, color: 0x3f6b1f },
+    swamp: { leaves: true, color: 0x3a4220 },
+    cactus: { leaves: false, heightScale: 1.4, color: 0x4f7a3a }
+};
+
+export const GRASS_VARIANTS = ['lush', 'dry', 'swamp', 'frost'];
+
+const CLIMATE_SPREAD = 0.12;
+
+export function computeBiomeWeights(temperature, moisture, out) {
+    let total = 0;
+    for (let i = 0; i < BIOMES.length; i++) {
+        const b = BIOMES[i];
+        const dt = temperature - b.temperature;
+        const dm = moisture - b.moisture;
+        const w = Math.exp(-(dt * dt + dm * dm) / CLIMATE_SPREAD);
+        out[i] = w;
+        total += w;
+    }
+    for (let i = 0; i < BIOMES.length; i++) out[i] /= total;
+    return out;
+}
+
+export function dominantBiomeIndex(weights) {
+    let best = 0;
+    for (let i = 1; i < weights.length; i++) {
+        if (weights[i] > weights[best]) best = i;
+    }
+    return best;
+}
+
+// Picks an index proportionally to the weights so species mix across biome borders.
+export function pickWeighted(weights, r) {
+    let acc = 0;
+    for (let i = 0; i < weights.length; i++) {
+        acc += weights[i];
+        if (r < acc) return i;
+    }
+    return weights.length - 1;
+}
+
+function hexChannel(hex, shift) {
+    return ((hex >> shift) & 255) / 255;
+}
+
+// Adds weight * ramp(h) (sRGB, 0..1) into out.
+export function accumulateRampColor(ramp, h, weight, out) {
+    let lo = ramp[0];
+    let hi = ramp[ramp.length - 1];
+    let t = 0;
+    if (h <= lo[0]) {
+        hi = lo;
+    } else if (h >= hi[0]) {
+        lo = hi;
+    } else {
+        for (let i = 0; i < ramp.length - 1; i++) {
+            if (h < ramp[i + 1][0]) {
+                lo = ramp[i];
+                hi = ramp[i + 1];
+                t = (h - lo[0]) / (hi[0] - lo[0]);
+                break;
+            }
+        }
+    }
+    out[0] += weight * (hexChannel(lo[1], 16) + (hexChannel(hi[1], 16) - hexChannel(lo[1], 16)) * t);
+    out[1] += weight * (hexChannel(lo[1], 8) + (hexChannel(hi[1], 8) - hexChannel(lo[1], 8)) * t);
+    out[2] += weight * (hexChannel(lo[1], 0) + (hexChannel(hi[1], 0) - hexChannel(lo[1], 0)) * t);
+}
@@ -0,0 +1,40 @@
+import { createTerrainGenerator, getChunkDataTransferables } from './terrain.js';
+import { createHeightEdits } from './terrainEdits.js';
+
+// The page's import map is not visible here, so the main thread sends the resolved noise module URL.
+let ready = null;
+let createNoise2D = null;
+let terrain = null;
+// Mirror of the main thread's sculpted deltas; messages arrive in order, so builds see every earlier edit.
+const edits = createHeightEdits();
+
+self.addEventListener('message', async (e) => {
+    const msg = e.data;
+    if (msg.type === 'init') {
+        ready = import(msg.noiseUrl).then((mod) => {
+            createNoise2D = mod.createNoise2D;
+        });
+        return;
+    }
+
+    if (msg.type === 'edits') {
+        if (msg.reset) edits.clear();
+        for (const [key, grid] of msg.chunks) edits.setChunk(key, grid);
+        return;
+    }
+
+    if (msg.type === 'build') {
+        try {
+            await ready;
+            if (!terrain || terrain.seed !== msg.seed) {
+                terrain = createTerrainGenerator(createNoise2D, msg.seed, edits);
+            }
+            const data = msg.lod
+                ? terrain.generateLodTileData(msg.cx, msg.cz, msg.lod)
+                : terrain.generateChunkData(msg.cx, msg.cz);
+            self.postMessage({ type: 'built', id: msg.id, seed: msg.seed, data }, getChunkDataTransferables(data));
+        } catch (err) {
+            self.postMessage({ type: 'error', id: msg.id, seed: msg.seed, message: String(err && err.message || err) });
+        }
+    }
+});
@@ -0,0 +1,95 @@
+const MAX_WORKERS = 4;
+const MAX_JOBS_PER_WORKER = 2;
+
+export function createChunkWorkerPool({ onResult, onFailure }) {
+    const workers = [];
+    let failed = false;
+    let nextJobId = 1;
+
+    let noiseUrl = null;
+    try {
+        noiseUrl = import.meta.resolve ? import.meta.resolve('simplex-noise') : null;
+    } catch (err) {
+        noiseUrl = null;
+    }
+    if (typeof Worker === 'undefined' || !noiseUrl) return null;
+
+    const workerCount = Math.max(1, Math.min(MAX_WORKERS, (navigator.hardwareConcurrency || 2) - 1));
+
+    function fail(message) {
+        if (failed) return;
+        failed = true;
+        const orphaned = [];
+        for (const slot of workers) {
+            for (const job of slot.jobs.values()) orphaned.push(job);
+            slot.jobs.clear();
+            slot.worker.terminate();
+        }
+        if (onFailure) onFailure(orphaned, message);
+    }
+
+    try {
+        for (let i = 0; i < workerCount; i++) {
+            const worker = new Worker(new URL('./chunkWorker.js', import.meta.url), { type: 'module' });
+            const slot = { worker, jobs: new Map() };
+            worker.addEventListener('message', (e) => {
+                const msg = e.data;
+                if (msg.type === 'error') {
+                    // The failed job is still in slot.jobs, so fail() hands it back with the rest.
+                    fail(msg.message);
+                    return;
+                }
+                const job = slot.jobs.get(msg.id);
+                slot.jobs.delete(msg.id);
+                if (job) onResult(job, msg.seed, msg.data);
+            });
+            worker.addEventListener('error', (e) => {
+                e.preventDefault();
+                fail(e.message || 'worker error');
+            });
+            worker.postMessage({ type: 'init', noiseUrl });
+            workers.push(slot);
+        }
+    } catch (err) {
+        for (const slot of workers) slot.worker.terminate();
+        return null;
+    }
+
+    function hasCapacity() {
+        if (failed) return false;
+        for (const slot of workers) {
+            if (slot.jobs.size < MAX_JOBS_PER_WORKER) return true;
+        }
+        return false;
+    }
+
+    function submit(job, seed) {
+        let best = null;
+        for (const slot of workers) {
+            if (slot.jobs.size >= MAX_JOBS_PER_WORKER) continue;
+            if (!best || slot.jobs.size < best.jobs.size) best = slot;
+        }
+        if (!best || failed) return false;
+        const id = nextJobId++;
+        best.jobs.set(id, job);
+        best.worker.postMessage({ type: 'build', id, cx: job.cx, cz: job.cz, lod: job.lod, seed });
+        return true;
+    }
+
+    // Sent to every worker, ahead of any build posted afterwards.
+    function broadcast(message) {
+        if (failed) return;
+        for (const slot of workers) slot.worker.postMessage(message);
+    }
+
+    function isActive() {
+        return !failed;
+    }
+
+    return {
+        hasCapacity,
+        submit,
+        broadcast,
+        isActive
+    };
+}
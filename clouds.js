@@ -1,18 +1,48 @@
+// Clouds are generated per sky cell from the world seed, so the same sky hangs over the same ground
+// however far the player goes. The whole field drifts with the wind; cells are laid out in "sky space"
+// (world position minus that drift) and only the ones near the player are drawn.
 import * as THREE from 'three';
 import { CHUNK_SIZE, RENDER_DISTANCE } from './config.js';
+import { mulberry32 } from './rng.js';
+import { getWorldSeed, onWorldSeedChange } from './seed.js';
+import { applyPsxFragment } from './psx.js';
+import { skyState } from './sky.js';
+import { weatherState } from './weather.js';
 
-const CLOUD_COUNT = 14;
+const CLOUD_CELL = 80;
+const CLOUD_GROUPS_PER_CELL = 2;
+const CLOUD_MAX_BLOBS = 4;
 const CLOUD_RANGE = CHUNK_SIZE * RENDER_DISTANCE * 1.0;
+// Clouds shrink away over this distance before CLOUD_RANGE instead of popping.
+const CLOUD_EDGE_FADE = 40;
+// Share of the rank range a group takes to grow in as weatherState.cloudCover rises past it.
+const CLOUD_COVER_FADE = 0.08;
 const CLOUD_HEIGHT_MIN = 45;
 const CLOUD_HEIGHT_MAX = 70;
+// Drift in units per second: a steady breeze along +x, plus the weather's wind.
+const CLOUD_BASE_DRIFT = 1.0;
+const CLOUD_WIND_DRIFT = 4.0;
+const CLOUD_CELL_CACHE_MAX = 4096;
+const RNG_SALT_CLOUDS = 0x5bd1e995;
+
+// Blob shadows: a small texture around the player, sampled by the world materials (resources.js).
+const SHADOW_MAP_SIZE = 128;
+const SHADOW_AREA = CLOUD_RANGE * 2 + 2 * CLOUD_CELL;
+const SHADOW_STRENGTH = 0.4;
+// Keeps shadows near the clouds that cast them when the sun is low.
+const SHADOW_MIN_SUN_HEIGHT = 0.35;
 
 let cloudMesh;
-const cloudInstances = [];
+let worldSeed = 0;
+const cells = new Map();
+// Sky space = world - drift.
+const drift = new THREE.Vector2();
+
+let shadowData;
+let shadowTexture;
+let shadowUniforms;
 
 const dummy = new THREE.Object3D();
-const _pos = new THREE.Vector3();
-const _quat = new THREE.Quaternion();
-const _scale = new THREE.Vector3();
 
 export function initClouds(scene, globalShaderUniforms) {
     const geometry = new THREE.BoxGeometry(1, 1, 1);
@@ -71,86 +101,168 @@ export function initClouds(scene, globalShaderUniforms) {
             vec4 worldPosition = bentWorldPosition;
             `
         );
+
+        applyPsxFragment(shader, globalShaderUniforms);
     };
 
-    const maxInstances = CLOUD_COUNT * 5;
+    const cellsAcross = Math.ceil(CLOUD_RANGE * 2 / CLOUD_CELL) + 1;
+    const maxInstances = cellsAcross * cellsAcross * CLOUD_GROUPS_PER_CELL * CLOUD_MAX_BLOBS;
     cloudMesh = new THREE.InstancedMesh(geometry, material, maxInstances);
     cloudMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
     cloudMesh.castShadow = false;
     cloudMesh.receiveShadow = false;
     cloudMesh.frustumCulled = false;
+    cloudMesh.count = 0;
     scene.add(cloudMesh);
 
-    let idx = 0;
+    shadowData = new Uint8Array(SHADOW_MAP_SIZE * SHADOW_MAP_SIZE);
+    shadowTexture = new THREE.DataTexture(shadowData, SHADOW_MAP_SIZE, SHADOW_MAP_SIZE, THREE.RedFormat);
+    shadowTexture.magFilter = THREE.LinearFilter;
+    shadowTexture.minFilter = THREE.LinearFilter;
+    shadowTexture.needsUpdate = true;
+    shadowUniforms = globalShaderUniforms;
+    shadowUniforms.uCloudShadowMap.value = shadowTexture;
 
-    for (let i = 0; i < CLOUD_COUNT; i++) {
-        const cx = (Math.random() - 0.5) * CLOUD_RANGE * 2;
-        const cz = (Math.random() - 0.5) * CLOUD_RANGE * 2;
-        const cy = CLOUD_HEIGHT_MIN + Math.random() * (CLOUD_HEIGHT_MAX - CLOUD_HEIGHT_MIN);
-        
-        const driftSpeed = 0.5 + Math.random() * 1.2;
+    worldSeed = getWorldSeed();
+    onWorldSeedChange((seed) => {
+        worldSeed = seed;
+        cells.clear();
+    });
+}
 
-        const blobs = 2 + Math.floor(Math.random() * 3);
-        const baseScale = 5 + Math.random() * 4;
+// Cloud groups of one sky cell, in sky space. `rank` decides how much cover the group needs to show.
+function getCell(ix, iz) {
+    const key = `${ix},${iz}`;
+    let cell = cells.get(key);
+    if (cell) return cell;
+    if (cells.size >= CLOUD_CELL_CACHE_MAX) cells.clear();
 
-        for (let j = 0; j < blobs; j++) {
-            const ox = (Math.random() - 0.5) * baseScale;
-            const oy = (Math.random() - 0.5) * baseScale * 0.6;
-            const oz = (Math.random() - 0.5) * baseScale;
+    const rand = mulberry32((Math.imul(ix, 374761393) ^ Math.imul(iz, 668265263) ^ Math.imul(worldSeed ^ RNG_SALT_CLOUDS, 0x9E3779B1)) >>> 0);
+    cell = [];
+    for (let i = 0; i < CLOUD_GROUPS_PER_CELL; i++) {
+        const group = {
+            x: (ix + rand()) * CLOUD_CELL,
+            z: (iz + rand()) * CLOUD_CELL,
+            y: CLOUD_HEIGHT_MIN + rand() * (CLOUD_HEIGHT_MAX - CLOUD_HEIGHT_MIN),
+            rank: rand(),
+            radius: 0,
+            blobs: []
+        };
+        const blobCount = 2 + Math.floor(rand() * (CLOUD_MAX_BLOBS - 1));
+        const baseScale = 5 + rand() * 4;
+        for (let j = 0; j < blobCount; j++) {
+            const blob = {
+                x: (rand() - 0.5) * baseScale,
+                y: (rand() - 0.5) * baseScale * 0.6,
+                z: (rand() - 0.5) * baseScale,
+                s: baseScale * (0.6 + rand() * 0.4),
+                rot: new THREE.Euler(rand() * Math.PI, rand() * Math.PI, rand() * Math.PI)
+            };
+            group.radius = Math.max(group.radius, Math.hypot(blob.x, blob.z) + blob.s * 0.6);
+            group.blobs.push(blob);
+        }
+        cell.push(group);
+    }
+    cells.set(key, cell);
+    return cell;
+}
 
-            const s = baseScale * (0.6 + Math.random() * 0.4);
-            
-            dummy.position.set(cx + ox, cy + oy, cz + oz);
-            dummy.scale.set(s, s, s);
-            dummy.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
-            dummy.updateMatrix();
+// Calls fn(group, worldX, worldZ) for each cloud group whose cell overlaps the world-space rectangle.
+function forEachGroup(minX, minZ, maxX, maxZ, fn) {
+    const ix0 = Math.floor((minX - drift.x) / CLOUD_CELL);
+    const ix1 = Math.floor((maxX - drift.x) / CLOUD_CELL);
+    const iz0 = Math.floor((minZ - drift.y) / CLOUD_CELL);
+    const iz1 = Math.floor((maxZ - drift.y) / CLOUD_CELL);
+    for (let ix = ix0; ix <= ix1; ix++) {
+        for (let iz = iz0; iz <= iz1; iz++) {
+            for (const group of getCell(ix, iz)) fn(group, group.x + drift.x, group.z + drift.y);
+        }
+    }
+}
+
+function getCoverScale(group) {
+    return THREE.MathUtils.clamp((weatherState.cloudCover - group.rank) / CLOUD_COVER_FADE, 0, 1);
+}
 
-            cloudMesh.setMatrixAt(idx, dummy.matrix);
-
-            cloudInstances.push({
-                idx: idx,
-                relX: ox, relY: oy, relZ: oz,
-                cX: cx, cY: cy, cZ: cz,
-                s: s,
-                rot: dummy.rotation.clone(),
-                speed: driftSpeed
-            });
-            
-            idx++;
+function stampShadow(worldX, worldZ, radius, amount, originX, originZ) {
+    const texel = SHADOW_AREA / SHADOW_MAP_SIZE;
+    const cx = (worldX - originX) / texel + SHADOW_MAP_SIZE / 2;
+    const cz = (worldZ - originZ) / texel + SHADOW_MAP_SIZE / 2;
+    const r = radius / texel;
+    // The outer ring of texels stays empty so clamped lookups beyond the area read no shadow.
+    const x0 = Math.max(1, Math.floor(cx - r));
+    const x1 = Math.min(SHADOW_MAP_SIZE - 2, Math.ceil(cx + r));
+    const z0 = Math.max(1, Math.floor(cz - r));
+    const z1 = Math.min(SHADOW_MAP_SIZE - 2, Math.ceil(cz + r));
+    for (let z = z0; z <= z1; z++) {
+        for (let x = x0; x <= x1; x++) {
+            const d = Math.hypot(x + 0.5 - cx, z + 0.5 - cz) / r;
+            if (d >= 1) continue;
+            const i = z * SHADOW_MAP_SIZE + x;
+            const value = 255 * amount * (1 - d * d);
+            if (value > shadowData[i]) shadowData[i] = value;
         }
     }
-    cloudMesh.count = idx;
 }
 
 export function updateClouds(dt, playerPos) {
     if (!cloudMesh) return;
+    // Unlit, so they take the time of day's tint directly.
+    cloudMesh.material.color.copy(skyState.cloudColor);
 
-    const boundary = CLOUD_RANGE;
-
-    for (let i = 0; i < cloudInstances.length; i++) {
-        const cloud = cloudInstances[i];
+    drift.x += (CLOUD_BASE_DRIFT * weatherState.windStrength + weatherState.wind.x * CLOUD_WIND_DRIFT) * dt;
+    drift.y += weatherState.wind.z * CLOUD_WIND_DRIFT * dt;
 
-        cloud.cX += cloud.speed * dt;
+    // Shadows fall away from the light; under heavy cloud or at night there is no direct light to block.
+    const light = skyState.lightDirection;
+    const lightHeight = Math.max(light.y, SHADOW_MIN_SUN_HEIGHT);
+    const shadowOriginX = Math.round(playerPos.x / CLOUD_CELL) * CLOUD_CELL;
+    const shadowOriginZ = Math.round(playerPos.z / CLOUD_CELL) * CLOUD_CELL;
+    shadowData.fill(0);
 
-        if (cloud.cX - playerPos.x > boundary) {
-            cloud.cX -= boundary * 2;
-        } else if (cloud.cX - playerPos.x < -boundary) {
-            cloud.cX += boundary * 2;
-        }
+    let idx = 0;
+    forEachGroup(playerPos.x - CLOUD_RANGE, playerPos.z - CLOUD_RANGE, playerPos.x + CLOUD_RANGE, playerPos.z + CLOUD_RANGE, (group, x, z) => {
+        const edge = THREE.MathUtils.clamp((CLOUD_RANGE - Math.hypot(x - playerPos.x, z - playerPos.z)) / CLOUD_EDGE_FADE, 0, 1);
+        const scale = edge * getCoverScale(group);
+        if (scale <= 0) return;
 
-        if (cloud.cZ - playerPos.z > boundary) {
-            cloud.cZ -= boundary * 2;
-        } else if (cloud.cZ - playerPos.z < -boundary) {
-            cloud.cZ += boundary * 2;
+        for (const blob of group.blobs) {
+            const s = blob.s * scale;
+            dummy.position.set(x + blob.x, group.y + blob.y, z + blob.z);
+            dummy.scale.set(s, s, s);
+            dummy.rotation.copy(blob.rot);
+            dummy.updateMatrix();
+            cloudMesh.setMatrixAt(idx++, dummy.matrix);
         }
 
-        dummy.position.set(cloud.cX + cloud.relX, cloud.cY + cloud.relY, cloud.cZ + cloud.relZ);
-        dummy.scale.set(cloud.s, cloud.s, cloud.s);
-        dummy.rotation.copy(cloud.rot);
-        
-        dummy.updateMatrix();
-        cloudMesh.setMatrixAt(cloud.idx, dummy.matrix);
-    }
-    
+        const reach = (group.y - playerPos.y) / lightHeight;
+        stampShadow(x - light.x * reach, z - light.z * reach, group.radius * scale, scale, shadowOriginX, shadowOriginZ);
+    });
+    cloudMesh.count = idx;
     cloudMesh.instanceMatrix.needsUpdate = true;
+
+    shadowTexture.needsUpdate = true;
+    shadowUniforms.uCloudShadowArea.value.set(shadowOriginX, shadowOriginZ, SHADOW_AREA);
+    shadowUniforms.uCloudShadowStrength.value = SHADOW_STRENGTH * skyState.daylight * skyState.clearSky;
+}
+
+// Large map layer: the same groups, drawn as soft white blobs from above.
+export function drawCloudsOnMap(ctx, viewX, viewZ, scale, width, height) {
+    if (!cloudMesh) return;
+    const halfW = width / 2 / scale;
+    const halfH = height / 2 / scale;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    forEachGroup(viewX - halfW - CLOUD_CELL, viewZ - halfH - CLOUD_CELL, viewX + halfW + CLOUD_CELL, viewZ + halfH + CLOUD_CELL, (group, x, z) => {
+        const cover = getCoverScale(group);
+        if (cover <= 0) return;
+        ctx.beginPath();
+        for (const blob of group.blobs) {
+            const sx = width / 2 + (x + blob.x - viewX) * scale;
+            const sy = height / 2 + (z + blob.z - viewZ) * scale;
+            const r = blob.s * 0.6 * cover * scale;
+            ctx.moveTo(sx + r, sy);
+            ctx.arc(sx, sy, r, 0, Math.PI * 2);
+        }
+        ctx.fill();
+    });
 }
@@ -2,10 +2,23 @@ export const CHUNK_SIZE = 60;
 export const RENDER_DISTANCE = 3;
 export const TREE_COUNT = 10;
 export const GRASS_COUNT = 600;
+export const RUIN_CHANCE = 0.2;
 
 export const BUMP_SCALE = 3.0;
 export const BUMP_REPEAT = 4;
 export const CURVATURE_STRENGTH = 0.0025;
+export const WATER_LEVEL = -5.0;
+export const VIEW_DISTANCE = 1200;
+
+// Coarser terrain rings beyond RENDER_DISTANCE. Each ring is `ring` tiles wide,
+// tiles span `tileChunks` x `tileChunks` chunks with `segments` quads per side.
+export const LOD_LEVELS = [
+    { tileChunks: 1, segments: 8, ring: 1, trees: true },
+    { tileChunks: 2, segments: 8, ring: 1, trees: true },
+    { tileChunks: 4, segments: 12, ring: 1, trees: false },
+    { tileChunks: 8, segments: 16, ring: 1, trees: false },
+    { tileChunks: 16, segments: 16, ring: 1, trees: false }
+];
 
 export const DEFAULTS = {
     MOVE_SPEED: 7.0,
@@ -19,7 +32,90 @@ export const DEFAULTS = {
 export const GRAPHICS_SETTINGS = {
     TARGET_FPS: 60.0,
     CURVATURE: CURVATURE_STRENGTH,
-    SHADOWS: true
+    SHADOWS: false,
+    VIEW_DISTANCE: VIEW_DISTANCE,
+    FOV: 75
+};
+
+export const BRUSH_SETTINGS = {
+    RADIUS: 8.0,
+    STRENGTH: 6.0,
+    REACH: 80.0
+};
+
+// Sticks: radial deadzone, then deflection^RESPONSE_CURVE. LOOK_SPEED is radians per second at full deflection.
+export const GAMEPAD_SETTINGS = {
+    DEADZONE: 0.15,
+    RESPONSE_CURVE: 1.5,
+    LOOK_SPEED: 3.0,
+    INVERT_Y: false
+};
+
+// Drag-to-look: mouse-equivalent pixels per screen pixel dragged.
+export const TOUCH_SETTINGS = {
+    LOOK_SCALE: 2.5
+};
+
+export const HUD_SETTINGS = {
+    STRAFE_HUD: true,
+    // Cloud layer on the large map.
+    MAP_CLOUDS: false
+};
+
+// Clock for sky.js: hour of the day (0-24) and in-game minutes that pass per real second.
+export const TIME_SETTINGS = {
+    TIME_OF_DAY: 10,
+    TIME_SPEED: 1.2
+};
+
+// 'auto' lets weather.js move between states on its own; a state name holds that weather.
+export const WEATHER_SETTINGS = {
+    MODE: 'auto'
+};
+
+// Planar water reflections (water.js): an index into WATER_REFLECTION_LEVELS. `scale` is the
+// reflection's size relative to the scene render.
+export const WATER_SETTINGS = {
+    REFLECTIONS: 1
+};
+export const WATER_REFLECTION_LEVELS = [
+    { label: 'Off', scale: 0 },
+    { label: 'Low', scale: 0.25 },
+    { label: 'Medium', scale: 0.5 },
+    { label: 'Full', scale: 1 }
+];
+
+// PS1 look (see psx.js); the low internal resolution replaces POST_SETTINGS.RENDER_SCALE while on.
+export const PSX_SETTINGS = {
+    AFFINE: false,
+    COLOR_DEPTH: false,
+    LOW_RES: false,
+    RESOLUTION: 240
+};
+export const PSX_RESOLUTIONS = [224, 240, 480];
+
+// Post chain (see postProcessing.js): each pass has an on/off key and its parameters.
+export const POST_SETTINGS = {
+    RENDER_SCALE: 0.6,
+    GRAIN: 0.03,
+    EXPOSURE: 1.25,
+    DOF: true,
+    DOF_FOCUS: 20,
+    DOF_RANGE: 60,
+    DOF_MAX_BLUR: 3,
+    CHROMA: true,
+    CHROMA_SHIFT: 0.0015,
+    SOFTEN: 0.2,
+    BLOOM: true,
+    BLOOM_STRENGTH: 0.6,
+    WARP: true,
+    WARP_AMOUNT: 0.03,
+    TRACKING: true,
+    TRACKING_AMOUNT: 0.008,
+    VIGNETTE: true,
+    VIGNETTE_AMOUNT: 0.5,
+    PERSISTENCE: true,
+    PERSISTENCE_MIX: 0.3
 };
 
 export const PARTICLE_SETTINGS = {
@@ -30,6 +126,27 @@ export const PARTICLE_SETTINGS = {
     HEIGHT_CACHE_MAX: 2048
 };
 
+// Fixed physics rate; demos store one input frame per tick and only replay at the rate they were recorded at.
+export const PHYSICS_TICK_RATE = 120;
+
+// Swimming (physics.js). Depths are fractions of the player's height under water; FLOAT_DEPTH is where
+// buoyancy balances gravity, so treading water leaves the eyes just above the surface.
+export const SWIM_CONSTANTS = {
+    SWIM_DEPTH: 0.7,
+    FLOAT_DEPTH: 0.86,
+    SPEED_SCALE: 0.6,
+    ACCEL: 8.0,
+    DRAG: 2.5,
+    // Highest ledge above the surface that a jump from treading water climbs out onto.
+    LIP_HEIGHT: 1.4,
+    WATER_JUMP: 0.75,
+    // Seconds of air, and seconds of air regained per second at the surface.
+    BREATH: 20.0,
+    BREATH_REFILL: 5.0,
+    // Upward push, as a fraction of gravity, once the air runs out.
+    DROWN_LIFT: 0.8
+};
+
 export const PHYSICS_CONSTANTS = {
     FRICTION: 8.0,
     AIR_ACCEL: 100.0,
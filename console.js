@@ -0,0 +1,446 @@
+// Developer console: Source-style cvars backed by the live config objects, commands, tab completion,
+// history, and cfg scripts (exec) with an autoexec run at startup.
+import { physicsParams, getPhysicsState, setPhysicsState } from './physics.js';
+import { actions, onActionPress, getBindings, setBinding, clearBinding, parseInputCode, formatInputCode, getActionLabel, ACTIONS, MAX_BINDINGS_PER_ACTION } from './input.js';
+import { getWorldSeed, setWorldSeed } from './seed.js';
+import { getTerrainHeight } from './world.js';
+import { DEFAULTS, GRAPHICS_SETTINGS, PHYSICS_CONSTANTS, PARTICLE_SETTINGS, HUD_SETTINGS, POST_SETTINGS, PSX_SETTINGS, TIME_SETTINGS, WEATHER_SETTINGS, WATER_SETTINGS, WATER_REFLECTION_LEVELS } from './config.js';
+import { POST_PASSES, POST_DISPLAY_PARAMS } from './postProcessing.js';
+import { WEATHER_STATES, weatherState, setWeatherMode } from './weather.js';
+
+const HISTORY_STORAGE_KEY = 'inf-planet.consoleHistory';
+const CFG_STORAGE_KEY = 'inf-planet.cfg';
+const HISTORY_KEPT = 50;
+const LOG_LINES_KEPT = 300;
+const CFG_NAME = /^[\w-]+$/;
+const MAX_EXEC_DEPTH = 8;
+
+const cvars = new Map();
+const commands = new Map();
+const cvarListeners = new Set();
+
+let controlsRef;
+let consoleEl;
+let logEl;
+let inputEl;
+// Lines printed before initConsole found the log element; shown once it has.
+const pendingLines = [];
+let history = [];
+let historyIndex = -1;
+let execDepth = 0;
+
+// get / set wrap the backing value; defaults are taken when this module loads, before saved settings apply.
+function registerCvar(name, help, get, set, { min = -Infinity, max = Infinity, bool = false, integer = false } = {}) {
+    cvars.set(name, { name, help, get, set, min, max, bool, integer, defaultValue: get() });
+}
+
+function configCvar(name, target, key, help, options) {
+    registerCvar(name, help, () => target[key], (v) => { target[key] = v; }, options);
+}
+
+configCvar('sv_gravity', physicsParams, 'GRAVITY', 'Gravity (u/s^2)', { min: 0 });
+configCvar('sv_jumpforce', physicsParams, 'JUMP_FORCE', 'Jump velocity (u/s)', { min: 0 });
+configCvar('sv_movespeed', physicsParams, 'MOVE_SPEED', 'Ground move speed (u/s)', { min: 0 });
+configCvar('sv_airmaxspeed', physicsParams, 'MAX_AIR_SPEED', 'Air strafe wish speed cap (u/s)', { min: 0 });
+configCvar('sv_friction', PHYSICS_CONSTANTS, 'FRICTION', 'Ground friction', { min: 0 });
+configCvar('sv_accelerate', PHYSICS_CONSTANTS, 'GROUND_ACCEL', 'Ground acceleration', { min: 0 });
+configCvar('sv_airaccelerate', PHYSICS_CONSTANTS, 'AIR_ACCEL', 'Air acceleration', { min: 0 });
+configCvar('sv_stepsize', PHYSICS_CONSTANTS, 'STEP_HEIGHT', 'Highest ledge walked up without jumping', { min: 0 });
+configCvar('r_curvature', GRAPHICS_SETTINGS, 'CURVATURE', 'World curvature strength');
+configCvar('r_viewdistance', GRAPHICS_SETTINGS, 'VIEW_DISTANCE', 'View distance', { min: 50 });
+configCvar('r_shadows', GRAPHICS_SETTINGS, 'SHADOWS', 'Sun shadows (0/1)', { bool: true });
+configCvar('fov', GRAPHICS_SETTINGS, 'FOV', 'Vertical field of view (degrees)', { min: 30, max: 120 });
+configCvar('cl_strafehud', HUD_SETTINGS, 'STRAFE_HUD', 'Speed graph, strafe sync and hop analytics (0/1)', { bool: true });
+configCvar('cl_mapclouds', HUD_SETTINGS, 'MAP_CLOUDS', 'Show clouds on the large map (0/1)', { bool: true });
+configCvar('r_particle_updates', PARTICLE_SETTINGS, 'MAX_UPDATES_PER_FRAME', 'Air particles simulated per frame', { min: 1, integer: true });
+configCvar('r_particle_neighbors', PARTICLE_SETTINGS, 'NEIGHBOR_SAMPLES', 'Neighbours sampled per particle', { min: 1, integer: true });
+configCvar('sv_timeofday', TIME_SETTINGS, 'TIME_OF_DAY', 'Hour of the day (0-24)', { min: 0, max: 23.99 });
+configCvar('sv_timespeed', TIME_SETTINGS, 'TIME_SPEED', 'In-game minutes per real second (0 stops the clock)', { min: 0, max: 600 });
+configCvar('r_waterreflections', WATER_SETTINGS, 'REFLECTIONS', `Water reflection quality (${WATER_REFLECTION_LEVELS.map((level, i) => `${i} ${level.label.toLowerCase()}`).join(', ')})`, { min: 0, max: WATER_REFLECTION_LEVELS.length - 1, integer: true });
+configCvar('r_psx_affine', PSX_SETTINGS, 'AFFINE', 'PS1 affine texture mapping (0/1)', { bool: true });
+configCvar('r_psx_colordepth', PSX_SETTINGS, 'COLOR_DEPTH', 'PS1 15-bit colour with ordered dither (0/1)', { bool: true });
+configCvar('r_psx_lowres', PSX_SETTINGS, 'LOW_RES', 'Render at a fixed low line count (0/1)', { bool: true });
+configCvar('r_psx_resolution', PSX_SETTINGS, 'RESOLUTION', 'Lines rendered while r_psx_lowres is on', { min: 120, max: 1080, integer: true });
+for (const param of POST_DISPLAY_PARAMS) {
+    configCvar(`r_${param.key.toLowerCase()}`, POST_SETTINGS, param.key, param.label, { min: param.min, max: param.max });
+}
+for (const pass of POST_PASSES) {
+    configCvar(`r_${pass.id}`, POST_SETTINGS, pass.toggle, `${pass.label} pass (0/1)`, { bool: true });
+    for (const param of pass.params) {
+        configCvar(`r_${param.key.toLowerCase()}`, POST_SETTINGS, param.key, `${pass.label}: ${param.label}`, { min: param.min, max: param.max });
+    }
+}
+registerCvar('sensitivity', 'Mouse sensitivity', () => controlsRef ? controlsRef.pointerSpeed : DEFAULTS.SENSITIVITY,
+    (v) => { if (controlsRef) controlsRef.pointerSpeed = v; }, { min: 0.01 });
+
+// fn(name) after a cvar changes, so menus can show the new value and save it.
+export function onCvarChange(fn) {
+    cvarListeners.add(fn);
+    return () => cvarListeners.delete(fn);
+}
+
+function formatValue(cvar, value) {
+    return cvar.bool ? (value ? '1' : '0') : String(value);
+}
+
+function parseValue(cvar, text) {
+    if (cvar.bool) {
+        if (/^(1|true|on)$/i.test(text)) return true;
+        if (/^(0|false|off)$/i.test(text)) return false;
+        return null;
+    }
+    let value = Number(text);
+    if (!Number.isFinite(value)) return null;
+    if (cvar.integer) value = Math.round(value);
+    return Math.max(cvar.min, Math.min(cvar.max, value));
+}
+
+function setCvar(cvar, value) {
+    cvar.set(value);
+    for (const fn of cvarListeners) fn(cvar.name);
+}
+
+function registerCommand(name, usage, help, run) {
+    commands.set(name, { name, usage, help, run });
+}
+
+export function print(text, className) {
+    if (!logEl) {
+        pendingLines.push([text, className]);
+        if (pendingLines.length > LOG_LINES_KEPT) pendingLines.shift();
+        return;
+    }
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (className) line.className = className;
+    logEl.appendChild(line);
+    while (logEl.childElementCount > LOG_LINES_KEPT) logEl.firstElementChild.remove();
+    logEl.scrollTop = logEl.scrollHeight;
+}
+
+// Splits a line into commands on ';' and each command into arguments, keeping "quoted strings" whole.
+function tokenize(line) {
+    const statements = [];
+    let args = [];
+    let current = null;
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            quoted = !quoted;
+            current ??= '';
+        } else if (!quoted && ch === '/' && line[i + 1] === '/') {
+            break;
+        } else if (!quoted && (ch === ' ' || ch === '\t' || ch === ';')) {
+            if (current !== null) args.push(current);
+            current = null;
+            if (ch === ';') {
+                if (args.length) statements.push(args);
+                args = [];
+            }
+        } else {
+            current = (current ?? '') + ch;
+        }
+    }
+    if (current !== null) args.push(current);
+    if (args.length) statements.push(args);
+    return statements;
+}
+
+export async function runCommand(line) {
+    for (const [name, ...args] of tokenize(line)) {
+        const lower = name.toLowerCase();
+        const command = commands.get(lower);
+        if (command) {
+            try {
+                await command.run(args);
+            } catch (err) {
+                print(`${lower}: ${err.message}`, 'console-error');
+            }
+            continue;
+        }
+        const cvar = cvars.get(lower);
+        if (!cvar) {
+            print(`Unknown command "${name}"`, 'console-error');
+            continue;
+        }
+        if (args.length === 0) {
+            print(`"${cvar.name}" = "${formatValue(cvar, cvar.get())}" (def. "${formatValue(cvar, cvar.defaultValue)}") - ${cvar.help}`);
+            continue;
+        }
+        const value = parseValue(cvar, args[0]);
+        if (value === null) print(`${cvar.name}: bad value "${args[0]}"`, 'console-error');
+        else setCvar(cvar, value);
+    }
+}
+
+function loadLocalCfgs() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CFG_STORAGE_KEY));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch {
+        return {};
+    }
+}
+
+function saveLocalCfgs(cfgs) {
+    try {
+        localStorage.setItem(CFG_STORAGE_KEY, JSON.stringify(cfgs));
+    } catch {
+        // Storage disabled: scripts last for this session.
+    }
+}
+
+// Scripts come from cfg/<name>.cfg next to the page, then the player's own saved under the same
+// name, so a local script can override what the file sets.
+async function execCfg(name, { quiet = false } = {}) {
+    if (!CFG_NAME.test(name)) throw new Error(`bad script name "${name}"`);
+    if (execDepth >= MAX_EXEC_DEPTH) throw new Error('scripts nested too deep');
+    const scripts = [];
+    try {
+        const response = await fetch(`cfg/${name}.cfg`);
+        if (response.ok) scripts.push(await response.text());
+    } catch {
+        // Offline or opened from disk: only local scripts.
+    }
+    const local = loadLocalCfgs()[name];
+    if (typeof local === 'string') scripts.push(local);
+    if (scripts.length === 0) {
+        if (!quiet) throw new Error(`couldn't find "${name}"`);
+        return;
+    }
+    if (!quiet) print(`Executing ${name}`);
+    execDepth++;
+    try {
+        for (const script of scripts) {
+            for (const line of script.split('\n')) await runCommand(line);
+        }
+    } finally {
+        execDepth--;
+    }
+}
+
+function numberArg(text, what) {
+    const value = Number(text);
+    if (text === undefined || !Number.isFinite(value)) throw new Error(`${what} must be a number`);
+    return value;
+}
+
+function bindingSummary(code) {
+    return ACTIONS.filter(a => getBindings(a.id).includes(code)).map(a => a.id);
+}
+
+registerCommand('help', '[command|cvar]', 'List commands, or describe one', ([name]) => {
+    if (name) {
+        const command = commands.get(name.toLowerCase());
+        if (command) print(`${command.name} ${command.usage} - ${command.help}`);
+        else if (cvars.has(name.toLowerCase())) return runCommand(name);
+        else throw new Error(`unknown command "${name}"`);
+        return;
+    }
+    for (const command of commands.values()) print(`${command.name} ${command.usage} - ${command.help}`);
+    print('Type a cvar name to see its value, or "cvarlist" for all of them.');
+});
+registerCommand('cvarlist', '[filter]', 'List cvars and their values', ([filter = '']) => {
+    for (const cvar of cvars.values()) {
+        if (cvar.name.includes(filter.toLowerCase())) print(`${cvar.name.padEnd(22)} ${formatValue(cvar, cvar.get()).padEnd(10)} ${cvar.help}`);
+    }
+});
+registerCommand('reset', '<cvar>', 'Set a cvar back to its default', ([name]) => {
+    const cvar = cvars.get((name ?? '').toLowerCase());
+    if (!cvar) throw new Error(`unknown cvar "${name}"`);
+    setCvar(cvar, cvar.defaultValue);
+});
+registerCommand('echo', '<text>', 'Print text', (args) => print(args.join(' ')));
+registerCommand('clear', '', 'Clear the console', () => {
+    if (logEl) logEl.replaceChildren();
+});
+registerCommand('teleport', '<x> [y] <z>', 'Move the player; without y, onto the ground', (args) => {
+    if (args.length !== 2 && args.length !== 3) throw new Error('usage: teleport <x> [y] <z>');
+    const x = numberArg(args[0], 'x');
+    const z = numberArg(args[args.length - 1], 'z');
+    const state = getPhysicsState();
+    const y = args.length === 3 ? numberArg(args[1], 'y') : getTerrainHeight(x, z) + state.height + 0.5;
+    setPhysicsState({ ...state, pos: [x, y, z], vel: [0, 0, 0], onGround: false, onTree: false });
+    print(`Teleported to ${x.toFixed(1)} ${y.toFixed(1)} ${z.toFixed(1)}`);
+});
+registerCommand('seed', '[seed]', 'Show or change the world seed', ([value]) => {
+    if (value === undefined) print(`seed ${getWorldSeed()}`);
+    else print(`seed ${setWorldSeed(value)}`);
+});
+registerCommand('weather', '[auto|state]', `Show or set the weather (${Object.keys(WEATHER_STATES).join(', ')})`, ([mode]) => {
+    if (mode !== undefined) setWeatherMode(mode);
+    print(`weather ${WEATHER_SETTINGS.MODE} (${WEATHER_STATES[weatherState.name].label})`);
+});
+registerCommand('noclip', '', 'Toggle flying through terrain', () => {
+    actions.fly = !actions.fly;
+    print(`noclip ${actions.fly ? 'ON' : 'OFF'}`);
+});
+registerCommand('bind', '[key] [action]', 'Bind a key to an action, show a key\'s binding, or list all', ([key, actionId]) => {
+    if (key === undefined) {
+        for (const action of ACTIONS) print(`${action.id.padEnd(14)} ${getBindings(action.id).map(formatInputCode).join(', ')}`);
+        return;
+    }
+    const code = parseInputCode(key);
+    if (!code) throw new Error(`unknown key "${key}"`);
+    if (actionId === undefined) {
+        const bound = bindingSummary(code);
+        print(`${formatInputCode(code)} = ${bound.length ? bound.join(', ') : 'unbound'}`);
+        return;
+    }
+    const action = ACTIONS.find(a => a.id.toLowerCase() === actionId.toLowerCase());
+    if (!action) throw new Error(`unknown action "${actionId}"`);
+    const current = getBindings(action.id);
+    const slot = Math.min(current.length, MAX_BINDINGS_PER_ACTION - 1);
+    if (current.length >= MAX_BINDINGS_PER_ACTION && current[slot] !== code) {
+        print(`${action.id} has ${MAX_BINDINGS_PER_ACTION} bindings; replacing ${formatInputCode(current[slot])}`);
+    }
+    const conflicts = setBinding(action.id, slot, code);
+    if (conflicts.length) print(`${formatInputCode(code)} was unbound from ${conflicts.map(getActionLabel).join(', ')}`);
+});
+registerCommand('unbind', '<key>', 'Remove a key from every action', ([key]) => {
+    const code = key === undefined ? null : parseInputCode(key);
+    if (!code) throw new Error(`unknown key "${key}"`);
+    for (const id of bindingSummary(code)) clearBinding(id, getBindings(id).indexOf(code));
+});
+registerCommand('exec', '<script>', 'Run cfg/<script>.cfg and the local script of that name', ([name]) => {
+    if (!name) throw new Error('usage: exec <script>');
+    return execCfg(name);
+});
+registerCommand('writecfg', '<script>', 'Save every cvar\'s current value as a local script', ([name]) => {
+    if (!name || !CFG_NAME.test(name)) throw new Error('usage: writecfg <script>');
+    const cfgs = loadLocalCfgs();
+    cfgs[name] = [...cvars.values()].map(c => `${c.name} ${formatValue(c, c.get())}`).join('\n');
+    saveLocalCfgs(cfgs);
+    print(`Wrote ${name}`);
+});
+registerCommand('cfg_append', '<script> <line>', 'Add a line to a local script (e.g. autoexec)', ([name, ...rest]) => {
+    if (!name || !CFG_NAME.test(name) || rest.length === 0) throw new Error('usage: cfg_append <script> <line>');
+    const cfgs = loadLocalCfgs();
+    cfgs[name] = [cfgs[name], rest.join(' ')].filter(Boolean).join('\n');
+    saveLocalCfgs(cfgs);
+});
+registerCommand('cfg_show', '<script>', 'Print a local script', ([name]) => {
+    const script = loadLocalCfgs()[name];
+    if (typeof script !== 'string') throw new Error(`no local script "${name}"`);
+    for (const line of script.split('\n')) print(`  ${line}`);
+});
+registerCommand('cfg_delete', '<script>', 'Delete a local script', ([name]) => {
+    const cfgs = loadLocalCfgs();
+    if (!Object.hasOwn(cfgs, name)) throw new Error(`no local script "${name}"`);
+    delete cfgs[name];
+    saveLocalCfgs(cfgs);
+});
+
+function completionsFor(text) {
+    const parts = text.split(' ');
+    if (parts.length === 1) {
+        const prefix = parts[0].toLowerCase();
+        return [...commands.keys(), ...cvars.keys()].filter(n => n.startsWith(prefix)).sort().map(n => `${n} `);
+    }
+    const head = parts.slice(0, -1).join(' ');
+    const last = parts[parts.length - 1].toLowerCase();
+    const command = parts[0].toLowerCase();
+    let options = [];
+    if (command === 'bind' && parts.length === 3) options = ACTIONS.map(a => a.id);
+    if ((command === 'help' || command === 'reset') && parts.length === 2) options = command === 'help' ? [...commands.keys(), ...cvars.keys()] : [...cvars.keys()];
+    if (command.startsWith('cfg_') && parts.length === 2) options = Object.keys(loadLocalCfgs());
+    return options.filter(o => o.toLowerCase().startsWith(last)).sort().map(o => `${head} ${o}`);
+}
+
+function completeInput() {
+    const matches = completionsFor(inputEl.value);
+    if (matches.length === 0) return;
+    if (matches.length === 1) {
+        inputEl.value = matches[0];
+        return;
+    }
+    let common = matches[0];
+    for (const m of matches) {
+        while (!m.startsWith(common)) common = common.slice(0, -1);
+    }
+    if (common.length > inputEl.value.length) inputEl.value = common;
+    else print(matches.map(m => m.trim().split(' ').pop()).join('  '));
+}
+
+function loadHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY));
+        return Array.isArray(saved) ? saved.filter(l => typeof l === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+function pushHistory(line) {
+    if (history[history.length - 1] !== line) history.push(line);
+    history = history.slice(-HISTORY_KEPT);
+    historyIndex = -1;
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+    } catch {
+        // Storage disabled: history lasts for this session.
+    }
+}
+
+function stepHistory(direction) {
+    if (history.length === 0) return;
+    if (historyIndex === -1) historyIndex = direction < 0 ? history.length - 1 : -1;
+    else historyIndex += direction;
+    if (historyIndex < 0 || historyIndex >= history.length) {
+        historyIndex = -1;
+        inputEl.value = '';
+        return;
+    }
+    inputEl.value = history[historyIndex];
+}
+
+export function isConsoleOpen() {
+    return !!consoleEl && consoleEl.style.display !== 'none';
+}
+
+export function toggleConsole() {
+    if (!consoleEl) return;
+    const open = !isConsoleOpen();
+    consoleEl.style.display = open ? 'flex' : 'none';
+    // Focus after the key that opened us has finished, so it isn't typed into the input.
+    if (open) setTimeout(() => inputEl.focus(), 0);
+    else inputEl.blur();
+}
+
+export function initConsole(controls) {
+    controlsRef = controls;
+    consoleEl = document.getElementById('console');
+    logEl = document.getElementById('console-log');
+    inputEl = document.getElementById('console-input');
+    if (logEl) {
+        for (const [text, className] of pendingLines.splice(0)) print(text, className);
+    }
+    if (!consoleEl) return;
+    history = loadHistory();
+
+    onActionPress('toggleConsole', toggleConsole);
+    inputEl.addEventListener('keydown', (e) => {
+        if (e.code === 'Escape' || getBindings('toggleConsole').includes(e.code)) {
+            e.preventDefault();
+            toggleConsole();
+        } else if (e.key === 'Enter') {
+            const line = inputEl.value.trim();
+            inputEl.value = '';
+            if (!line) return;
+            print(`] ${line}`, 'console-echo');
+            pushHistory(line);
+            runCommand(line);
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            completeInput();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            stepHistory(e.key === 'ArrowUp' ? -1 : 1);
+        }
+    });
+    consoleEl.addEventListener('mousedown', (e) => e.stopPropagation());
+    consoleEl.addEventListener('click', (e) => e.stopPropagation());
+
+    execCfg('autoexec', { quiet: true }).catch((err) => print(`autoexec: ${err.message}`, 'console-error'));
+}
@@ -0,0 +1,328 @@
+// Time-trial courses: a start, ordered checkpoints and a finish at world coordinates, a timer with
+// splits, 3D gate markers, and a personal-best table per course kept in localStorage.
+import * as THREE from 'three';
+import { playerPos } from './physics.js';
+import { actions } from './input.js';
+import { materials, geometries } from './resources.js';
+import { getWorldSeed, setWorldSeed, onWorldSeedChange } from './seed.js';
+import { getTerrainHeight, getWaterLevel } from './world.js';
+import { hashString } from './rng.js';
+import { beginGhostAttempt, recordGhostTick, finishGhostAttempt, cancelGhostAttempt, showGhostFor } from './ghost.js';
+import { PHYSICS_CONSTANTS, PHYSICS_TICK_RATE } from './config.js';
+
+const COURSE_FILE_VERSION = 1;
+const ZONE_RADIUS = 5.0;
+const ZONE_HEIGHT = 8.0;
+const MARKER_HEIGHT = 6.0;
+const BESTS_STORAGE_KEY = 'inf-planet.courseBests';
+const BESTS_KEPT = 10;
+const SPLIT_HOLD = 2.5;
+const RESULT_HOLD = 5.0;
+
+// points[0] is the start, the last point the finish and anything between a checkpoint.
+// A finish on top of the start makes a loop.
+let course = { seed: getWorldSeed(), points: [] };
+let courseId = null;
+let markers;
+let state = 'idle';
+let tick = 0;
+let nextGate = 1;
+let splits = [];
+let lastSplit = null;
+let lastResult = null;
+const listeners = new Set();
+
+export function initCourses(scene) {
+    markers = new THREE.Group();
+    scene.add(markers);
+    rebuildMarkers();
+}
+
+export function getCourse() {
+    return course;
+}
+
+// fn() whenever the course is edited, replaced or its personal bests change.
+export function onCourseChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+function setCourse(next) {
+    course = next;
+    courseId = course.points.length >= 2 ? computeCourseId(course) : null;
+    resetTimer();
+    if (courseId) showGhostFor(courseId);
+    rebuildMarkers();
+    for (const fn of listeners) fn();
+}
+
+// Stable across sessions and files, so personal bests follow the same layout on the same seed.
+function computeCourseId(c) {
+    const points = c.points.map(p => [p.x.toFixed(1), p.z.toFixed(1)].join(','));
+    return `${c.seed}:${hashString(points.join(';')).toString(16)}`;
+}
+
+function resetTimer() {
+    if (state === 'running') cancelGhostAttempt();
+    state = 'idle';
+    tick = 0;
+    nextGate = 1;
+    splits = [];
+    lastSplit = null;
+    lastResult = null;
+}
+
+// Placement from the large map: a click near the start closes the course into a loop.
+export function addCoursePoint(x, z) {
+    const points = course.points;
+    if (points.length >= 2 && isLoop()) return;
+    const start = points[0];
+    const closesLoop = points.length >= 2 && Math.hypot(x - start.x, z - start.z) < ZONE_RADIUS;
+    // Over a lake or river the gate floats on the surface rather than sitting on the bed.
+    const point = closesLoop ? { ...start } : { x, y: Math.max(getTerrainHeight(x, z), getWaterLevel(x, z)), z };
+    setCourse({ seed: getWorldSeed(), points: [...points, point] });
+}
+
+export function removeCoursePointNear(x, z, radius) {
+    let bestIndex = -1;
+    let bestDist = radius;
+    course.points.forEach((p, i) => {
+        const d = Math.hypot(p.x - x, p.z - z);
+        if (d < bestDist) {
+            bestDist = d;
+            bestIndex = i;
+        }
+    });
+    if (bestIndex < 0) return false;
+    setCourse({ seed: course.seed, points: course.points.filter((_, i) => i !== bestIndex) });
+    return true;
+}
+
+export function clearCourse() {
+    setCourse({ seed: getWorldSeed(), points: [] });
+}
+
+function isLoop() {
+    const points = course.points;
+    if (points.length < 2) return false;
+    const a = points[0];
+    const b = points[points.length - 1];
+    return a.x === b.x && a.z === b.z;
+}
+
+onWorldSeedChange((seed) => {
+    if (course.seed !== seed) setCourse({ seed, points: [] });
+});
+
+function gateKind(index) {
+    if (index === 0) return 'start';
+    return index === course.points.length - 1 ? 'finish' : 'checkpoint';
+}
+
+const GATE_MATERIALS = { start: 'courseStartMat', checkpoint: 'courseCheckpointMat', finish: 'courseFinishMat' };
+
+function rebuildMarkers() {
+    if (!markers) return;
+    markers.clear();
+    const loop = isLoop();
+    course.points.forEach((p, i) => {
+        // A loop's finish shares the start's gate.
+        if (loop && i === course.points.length - 1) return;
+        const mesh = new THREE.Mesh(geometries.courseMarkerGeo, materials[GATE_MATERIALS[gateKind(i)]]);
+        mesh.position.set(p.x, p.y, p.z);
+        mesh.scale.set(ZONE_RADIUS, MARKER_HEIGHT, ZONE_RADIUS);
+        mesh.frustumCulled = false;
+        mesh.renderOrder = 4;
+        mesh.userData.gate = i;
+        markers.add(mesh);
+    });
+}
+
+function inGate(index) {
+    const p = course.points[index];
+    const dx = playerPos.x - p.x;
+    const dz = playerPos.z - p.z;
+    const feetY = playerPos.y - PHYSICS_CONSTANTS.PLAYER_HEIGHT;
+    // Down to a full body below the gate, so swimming through one at the surface counts.
+    return dx * dx + dz * dz < ZONE_RADIUS * ZONE_RADIUS && feetY > p.y - PHYSICS_CONSTANTS.PLAYER_HEIGHT && feetY < p.y + ZONE_HEIGHT;
+}
+
+// Called once per physics tick, after the player has moved. The timer starts on leaving the
+// start gate; gates must be passed in order.
+export function updateCourseTick() {
+    if (!courseId) return;
+    if (actions.fly) {
+        // Flying isn't racing; wait for the player to come back to the start.
+        if (state !== 'idle') resetTimer();
+        return;
+    }
+    const last = course.points.length - 1;
+    if (state === 'running') {
+        tick++;
+        recordGhostTick();
+        if (inGate(nextGate)) {
+            if (nextGate === last) {
+                finishRun();
+                return;
+            }
+            splits.push(tick);
+            lastSplit = { gate: nextGate, ticks: tick, delta: splitDelta(splits.length - 1, tick), shownFor: 0 };
+            nextGate++;
+        }
+    }
+    // Checked after the finish so a loop can end where it began.
+    if (inGate(0)) {
+        if (state === 'running') cancelGhostAttempt();
+        state = 'armed';
+        tick = 0;
+        nextGate = 1;
+        splits = [];
+        return;
+    }
+    if (state === 'armed') {
+        state = 'running';
+        lastSplit = null;
+        lastResult = null;
+        beginGhostAttempt(courseId);
+    }
+}
+
+function splitDelta(index, ticks) {
+    const pb = getCourseBests()[0];
+    if (!pb || pb.splits[index] === undefined) return null;
+    return (ticks - pb.splits[index]) / PHYSICS_TICK_RATE;
+}
+
+function finishRun() {
+    finishGhostAttempt(courseId);
+    const bests = getCourseBests();
+    const pb = bests[0];
+    const entry = { ticks: tick, splits: [...splits], date: Date.now() };
+    const table = [...bests, entry].sort((a, b) => a.ticks - b.ticks).slice(0, BESTS_KEPT);
+    saveCourseBests(table);
+    lastResult = {
+        ticks: tick,
+        delta: pb ? (tick - pb.ticks) / PHYSICS_TICK_RATE : null,
+        rank: table.indexOf(entry) + 1,
+        shownFor: 0
+    };
+    lastSplit = null;
+    state = 'idle';
+    for (const fn of listeners) fn();
+}
+
+function loadAllBests() {
+    try {
+        return JSON.parse(localStorage.getItem(BESTS_STORAGE_KEY)) ?? {};
+    } catch {
+        return {};
+    }
+}
+
+// Personal-best table for the current course, fastest first: [{ ticks, splits, date }].
+export function getCourseBests() {
+    if (!courseId) return [];
+    const table = loadAllBests()[courseId];
+    return Array.isArray(table) ? table : [];
+}
+
+function saveCourseBests(table) {
+    const all = loadAllBests();
+    all[courseId] = table;
+    try {
+        localStorage.setItem(BESTS_STORAGE_KEY, JSON.stringify(all));
+    } catch {
+        // Storage full or disabled: bests just last for this session's table read.
+    }
+}
+
+// Per frame: gate highlighting and the HUD readout ({ time, gate, gates, split, result }), or null.
+export function updateCourses(dt) {
+    if (lastSplit) lastSplit.shownFor += dt;
+    if (lastResult) lastResult.shownFor += dt;
+    if (markers) {
+        for (const mesh of markers.children) {
+            const active = state === 'running' && (mesh.userData.gate === nextGate ||
+                (nextGate === course.points.length - 1 && isLoop() && mesh.userData.gate === 0));
+            mesh.scale.y = active ? MARKER_HEIGHT * 1.5 : MARKER_HEIGHT;
+        }
+    }
+    const gates = course.points.length - 1;
+    if (state === 'running') {
+        return {
+            time: tick / PHYSICS_TICK_RATE,
+            gate: nextGate,
+            gates,
+            split: lastSplit && lastSplit.shownFor < SPLIT_HOLD ? lastSplit : null,
+            result: null
+        };
+    }
+    if (lastResult && lastResult.shownFor < RESULT_HOLD) {
+        return { time: lastResult.ticks / PHYSICS_TICK_RATE, gate: gates, gates, split: null, result: lastResult };
+    }
+    return null;
+}
+
+function drawGate(ctx, color, x, y, radius) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+// Gates and the course line, in the same top-down projection the minimap and large map use.
+export function drawCourseOnMap(ctx, viewX, viewZ, scale, width, height) {
+    const points = course.points;
+    if (points.length === 0) return;
+    const cx = width / 2;
+    const cy = height / 2;
+    const radius = Math.max(3, ZONE_RADIUS * scale);
+
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+        const x = cx + (p.x - viewX) * scale;
+        const y = cy + (p.z - viewZ) * scale;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+    ctx.restore();
+
+    points.forEach((p, i) => {
+        const x = cx + (p.x - viewX) * scale;
+        const y = cy + (p.z - viewZ) * scale;
+        const kind = gateKind(i);
+        const color = kind === 'start' ? '#44ff66' : kind === 'finish' ? '#ffffff' : '#ffd24d';
+        drawGate(ctx, color, x, y, state === 'running' && i === nextGate ? radius + 3 : radius);
+    });
+}
+
+export function serializeCourse() {
+    return {
+        version: COURSE_FILE_VERSION,
+        seed: course.seed,
+        points: course.points.map(p => ({ x: p.x, y: p.y, z: p.z }))
+    };
+}
+
+// Switches to the file's seed if needed; throws with a readable message on a bad file.
+export function importCourse(data) {
+    if (!data || typeof data !== 'object' || data.version !== COURSE_FILE_VERSION) {
+        throw new Error('Unsupported course file');
+    }
+    if (!Array.isArray(data.points) || data.points.length < 2) throw new Error('Course needs a start and a finish');
+    const points = data.points.map((p) => {
+        if (!p || ![p.x, p.y, p.z].every(v => typeof v === 'number' && Number.isFinite(v))) {
+            throw new Error('Bad course point');
+        }
+        return { x: p.x, y: p.y, z: p.z };
+    });
+    const seed = setWorldSeed(data.seed);
+    setCourse({ seed, points });
+}
@@ -0,0 +1,258 @@
+// Demo recording and playback: one input frame per fixed physics tick, replayed through updatePhysics.
+import { Euler } from 'three';
+import { actions, releaseInputPulses } from './input.js';
+import { physicsParams, playerPos, updatePhysics, getPhysicsState, setPhysicsState } from './physics.js';
+import { getWorldSeed, setWorldSeed } from './seed.js';
+import { activeChunks, hasTerrainEdits, exportTerrainEdits, importTerrainEdits, clearTerrainEdits } from './world.js';
+import { parseHeightEdits } from './terrainEdits.js';
+import { parseStructures } from './prefabs.js';
+import { CHUNK_SIZE, PHYSICS_TICK_RATE } from './config.js';
+
+// Version 2 adds the analog stick; version 1 files play back with it centred.
+const DEMO_FILE_VERSION = 2;
+const STICK_QUANTUM = 127;
+// Bit order of the per-tick button byte.
+const DEMO_BUTTONS = ['moveForward', 'moveLeft', 'moveBack', 'moveRight', 'jump', 'sprint', 'crouch', 'fly'];
+
+let demoCamera;
+let demoControls;
+let mode = 'idle';
+let header = null;
+let buttons = [];
+let angles = [];
+let moves = [];
+let demo = null;
+let playTick = 0;
+const playbackKeys = { ...Object.fromEntries(DEMO_BUTTONS.map(name => [name, false])), moveX: 0, moveY: 0 };
+const listeners = new Set();
+const _euler = new Euler(0, 0, 0, 'YXZ');
+
+export function initDemo(camera, controls) {
+    demoCamera = camera;
+    demoControls = controls;
+}
+
+export function getDemoMode() {
+    return mode;
+}
+
+// Recorded run ready to play or save, or null.
+export function getDemo() {
+    return demo;
+}
+
+export function getDemoProgress() {
+    if (mode === 'playing') return { tick: playTick, ticks: demo.ticks, tickRate: demo.tickRate };
+    if (mode === 'recording') return { tick: buttons.length, ticks: buttons.length, tickRate: PHYSICS_TICK_RATE };
+    return null;
+}
+
+// fn(mode) whenever recording or playback starts or stops.
+export function onDemoModeChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+function setMode(next) {
+    mode = next;
+    for (const fn of listeners) fn(mode);
+}
+
+export function startDemoRecording() {
+    if (mode !== 'idle') stopDemo();
+    header = {
+        seed: getWorldSeed(),
+        params: { ...physicsParams },
+        start: getPhysicsState(),
+        edits: hasTerrainEdits() ? exportTerrainEdits() : null
+    };
+    buttons = [];
+    angles = [];
+    moves = [];
+    setMode('recording');
+}
+
+function sameEdits(data) {
+    const current = hasTerrainEdits() ? JSON.stringify(exportTerrainEdits()) : null;
+    return current === (data.edits ? JSON.stringify(data.edits) : null);
+}
+
+// True when playing `data` would discard terrain edits the player has made since.
+export function demoReplacesEdits(data = demo) {
+    return !!data && hasTerrainEdits() && !sameEdits(data);
+}
+
+// Restarts the recorded run from its start state with its seed, edits and physics settings.
+export function startDemoPlayback(data = demo) {
+    if (!data) return;
+    if (mode !== 'idle') stopDemo();
+    demo = data;
+    setWorldSeed(demo.seed);
+    if (!sameEdits(demo)) {
+        if (demo.edits) importTerrainEdits(demo.edits);
+        else clearTerrainEdits();
+    }
+    Object.assign(physicsParams, demo.params);
+    setPhysicsState(demo.start);
+    playTick = 0;
+    setMode('playing');
+}
+
+export function stopDemo() {
+    if (mode === 'recording') {
+        demo = {
+            ...header,
+            tickRate: PHYSICS_TICK_RATE,
+            ticks: buttons.length,
+            buttons: Uint8Array.from(buttons),
+            angles: Float32Array.from(angles),
+            moves: Int8Array.from(moves)
+        };
+        header = null;
+        buttons = [];
+        angles = [];
+        moves = [];
+    }
+    if (mode === 'playing') {
+        // Mouse movement during playback was never applied; don't let it snap the view now.
+        demoControls.mouseAccum.x = 0;
+        demoControls.mouseAccum.y = 0;
+    }
+    if (mode !== 'idle') setMode('idle');
+}
+
+// Physics only sees chunk colliders that are loaded, so playback holds until the player's
+// neighbourhood is in; otherwise trees and structures could pop in at different ticks than live.
+function isAreaLoaded(x, z) {
+    const minCx = Math.min(Math.floor(x / CHUNK_SIZE), Math.round(x / CHUNK_SIZE)) - 1;
+    const minCz = Math.min(Math.floor(z / CHUNK_SIZE), Math.round(z / CHUNK_SIZE)) - 1;
+    for (let cx = minCx; cx <= minCx + 3; cx++) {
+        for (let cz = minCz; cz <= minCz + 3; cz++) {
+            if (!activeChunks.has(`${cx},${cz}`)) return false;
+        }
+    }
+    return true;
+}
+
+// View angles go through float32 before physics sees them, live and in playback alike,
+// so the stored stream reproduces the run bit for bit.
+function applyViewAngles(pitch, yaw) {
+    _euler.set(pitch, yaw, 0);
+    demoCamera.quaternion.setFromEuler(_euler);
+}
+
+// One fixed physics step, fed from live input or from the demo being played back.
+// Returns false when no tick ran (paused, or playback waiting for chunks).
+export function stepPhysics(dt) {
+    if (!demoControls.isActive) return false;
+
+    if (mode === 'playing') {
+        if (!isAreaLoaded(playerPos.x, playerPos.z)) return false;
+        const bits = demo.buttons[playTick];
+        DEMO_BUTTONS.forEach((name, i) => { playbackKeys[name] = (bits & (1 << i)) !== 0; });
+        playbackKeys.moveX = demo.moves[playTick * 2] / STICK_QUANTUM;
+        playbackKeys.moveY = demo.moves[playTick * 2 + 1] / STICK_QUANTUM;
+        applyViewAngles(demo.angles[playTick * 2], demo.angles[playTick * 2 + 1]);
+        updatePhysics(dt, demoCamera, demoControls, playbackKeys);
+        playTick++;
+        if (playTick >= demo.ticks) stopDemo();
+        return true;
+    }
+
+    if (mode === 'recording') {
+        _euler.setFromQuaternion(demoCamera.quaternion, 'YXZ');
+        const pitch = Math.fround(_euler.x);
+        const yaw = Math.fround(_euler.y);
+        applyViewAngles(pitch, yaw);
+        let bits = 0;
+        DEMO_BUTTONS.forEach((name, i) => { if (actions[name]) bits |= 1 << i; });
+        buttons.push(bits);
+        angles.push(pitch, yaw);
+        // The stick is already quantized to 1/127 steps, so this round trip is exact.
+        moves.push(Math.round(actions.moveX * STICK_QUANTUM), Math.round(actions.moveY * STICK_QUANTUM));
+    }
+    updatePhysics(dt, demoCamera, demoControls);
+    releaseInputPulses();
+    return true;
+}
+
+function encodeBytes(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+export function serializeDemo(data) {
+    return {
+        version: DEMO_FILE_VERSION,
+        seed: data.seed,
+        tickRate: data.tickRate,
+        ticks: data.ticks,
+        params: data.params,
+        start: data.start,
+        edits: data.edits,
+        buttons: encodeBytes(data.buttons),
+        angles: encodeBytes(data.angles),
+        moves: encodeBytes(data.moves)
+    };
+}
+
+// Validates a saved demo file; throws with a readable message when it can't be played.
+export function parseDemo(data) {
+    if (!data || typeof data !== 'object' || (data.version !== 1 && data.version !== DEMO_FILE_VERSION)) {
+        throw new Error('Unsupported demo file');
+    }
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const isVec = (v) => Array.isArray(v) && v.length === 3 && v.every(isNum);
+    const start = data.start;
+    if (!start || !isVec(start.pos) || !isVec(start.vel) || !isNum(start.height) || typeof start.onGround !== 'boolean') {
+        throw new Error('Bad start state in demo');
+    }
+    if (!data.params || !Object.keys(physicsParams).every(k => isNum(data.params[k]))) {
+        throw new Error('Bad physics settings in demo');
+    }
+    if (!Number.isInteger(data.ticks) || data.ticks < 0 || !isNum(data.seed)) {
+        throw new Error('Bad demo header');
+    }
+    if (data.tickRate !== PHYSICS_TICK_RATE) {
+        throw new Error(`Demo was recorded at ${data.tickRate} Hz; this build runs physics at ${PHYSICS_TICK_RATE} Hz`);
+    }
+    if (data.edits) {
+        parseHeightEdits(data.edits);
+        parseStructures(data.edits.structures);
+    }
+    let buttonBytes;
+    let angleBytes;
+    let moveBytes;
+    try {
+        buttonBytes = decodeBytes(data.buttons);
+        angleBytes = decodeBytes(data.angles);
+        moveBytes = data.version === 1 ? new Uint8Array(data.ticks * 2) : decodeBytes(data.moves);
+    } catch {
+        throw new Error('Bad demo frame data');
+    }
+    if (buttonBytes.length !== data.ticks || angleBytes.length !== data.ticks * 8 || moveBytes.length !== data.ticks * 2) {
+        throw new Error('Demo frame data does not match its tick count');
+    }
+    return {
+        seed: data.seed,
+        tickRate: data.tickRate,
+        ticks: data.ticks,
+        params: Object.fromEntries(Object.keys(physicsParams).map(k => [k, data.params[k]])),
+        start: { pos: start.pos, vel: start.vel, onGround: start.onGround, onTree: start.onTree === true, height: start.height, breath: isNum(start.breath) ? start.breath : null },
+        edits: data.edits ?? null,
+        buttons: buttonBytes,
+        angles: new Float32Array(angleBytes.buffer),
+        moves: new Int8Array(moveBytes.buffer)
+    };
+}
@@ -0,0 +1,135 @@
+// Ghost racer: records each course attempt and replays the best one alongside the live player,
+// in the scene and on the maps.
+import * as THREE from 'three';
+import { playerPos } from './physics.js';
+import { materials, geometries } from './resources.js';
+import { PHYSICS_CONSTANTS, PHYSICS_TICK_RATE } from './config.js';
+
+// Per tick: eye position x, y, z, then view yaw and pitch.
+const FRAME_SIZE = 5;
+const MAP_TRAIL_STEP = 12;
+const MATCH_BEHIND = 60;
+const MATCH_AHEAD = 240;
+
+let ghostMesh;
+let viewCamera;
+// Best run per course id, for this session.
+const bestRuns = new Map();
+let best = null;
+let attempt = null;
+let matchTick = 0;
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+export function initGhost(scene, camera) {
+    viewCamera = camera;
+    ghostMesh = new THREE.Group();
+    ghostMesh.add(new THREE.Mesh(geometries.ghostBodyGeo, materials.ghostMat));
+    ghostMesh.add(new THREE.Mesh(geometries.ghostVisorGeo, materials.ghostMat));
+    ghostMesh.visible = false;
+    ghostMesh.renderOrder = 5;
+    for (const child of ghostMesh.children) child.frustumCulled = false;
+    scene.add(ghostMesh);
+}
+
+// The course timer (courses.js) drives attempts: begin on leaving the start, record every tick, then finish or cancel.
+export function beginGhostAttempt(courseId) {
+    best = bestRuns.get(courseId) ?? null;
+    attempt = [];
+    matchTick = 0;
+}
+
+export function recordGhostTick() {
+    if (!attempt) return;
+    _euler.setFromQuaternion(viewCamera.quaternion, 'YXZ');
+    attempt.push(playerPos.x, playerPos.y, playerPos.z, _euler.y, _euler.x);
+}
+
+export function finishGhostAttempt(courseId) {
+    if (!attempt) return;
+    const ticks = attempt.length / FRAME_SIZE;
+    const previous = bestRuns.get(courseId);
+    if (!previous || ticks < previous.ticks) bestRuns.set(courseId, { ticks, frames: Float32Array.from(attempt) });
+    best = bestRuns.get(courseId);
+    attempt = null;
+}
+
+export function cancelGhostAttempt() {
+    attempt = null;
+}
+
+// Best run shown on the maps between attempts.
+export function showGhostFor(courseId) {
+    if (!attempt) best = bestRuns.get(courseId) ?? null;
+}
+
+function frameIndexAt(tick) {
+    return Math.min(tick, best.ticks - 1) * FRAME_SIZE;
+}
+
+// Time behind (+) or ahead (-) of the ghost at the player's spot on the route, tracked by
+// following the nearest point of the best run forward from the previous match.
+function measureDelta() {
+    const tick = attempt.length / FRAME_SIZE;
+    const f = best.frames;
+    const from = Math.max(0, matchTick - MATCH_BEHIND);
+    const to = Math.min(best.ticks - 1, matchTick + MATCH_AHEAD);
+    let bestDist = Infinity;
+    for (let i = from; i <= to; i++) {
+        const dx = f[i * FRAME_SIZE] - playerPos.x;
+        const dy = f[i * FRAME_SIZE + 1] - playerPos.y;
+        const dz = f[i * FRAME_SIZE + 2] - playerPos.z;
+        const d = dx * dx + dy * dy + dz * dz;
+        if (d < bestDist) {
+            bestDist = d;
+            matchTick = i;
+        }
+    }
+    return (tick - matchTick) / PHYSICS_TICK_RATE;
+}
+
+// Per frame: places the ghost mesh (interpolated like the camera) and returns the time behind (+)
+// or ahead (-) of it, or null when there is no ghost to race.
+export function updateGhost(alpha) {
+    const running = !!attempt && attempt.length > 0;
+    ghostMesh.visible = !!best && running;
+    if (!ghostMesh.visible) return null;
+    const f = best.frames;
+    const tick = attempt.length / FRAME_SIZE;
+    const a = frameIndexAt(Math.max(0, tick - 1));
+    const b = frameIndexAt(tick);
+    const t = Math.min(1, alpha);
+    ghostMesh.position.set(
+        f[a] + (f[b] - f[a]) * t,
+        f[a + 1] + (f[b + 1] - f[a + 1]) * t - PHYSICS_CONSTANTS.PLAYER_HEIGHT,
+        f[a + 2] + (f[b + 2] - f[a + 2]) * t
+    );
+    ghostMesh.rotation.y = f[b + 3];
+    return measureDelta();
+}
+
+// The best run's trail and the ghost's current spot, in the same top-down projection the
+// minimap and large map use (view centre at viewX / viewZ).
+export function drawGhostOnMap(ctx, viewX, viewZ, scale, width, height) {
+    if (!best) return;
+    const cx = width / 2;
+    const cy = height / 2;
+
+    const f = best.frames;
+    ctx.strokeStyle = 'rgba(80, 220, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < best.ticks; i += MAP_TRAIL_STEP) {
+        const x = cx + (f[i * FRAME_SIZE] - viewX) * scale;
+        const y = cy + (f[i * FRAME_SIZE + 2] - viewZ) * scale;
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    if (ghostMesh.visible) {
+        ctx.fillStyle = '#50dcff';
+        ctx.beginPath();
+        ctx.arc(cx + (ghostMesh.position.x - viewX) * scale, cy + (ghostMesh.position.z - viewZ) * scale, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
@@ -1,24 +1,368 @@
 import { EventDispatcher, Euler } from 'three';
+import { GAMEPAD_SETTINGS } from './config.js';
 
-export const keys = { w: false, a: false, s: false, d: false, space: false, shift: false, crouch: false, map: false, fly: false };
-
-const onKey = (code, state, event) => {
-    if(code === 'KeyW') keys.w = state;
-    if(code === 'KeyA') keys.a = state;
-    if(code === 'KeyS') keys.s = state;
-    if(code === 'KeyD') keys.d = state;
-    if(code === 'Space') keys.space = state;
-    if(code === 'ShiftLeft' || code === 'ShiftRight') keys.shift = state;
-    if(code === 'KeyC') keys.crouch = state;
-    if(code === 'KeyM') keys.map = state;
-    if(code === 'KeyN' && state && !event.repeat) keys.fly = !keys.fly;
+const BINDINGS_STORAGE_KEY = 'inf-planet.bindings';
+export const MAX_BINDINGS_PER_ACTION = 3;
+
+// Rebindable actions. Codes are KeyboardEvent.code values plus Mouse0-4, WheelUp / WheelDown and
+// Pad0-16 (standard-mapping gamepad buttons).
+// `press` actions fire once per press; the others are held for as long as any bound input is.
+export const ACTIONS = [
+    { id: 'moveForward', label: 'Forward', defaults: ['KeyW'] },
+    { id: 'moveBack', label: 'Back', defaults: ['KeyS'] },
+    { id: 'moveLeft', label: 'Left', defaults: ['KeyA'] },
+    { id: 'moveRight', label: 'Right', defaults: ['KeyD'] },
+    { id: 'jump', label: 'Jump', defaults: ['Space', 'WheelDown', 'Pad0'] },
+    { id: 'sprint', label: 'Sprint', defaults: ['ShiftLeft', 'ShiftRight', 'Pad10'] },
+    { id: 'crouch', label: 'Crouch', defaults: ['KeyC', 'Pad1'] },
+    { id: 'toggleMap', label: 'Map', defaults: ['KeyM', 'Pad8'] },
+    { id: 'toggleFly', label: 'Toggle Fly', defaults: ['KeyN', 'Pad3'], press: true },
+    { id: 'toggleEdit', label: 'Edit Terrain', defaults: ['KeyB'], press: true },
+    { id: 'sculpt', label: 'Sculpt / Place', defaults: ['Mouse0'] },
+    { id: 'erase', label: 'Remove Structure', defaults: ['KeyX'], press: true },
+    { id: 'toggleConsole', label: 'Console', defaults: ['Backquote'], press: true },
+    ...Array.from({ length: 9 }, (_, i) => ({ id: `tool${i + 1}`, label: `Edit Tool ${i + 1}`, defaults: [`Digit${i + 1}`], press: true }))
+];
+
+// What gameplay reads: held actions by id, plus the states the press actions toggle.
+// `erase` is a one-shot the terrain editor clears when it handles it. moveX / moveY are the
+// left stick (-1..1, +y forward), quantized so demos can store them exactly.
+export const actions = {
+    ...Object.fromEntries(ACTIONS.filter(a => !a.press).map(a => [a.id, false])),
+    moveX: 0,
+    moveY: 0,
+    fly: false,
+    edit: false,
+    tool: 0,
+    erase: false
+};
+
+const PRESS_HANDLERS = {
+    toggleFly: () => { actions.fly = !actions.fly; },
+    toggleEdit: () => { actions.edit = !actions.edit; },
+    erase: () => { actions.erase = true; }
+};
+for (let i = 0; i < 9; i++) PRESS_HANDLERS[`tool${i + 1}`] = () => { actions.tool = i; };
+const pressListeners = new Map();
+
+const ACTION_BY_ID = new Map(ACTIONS.map(a => [a.id, a]));
+const bindings = new Map();
+const actionsByCode = new Map();
+const heldCodes = new Set();
+// Wheel notches have no release, so they hold their actions until the next physics tick has seen them.
+const pulsedActions = new Set();
+const bindingListeners = new Set();
+const virtualHeld = new Set();
+let captureCallback = null;
+// The click or contextmenu that follows a captured mouse button belongs to the capture, not the page.
+let swallowEvent = null;
+
+function rebuildCodeIndex() {
+    actionsByCode.clear();
+    for (const [id, codes] of bindings) {
+        for (const code of codes) {
+            if (!actionsByCode.has(code)) actionsByCode.set(code, []);
+            actionsByCode.get(code).push(id);
+        }
+    }
+}
+
+function refreshHeld(id) {
+    if (ACTION_BY_ID.get(id).press) return;
+    actions[id] = pulsedActions.has(id) || virtualHeld.has(id) || bindings.get(id).some(code => heldCodes.has(code));
+}
+
+function loadBindings() {
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY));
+    } catch {
+        saved = null;
+    }
+    for (const action of ACTIONS) {
+        const codes = saved && Array.isArray(saved[action.id])
+            ? saved[action.id].filter(c => typeof c === 'string').slice(0, MAX_BINDINGS_PER_ACTION)
+            : action.defaults;
+        bindings.set(action.id, [...codes]);
+    }
+    rebuildCodeIndex();
+}
+
+function saveBindings() {
+    try {
+        localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(Object.fromEntries(bindings)));
+    } catch {
+        // Storage disabled: bindings last for this session.
+    }
+}
+
+function bindingsChanged() {
+    rebuildCodeIndex();
+    for (const action of ACTIONS) refreshHeld(action.id);
+    saveBindings();
+    for (const fn of bindingListeners) fn();
+}
+
+loadBindings();
+
+export function getBindings(id) {
+    return [...bindings.get(id)];
+}
+
+// Binds `code` to slot `slot` of action `id`. A code can only drive one action, so it is taken off
+// any other action first; those actions' ids are returned so the caller can report the conflict.
+export function setBinding(id, slot, code) {
+    const conflicts = [];
+    for (const [otherId, codes] of bindings) {
+        if (otherId !== id && codes.includes(code)) {
+            bindings.set(otherId, codes.filter(c => c !== code));
+            conflicts.push(otherId);
+        }
+    }
+    const codes = bindings.get(id).filter(c => c !== code);
+    codes.splice(Math.min(slot, codes.length), slot < codes.length ? 1 : 0, code);
+    bindings.set(id, codes.slice(0, MAX_BINDINGS_PER_ACTION));
+    bindingsChanged();
+    return conflicts;
+}
+
+export function clearBinding(id, slot) {
+    bindings.set(id, bindings.get(id).filter((_, i) => i !== slot));
+    bindingsChanged();
+}
+
+export function resetBindings() {
+    for (const action of ACTIONS) bindings.set(action.id, [...action.defaults]);
+    bindingsChanged();
+}
+
+export function onBindingsChange(fn) {
+    bindingListeners.add(fn);
+    return () => bindingListeners.delete(fn);
+}
+
+export function getActionLabel(id) {
+    return ACTION_BY_ID.get(id).label;
+}
+
+const CODE_LABELS = {
+    Mouse0: 'LMB', Mouse1: 'MMB', Mouse2: 'RMB', Mouse3: 'Mouse 4', Mouse4: 'Mouse 5',
+    WheelUp: 'Wheel Up', WheelDown: 'Wheel Down',
+    ShiftLeft: 'L Shift', ShiftRight: 'R Shift', ControlLeft: 'L Ctrl', ControlRight: 'R Ctrl',
+    AltLeft: 'L Alt', AltRight: 'R Alt'
+};
+const PAD_BUTTON_LABELS = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right', 'Home'];
+
+const CODE_ALIASES = {
+    space: 'Space', shift: 'ShiftLeft', ctrl: 'ControlLeft', alt: 'AltLeft', tab: 'Tab', enter: 'Enter',
+    up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+    mouse1: 'Mouse0', mouse2: 'Mouse2', mouse3: 'Mouse1', mouse4: 'Mouse3', mouse5: 'Mouse4',
+    mwheelup: 'WheelUp', mwheeldown: 'WheelDown'
 };
 
+// Console-style key names ('w', 'space', 'mouse1', 'mwheeldown') or raw codes to an input code.
+export function parseInputCode(name) {
+    const lower = name.toLowerCase();
+    if (CODE_ALIASES[lower]) return CODE_ALIASES[lower];
+    if (/^[a-z]$/.test(lower)) return `Key${lower.toUpperCase()}`;
+    if (/^[0-9]$/.test(lower)) return `Digit${lower}`;
+    if (/^f([1-9]|1[0-2])$/.test(lower)) return lower.toUpperCase();
+    if (/^pad([0-9]|1[0-6])$/.test(lower)) return `Pad${lower.slice(3)}`;
+    if (/^[A-Z][A-Za-z0-9]+$/.test(name)) return name;
+    return null;
+}
+
+export function formatInputCode(code) {
+    if (CODE_LABELS[code]) return CODE_LABELS[code];
+    if (code.startsWith('Pad')) return `Pad ${PAD_BUTTON_LABELS[Number(code.slice(3))] ?? code.slice(3)}`;
+    return code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Arrow/, '').replace(/^Numpad/, 'Num ');
+}
+
+// Hands the next key, mouse button, wheel notch or pad button to fn(code) instead of gameplay;
+// Escape or pad Start gives fn(null).
+export function captureNextInput(fn) {
+    captureCallback = fn;
+}
+
+function finishCapture(code) {
+    const fn = captureCallback;
+    captureCallback = null;
+    fn(code);
+}
+
+// fn() each time press action `id` fires, for actions handled outside this module.
+export function onActionPress(id, fn) {
+    if (!pressListeners.has(id)) pressListeners.set(id, new Set());
+    pressListeners.get(id).add(fn);
+    return () => pressListeners.get(id).delete(fn);
+}
+
+function firePress(id) {
+    PRESS_HANDLERS[id]?.();
+    for (const fn of pressListeners.get(id) ?? []) fn();
+}
+
+function onInput(code, pressed, repeat = false) {
+    if (pressed) heldCodes.add(code);
+    else heldCodes.delete(code);
+    for (const id of actionsByCode.get(code) ?? []) {
+        if (ACTION_BY_ID.get(id).press) {
+            if (pressed && !repeat) firePress(id);
+        } else {
+            refreshHeld(id);
+        }
+    }
+}
+
+function onWheelNotch(code) {
+    for (const id of actionsByCode.get(code) ?? []) {
+        if (ACTION_BY_ID.get(id).press) {
+            firePress(id);
+        } else {
+            pulsedActions.add(id);
+            refreshHeld(id);
+        }
+    }
+}
+
+// On-screen buttons hold actions directly, outside the bindings. A press also pulses the action
+// so a tap shorter than a physics tick still registers.
+export function setActionHeld(id, held) {
+    if (held) {
+        virtualHeld.add(id);
+        pulsedActions.add(id);
+    } else {
+        virtualHeld.delete(id);
+    }
+    refreshHeld(id);
+}
+
+// Called after each physics tick so wheel-driven actions last exactly until physics has seen them.
+export function releaseInputPulses() {
+    if (pulsedActions.size === 0) return;
+    const ids = [...pulsedActions];
+    pulsedActions.clear();
+    for (const id of ids) refreshHeld(id);
+}
+
+const PAD_START = 9;
+const STICK_QUANTUM = 127;
+const padButtons = [];
+// Analog move sources, summed into actions.moveX / moveY.
+const padStick = [0, 0];
+const touchStick = [0, 0];
+
+function updateMoveAxes() {
+    const quantize = (v) => Math.round(Math.max(-1, Math.min(1, v)) * STICK_QUANTUM) / STICK_QUANTUM;
+    actions.moveX = quantize(padStick[0] + touchStick[0]);
+    actions.moveY = quantize(padStick[1] + touchStick[1]);
+}
+
+// Virtual joystick deflection, -1..1 with +y forward.
+export function setTouchStick(x, y) {
+    touchStick[0] = x;
+    touchStick[1] = y;
+    updateMoveAxes();
+}
+
+function shapeStick(x, y) {
+    const magnitude = Math.hypot(x, y);
+    const { DEADZONE, RESPONSE_CURVE } = GAMEPAD_SETTINGS;
+    if (magnitude <= DEADZONE) return [0, 0];
+    const shaped = Math.min(1, Math.pow((magnitude - DEADZONE) / (1 - DEADZONE), RESPONSE_CURVE));
+    return [x / magnitude * shaped, y / magnitude * shaped];
+}
+
+function firstGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    for (const pad of navigator.getGamepads()) {
+        if (pad && pad.connected && pad.mapping === 'standard') return pad;
+    }
+    return null;
+}
+
+// Once per frame: pad buttons go through the bindings like keys, the left stick into moveX / moveY.
+// Returns { look: [x, y], start } with the shaped right stick and whether Start was just pressed.
+export function pollGamepad() {
+    const pad = firstGamepad();
+    if (!pad) {
+        for (let i = 0; i < padButtons.length; i++) {
+            if (padButtons[i]) onInput(`Pad${i}`, false);
+        }
+        padButtons.length = 0;
+        padStick[0] = 0;
+        padStick[1] = 0;
+        updateMoveAxes();
+        return null;
+    }
+    let start = false;
+    pad.buttons.forEach((button, i) => {
+        const pressed = button.pressed;
+        if (pressed === !!padButtons[i]) return;
+        padButtons[i] = pressed;
+        if (!pressed) {
+            onInput(`Pad${i}`, false);
+        } else if (captureCallback) {
+            finishCapture(i === PAD_START ? null : `Pad${i}`);
+        } else if (i === PAD_START) {
+            start = true;
+        } else {
+            onInput(`Pad${i}`, true);
+        }
+    });
+    const [moveX, moveY] = shapeStick(pad.axes[0] ?? 0, pad.axes[1] ?? 0);
+    padStick[0] = moveX;
+    padStick[1] = -moveY;
+    updateMoveAxes();
+    return { look: shapeStick(pad.axes[2] ?? 0, pad.axes[3] ?? 0), start };
+}
+
+const isTypingTarget = (target) => target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+
 export function initInput() {
     document.addEventListener('keydown', e => {
-        onKey(e.code, true, e);
+        if (captureCallback) {
+            e.preventDefault();
+            finishCapture(e.code === 'Escape' ? null : e.code);
+            return;
+        }
+        if (isTypingTarget(e.target)) return;
+        onInput(e.code, true, e.repeat);
+    });
+    document.addEventListener('keyup', e => onInput(e.code, false));
+    // Capture phase, so buttons inside menus that stop propagation can still be bound.
+    document.addEventListener('mousedown', e => {
+        if (!captureCallback) return;
+        e.preventDefault();
+        e.stopPropagation();
+        swallowEvent = e.button === 0 ? 'click' : e.button === 2 ? 'contextmenu' : null;
+        finishCapture(`Mouse${e.button}`);
+    }, true);
+    for (const type of ['click', 'contextmenu']) {
+        document.addEventListener(type, e => {
+            if (swallowEvent !== type) return;
+            swallowEvent = null;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+    document.addEventListener('mousedown', e => onInput(`Mouse${e.button}`, true));
+    document.addEventListener('mouseup', e => onInput(`Mouse${e.button}`, false));
+    document.addEventListener('wheel', e => {
+        if (e.deltaY === 0) return;
+        const code = e.deltaY > 0 ? 'WheelDown' : 'WheelUp';
+        if (captureCallback) {
+            e.preventDefault();
+            finishCapture(code);
+            return;
+        }
+        // Unlocked, the wheel scrolls menus and zooms the map.
+        if (document.pointerLockElement) onWheelNotch(code);
+    }, { passive: false });
+    // Keys released while the window is unfocused never send keyup.
+    window.addEventListener('blur', () => {
+        for (const code of [...heldCodes]) onInput(code, false);
     });
-    document.addEventListener('keyup', e => onKey(e.code, false, e));
 
     window.addEventListener('beforeunload', (e) => {
         e.preventDefault();
@@ -32,6 +376,12 @@ export class SmoothPointerLockControls extends EventDispatcher {
         this.camera = camera;
         this.domElement = domElement;
         this.isLocked = false;
+        // Playing without pointer lock: 'gamepad' (engaged and paused with Start) or 'touch'.
+        this.engagedBy = null;
+        // Source paused by unlock(), resumed by the next lock().
+        this.suspendedBy = null;
+        // Set by the touch controls while the last pointer input was a finger.
+        this.preferTouch = false;
         this.pointerSpeed = 1.0;
         
         this.minPolarAngle = 0;
@@ -71,24 +421,50 @@ export class SmoothPointerLockControls extends EventDispatcher {
         this.mouseAccum.y += event.movementY || 0;
     }
     
+    // True while the game should run: pointer locked, or engaged on a gamepad or touch screen.
+    get isActive() {
+        return this.isLocked || this.engagedBy !== null;
+    }
+
+    get touchActive() {
+        return this.engagedBy === 'touch';
+    }
+
+    engage(source) {
+        if (source === this.engagedBy) return;
+        const wasActive = this.isActive;
+        this.engagedBy = source;
+        this.suspendedBy = null;
+        if (this.isActive !== wasActive) this.dispatchEvent({ type: source ? 'lock' : 'unlock' });
+    }
+
     update(dt) {
-        if (!this.isLocked) return;
-        
-        const mouseX = this.mouseAccum.x;
-        const mouseY = this.mouseAccum.y;
-        
+        const pad = pollGamepad();
+        if (pad && pad.start && !this.isLocked) this.engage(this.engagedBy ? null : 'gamepad');
+
+        let yawDelta = 0;
+        let pitchDelta = 0;
+        // Touch drags feed mouseAccum like mouse movement does.
+        if (this.isLocked || this.touchActive) {
+            // Base sensitivity 0.002 to match standard Three.js controls
+            const sensitivity = 0.002 * this.pointerSpeed;
+            yawDelta -= this.mouseAccum.x * sensitivity;
+            pitchDelta -= this.mouseAccum.y * sensitivity;
+        }
         // Reset accumulator
         this.mouseAccum.x = 0;
         this.mouseAccum.y = 0;
+        if (pad && this.isActive) {
+            const turn = GAMEPAD_SETTINGS.LOOK_SPEED * dt;
+            yawDelta -= pad.look[0] * turn;
+            pitchDelta -= pad.look[1] * turn * (GAMEPAD_SETTINGS.INVERT_Y ? -1 : 1);
+        }
 
-        if (mouseX === 0 && mouseY === 0) return;
-
-        // Base sensitivity 0.002 to match standard Three.js controls
-        const sensitivity = 0.002 * this.pointerSpeed;
+        if (yawDelta === 0 && pitchDelta === 0) return;
 
         this._euler.setFromQuaternion(this.camera.quaternion);
-        this._euler.y -= mouseX * sensitivity;
-        this._euler.x -= mouseY * sensitivity;
+        this._euler.y += yawDelta;
+        this._euler.x += pitchDelta;
 
         this._euler.x = Math.max(this._PI_2 - this.maxPolarAngle, Math.min(this._PI_2 - this.minPolarAngle, this._euler.x));
 
@@ -96,21 +472,38 @@ export class SmoothPointerLockControls extends EventDispatcher {
         this.dispatchEvent({ type: 'change' });
     }
 
+    // Gamepad and touch sessions paused by unlock() (e.g. opening the map) resume on lock() without
+    // asking for pointer lock, which pad buttons can't grant and mobile browsers don't offer.
     lock() {
+        if (this.suspendedBy) {
+            this.engage(this.suspendedBy);
+            return;
+        }
+        if (this.preferTouch) {
+            this.engage('touch');
+            return;
+        }
         this.domElement.requestPointerLock();
     }
 
     unlock() {
+        if (this.engagedBy) {
+            this.suspendedBy = this.engagedBy;
+            this.engagedBy = null;
+            if (!this.isLocked) this.dispatchEvent({ type: 'unlock' });
+        }
         this.domElement.ownerDocument.exitPointerLock();
     }
 
     onPointerLockChange() {
         if (this.domElement.ownerDocument.pointerLockElement === this.domElement) {
+            this.engagedBy = null;
+            this.suspendedBy = null;
             this.dispatchEvent({ type: 'lock' });
             this.isLocked = true;
         } else {
-            this.dispatchEvent({ type: 'unlock' });
             this.isLocked = false;
+            if (!this.engagedBy) this.dispatchEvent({ type: 'unlock' });
         }
     }
 
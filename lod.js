@@ -0,0 +1,298 @@
+import * as THREE from 'three';
+import { CHUNK_SIZE, RENDER_DISTANCE, LOD_LEVELS, GRAPHICS_SETTINGS } from './config.js';
+import { materials, geometries } from './resources.js';
+
+const MAX_LOD_BUILDS_PER_FRAME = 1;
+const MAX_LOD_REMOVES_PER_FRAME = 4;
+const LOD_UPLOAD_BUDGET_MS = 2;
+const SKIRT_MIN_DEPTH = 4.0;
+
+const gridIndexCache = new Map();
+
+// Grid triangles in PlaneGeometry order plus a skirt strip hanging off the border to hide cracks
+// against finer neighbours.
+function getGridIndex(segments) {
+    let index = gridIndexCache.get(segments);
+    if (index) return index;
+    const row = segments + 1;
+    const ring = getBorderRing(segments);
+    const indices = [];
+    for (let iz = 0; iz < segments; iz++) {
+        for (let ix = 0; ix < segments; ix++) {
+            const a = ix + row * iz;
+            const b = ix + row * (iz + 1);
+            const c = (ix + 1) + row * (iz + 1);
+            const d = (ix + 1) + row * iz;
+            indices.push(a, b, d, b, c, d);
+        }
+    }
+    const skirtStart = row * row;
+    for (let j = 0; j < ring.length; j++) {
+        const next = (j + 1) % ring.length;
+        indices.push(ring[j], skirtStart + j, ring[next]);
+        indices.push(ring[next], skirtStart + j, skirtStart + next);
+    }
+    index = new Uint32Array(indices);
+    gridIndexCache.set(segments, index);
+    return index;
+}
+
+function getBorderRing(segments) {
+    const row = segments + 1;
+    const ring = [];
+    for (let ix = 0; ix < segments; ix++) ring.push(ix);
+    for (let iz = 0; iz < segments; iz++) ring.push(segments + row * iz);
+    for (let ix = segments; ix > 0; ix--) ring.push(ix + row * segments);
+    for (let iz = segments; iz > 0; iz--) ring.push(row * iz);
+    return ring;
+}
+
+function buildLodTileMesh(data, lod) {
+    const segments = lod.segments;
+    const row = segments + 1;
+    const size = lod.tileChunks * CHUNK_SIZE;
+    const step = size / segments;
+    const originX = (data.tx * lod.tileChunks - 0.5) * CHUNK_SIZE;
+    const originZ = (data.tz * lod.tileChunks - 0.5) * CHUNK_SIZE;
+    const ring = getBorderRing(segments);
+    const skirtDepth = Math.max(SKIRT_MIN_DEPTH, step * 0.75);
+    const vertexCount = row * row + ring.length;
+
+    const positions = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < row * row; i++) {
+        positions[i * 3] = originX + (i % row) * step;
+        positions[i * 3 + 1] = data.heights[i];
+        positions[i * 3 + 2] = originZ + Math.floor(i / row) * step;
+    }
+    colors.set(data.colors);
+    for (let j = 0; j < ring.length; j++) {
+        const src = ring[j];
+        const dst = row * row + j;
+        positions[dst * 3] = positions[src * 3];
+        positions[dst * 3 + 1] = positions[src * 3 + 1] - skirtDepth;
+        positions[dst * 3 + 2] = positions[src * 3 + 2];
+        colors[dst * 3] = colors[src * 3];
+        colors[dst * 3 + 1] = colors[src * 3 + 1];
+        colors[dst * 3 + 2] = colors[src * 3 + 2];
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(new THREE.BufferAttribute(getGridIndex(segments), 1));
+
+    const group = new THREE.Group();
+    const terrainMesh = new THREE.Mesh(geometry, materials.lodGroundMat);
+    terrainMesh.frustumCulled = false;
+    group.add(terrainMesh);
+
+    const treeCount = data.treeMatrices.length / 16;
+    if (treeCount > 0) {
+        const trees = new THREE.InstancedMesh(geometries.impostorTreeGeo, materials.impostorTreeMat, treeCount);
+        trees.instanceMatrix.array.set(data.treeMatrices);
+        trees.instanceMatrix.needsUpdate = true;
+        trees.instanceColor = new THREE.InstancedBufferAttribute(data.treeColors, 3);
+        trees.frustumCulled = false;
+        group.add(trees);
+    }
+
+    group.userData.bounds = new THREE.Box3(
+        new THREE.Vector3(originX, data.minY - skirtDepth, originZ),
+        new THREE.Vector3(originX + size, data.maxY + 2, originZ + size)
+    );
+    return group;
+}
+
+function floorTo(v, step) {
+    return Math.floor(v / step) * step;
+}
+
+function ceilTo(v, step) {
+    return Math.ceil(v / step) * step;
+}
+
+export function createLodRings({ getTerrain, workerPool }) {
+    const activeTiles = new Map();
+    const buildQueue = [];
+    const buildQueueSet = new Set();
+    const pendingBuilds = new Map();
+    const readyTiles = [];
+    let neededKeys = new Set();
+    let outerExtent = null;
+    let lastCenterX = Infinity;
+    let lastCenterZ = Infinity;
+    let lastViewDistance = -1;
+
+    // Nested squares in chunk-index space, centred on the full-detail area. Each level's outer edge is
+    // snapped to the next level's tile size so the rings tile exactly with no overlap.
+    function computeNeededTiles(centerX, centerZ) {
+        const needed = [];
+        const viewDistance = GRAPHICS_SETTINGS.VIEW_DISTANCE ?? 0;
+        let inner = {
+            minX: centerX - RENDER_DISTANCE,
+            maxX: centerX + RENDER_DISTANCE + 1,
+            minZ: centerZ - RENDER_DISTANCE,
+            maxZ: centerZ + RENDER_DISTANCE + 1
+        };
+        const fullDetailReach = (RENDER_DISTANCE + 0.5) * CHUNK_SIZE;
+        if (viewDistance <= fullDetailReach) return { needed, outer: inner };
+
+        for (let level = 0; level < LOD_LEVELS.length; level++) {
+            const lod = LOD_LEVELS[level];
+            const k = lod.tileChunks;
+            const snap = LOD_LEVELS[level + 1]?.tileChunks ?? k;
+            const outer = {
+                minX: floorTo(inner.minX - lod.ring * k, snap),
+                maxX: ceilTo(inner.maxX + lod.ring * k, snap),
+                minZ: floorTo(inner.minZ - lod.ring * k, snap),
+                maxZ: ceilTo(inner.maxZ + lod.ring * k, snap)
+            };
+            for (let x = outer.minX; x < outer.maxX; x += k) {
+                for (let z = outer.minZ; z < outer.maxZ; z += k) {
+                    if (x >= inner.minX && x + k <= inner.maxX && z >= inner.minZ && z + k <= inner.maxZ) continue;
+                    const tx = x / k;
+                    const tz = z / k;
+                    const dx = x + k * 0.5 - centerX;
+                    const dz = z + k * 0.5 - centerZ;
+                    needed.push({ key: `${level}:${tx},${tz}`, cx: tx, cz: tz, dist2: dx * dx + dz * dz, lod });
+                }
+            }
+            inner = outer;
+            const reach = Math.min(centerX - outer.minX, outer.maxX - centerX) * CHUNK_SIZE;
+            if (reach >= viewDistance) break;
+        }
+        return { needed, outer: inner };
+    }
+
+    function isOutside(tile, extent) {
+        const b = tile.userData.bounds;
+        return b.max.x <= (extent.minX - 0.5) * CHUNK_SIZE || b.min.x >= (extent.maxX - 0.5) * CHUNK_SIZE ||
+            b.max.z <= (extent.minZ - 0.5) * CHUNK_SIZE || b.min.z >= (extent.maxZ - 0.5) * CHUNK_SIZE;
+    }
+
+    function disposeTile(tile) {
+        tile.removeFromParent();
+        tile.traverse((obj) => {
+            if (obj.geometry && obj.geometry !== geometries.impostorTreeGeo) obj.geometry.dispose();
+        });
+    }
+
+    function uploadReadyTiles(scene) {
+        if (readyTiles.length > 1) {
+            readyTiles.sort((a, b) => a.dist2 - b.dist2);
+        }
+        const start = performance.now();
+        let uploaded = 0;
+        while (readyTiles.length > 0) {
+            if (uploaded > 0 && performance.now() - start > LOD_UPLOAD_BUDGET_MS) break;
+            const job = readyTiles.shift();
+            pendingBuilds.delete(job.key);
+            if (activeTiles.has(job.key) || !neededKeys.has(job.key)) continue;
+            const tile = buildLodTileMesh(job.data, job.lod);
+            scene.add(tile);
+            activeTiles.set(job.key, tile);
+            uploaded++;
+        }
+        return uploaded;
+    }
+
+    function update(playerPos, scene, fullDetailPending) {
+        const centerX = Math.floor(playerPos.x / CHUNK_SIZE);
+        const centerZ = Math.floor(playerPos.z / CHUNK_SIZE);
+        const viewDistance = GRAPHICS_SETTINGS.VIEW_DISTANCE ?? 0;
+        if (centerX !== lastCenterX || centerZ !== lastCenterZ || viewDistance !== lastViewDistance) {
+            lastCenterX = centerX;
+            lastCenterZ = centerZ;
+            lastViewDistance = viewDistance;
+            const { needed, outer } = computeNeededTiles(centerX, centerZ);
+            outerExtent = outer;
+            neededKeys = new Set();
+            buildQueue.length = 0;
+            buildQueueSet.clear();
+            for (const job of needed) {
+                neededKeys.add(job.key);
+                if (!activeTiles.has(job.key) && !pendingBuilds.has(job.key)) {
+                    buildQueue.push(job);
+                    buildQueueSet.add(job.key);
+                }
+            }
+            if (buildQueue.length > 1) {
+                buildQueue.sort((a, b) => a.dist2 - b.dist2);
+            }
+        }
+
+        let built = 0;
+        const terrain = getTerrain();
+        if (workerPool && workerPool.isActive()) {
+            while (buildQueue.length > 0 && workerPool.hasCapacity()) {
+                const job = buildQueue.shift();
+                buildQueueSet.delete(job.key);
+                if (activeTiles.has(job.key) || pendingBuilds.has(job.key)) continue;
+                if (workerPool.submit(job, terrain.seed)) pendingBuilds.set(job.key, job);
+            }
+            built = uploadReadyTiles(scene);
+        } else {
+            while (built < MAX_LOD_BUILDS_PER_FRAME && buildQueue.length > 0) {
+                const job = buildQueue.shift();
+                buildQueueSet.delete(job.key);
+                if (activeTiles.has(job.key)) continue;
+                const tile = buildLodTileMesh(terrain.generateLodTileData(job.cx, job.cz, job.lod), job.lod);
+                scene.add(tile);
+                activeTiles.set(job.key, tile);
+                built++;
+            }
+        }
+
+        // Stale tiles beyond the outer ring go right away; ones now covered by finer detail wait until
+        // that detail exists so no holes open up while moving.
+        const waitingOnDetail = fullDetailPending || buildQueue.length > 0 || pendingBuilds.size > 0;
+        let removed = 0;
+        for (const [key, tile] of activeTiles) {
+            if (removed >= MAX_LOD_REMOVES_PER_FRAME) break;
+            if (neededKeys.has(key)) continue;
+            if (waitingOnDetail && outerExtent && !isOutside(tile, outerExtent)) continue;
+            disposeTile(tile);
+            activeTiles.delete(key);
+            removed++;
+        }
+
+        return built > 0 || removed > 0;
+    }
+
+    function onResult(job, seed, data) {
+        if (seed !== getTerrain().seed || pendingBuilds.get(job.key) !== job) return;
+        job.data = data;
+        readyTiles.push(job);
+    }
+
+    function requeue(jobs) {
+        for (const job of jobs) {
+            if (pendingBuilds.get(job.key) !== job) continue;
+            pendingBuilds.delete(job.key);
+            if (!buildQueueSet.has(job.key)) {
+                buildQueue.push(job);
+                buildQueueSet.add(job.key);
+            }
+        }
+    }
+
+    function clear() {
+        for (const tile of activeTiles.values()) disposeTile(tile);
+        activeTiles.clear();
+        buildQueue.length = 0;
+        buildQueueSet.clear();
+        pendingBuilds.clear();
+        readyTiles.length = 0;
+        lastCenterX = Infinity;
+        lastCenterZ = Infinity;
+    }
+
+    return {
+        activeTiles,
+        update,
+        onResult,
+        requeue,
+        clear
+    };
+}
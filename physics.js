@@ -1,7 +1,7 @@
 import * as THREE from 'three';
-import { keys } from './input.js';
-import { getTerrainHeight, activeChunks } from './world.js';
-import { DEFAULTS, PHYSICS_CONSTANTS, CHUNK_SIZE } from './config.js';
+import { actions } from './input.js';
+import { getTerrainHeight, getWaterLevel, activeChunks } from './world.js';
+import { DEFAULTS, PHYSICS_CONSTANTS, SWIM_CONSTANTS, CHUNK_SIZE } from './config.js';
 import { waterMesh } from './resources.js';
 
 export const physicsParams = {
@@ -14,7 +14,14 @@ export const physicsParams = {
 export const velocity = new THREE.Vector3();
 export const playerPos = new THREE.Vector3(0, 10, 0);
 export let onGround = false;
+// Standing on a trunk or canopy rather than terrain or a structure.
+let onTree = false;
 export let isUnderwater = false;
+export let isSwimming = false;
+// Seconds of air left; runs down while the eyes are under water.
+export let breath = SWIM_CONSTANTS.BREATH;
+// Fraction of the body under water last tick, for the splash events.
+let lastSubmersion = 0;
 let currentHeight = PHYSICS_CONSTANTS.PLAYER_HEIGHT;
 let flyVelocity = new THREE.Vector3();
 
@@ -25,33 +32,71 @@ const _xAxis = new THREE.Vector3(1, 0, 0);
 const _zAxis = new THREE.Vector3(0, 0, -1);
 const _up = new THREE.Vector3(0, 1, 0);
 const _slopeVec = new THREE.Vector3();
+const _supportNormal = new THREE.Vector3();
+const _pushNormal = new THREE.Vector3();
+const _swimHeading = new THREE.Vector3();
 
 const MAX_WALKABLE_SLOPE_COS = 0.6; // about 53 degrees
-const STEEP_SLIDE_FORCE = 18.0;
+// Steeper ground is surfed: no friction, and velocity into the slope is clipped off like Source's ClipVelocity.
+const SURF_OVERBOUNCE = 1.0;
 const GROUND_NORMAL_EPS = 0.6;
+const PLAYER_RADIUS = 0.4;
+// Most a step across a canopy may climb; anything steeper is a wall of leaves.
+const CANOPY_CLIMB = 0.001;
+// Vertical speeds past which crossing the surface throws up a splash.
+const SPLASH_ENTRY_SPEED = 3.0;
+const SPLASH_EXIT_SPEED = 4.0;
+const tickListeners = new Set();
+const splashListeners = new Set();
+
+// fn(input, camera, jumped) after every walking tick (not while flying), once the player has moved.
+export function onPhysicsTick(fn) {
+    tickListeners.add(fn);
+    return () => tickListeners.delete(fn);
+}
+
+// fn(x, y, z, strength) when the player hits or leaves the water fast enough to splash; y is the
+// surface and strength runs 0-1.
+export function onSplash(fn) {
+    splashListeners.add(fn);
+    return () => splashListeners.delete(fn);
+}
 
-export function updatePhysics(dt, camera, controls) {
-    if (!controls.isLocked) return;
+// Movement keys plus the analog stick along _forward / _right. Returns how far to scale the wish
+// speed: 1 for keys, the stick's deflection when only the stick is used.
+function buildWishDir(input) {
+    _wishDir.set(0, 0, 0);
+    if (input.moveForward) _wishDir.add(_forward);
+    if (input.moveBack) _wishDir.sub(_forward);
+    if (input.moveRight) _wishDir.add(_right);
+    if (input.moveLeft) _wishDir.sub(_right);
+    const moveX = input.moveX ?? 0;
+    const moveY = input.moveY ?? 0;
+    if (moveX === 0 && moveY === 0) return 1;
+    const keyed = _wishDir.lengthSq() > 0;
+    _wishDir.addScaledVector(_forward, moveY).addScaledVector(_right, moveX);
+    return keyed ? 1 : Math.min(1, Math.hypot(moveX, moveY));
+}
 
-    const wasUnderwater = isUnderwater;
-    isUnderwater = playerPos.y < -5.0;
+// `input` defaults to the live action state; demo playback passes its recorded buttons instead.
+export function updatePhysics(dt, camera, controls, input = actions) {
+    if (!controls.isActive) return;
 
-    if (keys.fly) {
+    const waterLevel = getWaterLevel(playerPos.x, playerPos.z);
+    isUnderwater = playerPos.y < waterLevel;
+
+    if (input.fly) {
         _forward.copy(_zAxis).applyQuaternion(camera.quaternion);
         _right.copy(_xAxis).applyQuaternion(camera.quaternion);
 
-        _wishDir.set(0, 0, 0);
-        if (keys.w) _wishDir.add(_forward);
-        if (keys.s) _wishDir.sub(_forward);
-        if (keys.d) _wishDir.add(_right);
-        if (keys.a) _wishDir.sub(_right);
-        if (keys.space) _wishDir.y += 1;
-        if (keys.crouch) _wishDir.y -= 1;
+        const wishScale = buildWishDir(input);
+        if (input.jump) _wishDir.y += 1;
+        if (input.crouch) _wishDir.y -= 1;
 
         if (_wishDir.lengthSq() > 0) _wishDir.normalize();
 
-        const flySpeed = keys.shift ? physicsParams.MOVE_SPEED * 2.0 : physicsParams.MOVE_SPEED;
-        flyVelocity.copy(_wishDir).multiplyScalar(flySpeed);
+        const flySpeed = input.sprint ? physicsParams.MOVE_SPEED * 2.0 : physicsParams.MOVE_SPEED;
+        flyVelocity.copy(_wishDir).multiplyScalar(flySpeed * (input.jump || input.crouch ? 1 : wishScale));
 
         playerPos.addScaledVector(flyVelocity, dt);
         onGround = false;
@@ -59,88 +104,161 @@ export function updatePhysics(dt, camera, controls) {
         return;
     }
 
-    const targetHeight = keys.crouch ? PHYSICS_CONSTANTS.CROUCH_HEIGHT : PHYSICS_CONSTANTS.PLAYER_HEIGHT;
+    const targetHeight = input.crouch ? PHYSICS_CONSTANTS.CROUCH_HEIGHT : PHYSICS_CONSTANTS.PLAYER_HEIGHT;
     currentHeight += (targetHeight - currentHeight) * 10.0 * dt;
 
+    const submersion = getSubmersion(waterLevel);
+    isSwimming = submersion >= SWIM_CONSTANTS.SWIM_DEPTH;
+    updateBreath(dt);
+
     _forward.copy(_zAxis).applyQuaternion(camera.quaternion);
     _right.copy(_xAxis).applyQuaternion(camera.quaternion);
-    _forward.y = 0; _forward.normalize();
+    // Swimming heads where the camera looks; on land only the heading counts.
+    if (!isSwimming) {
+        _forward.y = 0; _forward.normalize();
+    }
     _right.y = 0; _right.normalize();
 
-    _wishDir.set(0, 0, 0);
-    if (keys.w) _wishDir.add(_forward);
-    if (keys.s) _wishDir.sub(_forward);
-    if (keys.d) _wishDir.add(_right);
-    if (keys.a) _wishDir.sub(_right);
+    const wishScale = buildWishDir(input);
+    if (isSwimming) {
+        if (input.jump) _wishDir.y += 1;
+        if (input.crouch) _wishDir.y -= 1;
+    }
     _wishDir.normalize();
 
-    let targetSpeed = keys.shift ? physicsParams.MOVE_SPEED * 2.0 : physicsParams.MOVE_SPEED;
-    if (keys.crouch) targetSpeed = physicsParams.MOVE_SPEED * 0.5;
-
-    const currentMoveSpeed = isUnderwater ? targetSpeed * 0.4 : targetSpeed;
-    const currentGravity = isUnderwater ? physicsParams.GRAVITY * 0.2 : physicsParams.GRAVITY;
-    const currentFriction = isUnderwater ? PHYSICS_CONSTANTS.FRICTION * 2.5 : PHYSICS_CONSTANTS.FRICTION;
+    let targetSpeed = input.sprint ? physicsParams.MOVE_SPEED * 2.0 : physicsParams.MOVE_SPEED;
+    if (input.crouch && !isSwimming) targetSpeed = physicsParams.MOVE_SPEED * 0.5;
+    targetSpeed *= isSwimming && (input.jump || input.crouch) ? 1 : wishScale;
 
-    if (onGround) {
-        applyFriction(dt, currentFriction);
-        accelerate(_wishDir, currentMoveSpeed, PHYSICS_CONSTANTS.GROUND_ACCEL, dt);
-        if (keys.space) {
-            velocity.y = physicsParams.JUMP_FORCE;
-            onGround = false;
-        }
+    let jumped = false;
+    if (isSwimming) {
+        jumped = swim(dt, input, targetSpeed * SWIM_CONSTANTS.SPEED_SCALE, submersion, waterLevel);
     } else {
-        const airAccel = isUnderwater ? PHYSICS_CONSTANTS.GROUND_ACCEL : PHYSICS_CONSTANTS.AIR_ACCEL;
-        accelerate(_wishDir, physicsParams.MAX_AIR_SPEED, airAccel, dt);
-        velocity.y -= currentGravity * dt;
-        
-        if (isUnderwater) {
-            velocity.y *= (1 - dt * 2.0);
+        // Wading: the deeper the water, the slower the walk.
+        const wade = 1 - submersion * 0.5;
+        if (onGround) {
+            applyFriction(dt, PHYSICS_CONSTANTS.FRICTION * (1 + submersion * 1.5));
+            accelerate(_wishDir, targetSpeed * wade, PHYSICS_CONSTANTS.GROUND_ACCEL, dt);
+            if (input.jump) {
+                velocity.y = physicsParams.JUMP_FORCE;
+                onGround = false;
+                jumped = true;
+            }
+        } else {
+            accelerate(_wishDir, physicsParams.MAX_AIR_SPEED, PHYSICS_CONSTANTS.AIR_ACCEL, dt);
+            velocity.y -= physicsParams.GRAVITY * dt;
         }
     }
 
+    const startX = playerPos.x;
+    const startZ = playerPos.z;
     playerPos.addScaledVector(velocity, dt);
 
-    resolveTreeCollisions(dt);
+    const trees = getNearbyTrees();
+    if (onTree) blockCanopyClimb(startX, startZ, trees);
+    resolveTreeCollisions(trees);
+    const colliders = getNearbyColliders();
+    resolveStructureCollisions(colliders);
 
+    const feetY = playerPos.y - currentHeight;
     const terrainH = getTerrainHeight(playerPos.x, playerPos.z);
-    const groundNormal = getGroundNormal(playerPos.x, playerPos.z);
-    const groundH = terrainH;
+    const supportH = getStructureSupport(colliders, playerPos.x, playerPos.z, feetY + PHYSICS_CONSTANTS.STEP_HEIGHT);
+    // Trees are only landed on from above, so walking into a low canopy doesn't climb it.
+    const treeH = getTreeHeight(playerPos.x, playerPos.z, feetY, trees);
+    let groundNormal = supportH > terrainH ? _supportNormal : getGroundNormal(playerPos.x, playerPos.z);
+    // The cone is far too steep to stand on as drawn; leaves count as level footing, and
+    // blockCanopyClimb keeps that from turning into a ramp up to the tip.
+    if (treeH > Math.max(terrainH, supportH)) groundNormal = _up;
+    const groundH = Math.max(terrainH, supportH, treeH);
 
     const distToGround = playerPos.y - (groundH + currentHeight);
+    const walkable = groundNormal.dot(_up) >= MAX_WALKABLE_SLOPE_COS;
 
     if (distToGround < 0) {
         playerPos.y = groundH + currentHeight;
-        velocity.y = 0;
-        onGround = true;
-    } else if (onGround && distToGround < PHYSICS_CONSTANTS.STEP_HEIGHT && velocity.y <= 0 && !keys.space) {
+        if (walkable) {
+            velocity.y = 0;
+            onGround = true;
+        } else {
+            // Surfing: stay airborne and keep only the motion along the slope, so gravity pulls
+            // the player down it and strafing into it turns into speed.
+            clipVelocity(velocity, groundNormal, SURF_OVERBOUNCE);
+            onGround = false;
+        }
+    } else if (onGround && walkable && distToGround < PHYSICS_CONSTANTS.STEP_HEIGHT && velocity.y <= 0 && !input.jump) {
         playerPos.y = groundH + currentHeight;
         velocity.y = 0;
         onGround = true; 
     } else {
         onGround = false;
     }
-
-    // If the ground beneath is too steep, force a slide instead of letting the player "walk up" it.
-    const slopeDot = groundNormal.dot(_up);
-    if (onGround && slopeDot < MAX_WALKABLE_SLOPE_COS) {
-        onGround = false;
-        _slopeVec.set(groundNormal.x, 0, groundNormal.z);
-        if (_slopeVec.lengthSq() > 0.0001) {
-            _slopeVec.normalize();
-            velocity.addScaledVector(_slopeVec, STEEP_SLIDE_FORCE * dt);
-        }
-    }
+    onTree = onGround && treeH === groundH;
 
     if (playerPos.y < -50) {
         playerPos.set(0, 20, 0);
         velocity.set(0,0,0);
     }
+
+    checkSplash(getWaterLevel(playerPos.x, playerPos.z));
+
+    for (const fn of tickListeners) fn(input, camera, jumped);
+}
+
+// Fraction of the body (feet to eyes) below the surface.
+function getSubmersion(waterLevel) {
+    const feetY = playerPos.y - currentHeight;
+    return THREE.MathUtils.clamp((waterLevel - feetY) / currentHeight, 0, 1);
+}
+
+function updateBreath(dt) {
+    if (isUnderwater) breath = Math.max(0, breath - dt);
+    else breath = Math.min(SWIM_CONSTANTS.BREATH, breath + SWIM_CONSTANTS.BREATH_REFILL * dt);
+}
+
+// One swimming tick: 3D movement under water drag, buoyancy that settles the player treading water at the
+// surface, and a jump out onto a low enough ledge. Returns whether the player jumped out.
+function swim(dt, input, swimSpeed, submersion, waterLevel) {
+    onGround = false;
+    velocity.multiplyScalar(Math.max(0, 1 - SWIM_CONSTANTS.DRAG * dt));
+    accelerate(_wishDir, swimSpeed, SWIM_CONSTANTS.ACCEL, dt);
+
+    // Gravity less buoyancy: zero at FLOAT_DEPTH, a gentle lift when fully under.
+    velocity.y += physicsParams.GRAVITY * (submersion / SWIM_CONSTANTS.FLOAT_DEPTH - 1) * dt;
+    if (breath <= 0) velocity.y += physicsParams.GRAVITY * SWIM_CONSTANTS.DROWN_LIFT * dt;
+
+    if (input.jump && !isUnderwater) {
+        // Like Source's water jump: only with a ledge just ahead to climb onto.
+        _swimHeading.copy(_forward).setY(0).normalize();
+        const reach = PLAYER_RADIUS + 0.6;
+        const lipH = getTerrainHeight(playerPos.x + _swimHeading.x * reach, playerPos.z + _swimHeading.z * reach);
+        if (lipH > waterLevel - 0.5 && lipH < waterLevel + SWIM_CONSTANTS.LIP_HEIGHT) {
+            velocity.y = physicsParams.JUMP_FORCE * SWIM_CONSTANTS.WATER_JUMP;
+            velocity.addScaledVector(_swimHeading, physicsParams.MOVE_SPEED * 0.3);
+            return true;
+        }
+    }
+    return false;
+}
+
+function checkSplash(waterLevel) {
+    const submersion = getSubmersion(waterLevel);
+    let strength = 0;
+    if (lastSubmersion === 0 && submersion > 0 && velocity.y < -SPLASH_ENTRY_SPEED) {
+        strength = Math.min(1, -velocity.y / 25);
+    } else if (lastSubmersion > 0 && submersion === 0 && velocity.y > SPLASH_EXIT_SPEED) {
+        strength = Math.min(0.5, velocity.y / 30);
+    }
+    lastSubmersion = submersion;
+    if (strength > 0) {
+        for (const fn of splashListeners) fn(playerPos.x, waterLevel, playerPos.z, strength);
+    }
 }
 
-function getNearbyTrees() {
+// Trees in the 3x3 chunks around (worldX, worldZ), the player by default.
+export function getNearbyTrees(worldX = playerPos.x, worldZ = playerPos.z) {
     const trees = [];
-    const cx = Math.floor(playerPos.x / CHUNK_SIZE);
-    const cz = Math.floor(playerPos.z / CHUNK_SIZE);
+    const cx = Math.floor(worldX / CHUNK_SIZE);
+    const cz = Math.floor(worldZ / CHUNK_SIZE);
 
     for (let x = -1; x <= 1; x++) {
         for (let z = -1; z <= 1; z++) {
@@ -156,10 +274,158 @@ function getNearbyTrees() {
     return trees;
 }
 
-function resolveTreeCollisions(dt) {
-    const PLAYER_RADIUS = 0.4;
-    const trees = getNearbyTrees();
-    
+// Everything updatePhysics carries between ticks, so a demo can restart a run exactly.
+export function getPhysicsState() {
+    return {
+        pos: playerPos.toArray(),
+        vel: velocity.toArray(),
+        onGround,
+        onTree,
+        height: currentHeight,
+        breath
+    };
+}
+
+export function setPhysicsState(state) {
+    playerPos.fromArray(state.pos);
+    velocity.fromArray(state.vel);
+    onGround = state.onGround;
+    onTree = !!state.onTree;
+    currentHeight = state.height;
+    // Demos recorded before the breath meter start with full air.
+    breath = Number.isFinite(state.breath) ? state.breath : SWIM_CONSTANTS.BREATH;
+    const waterLevel = getWaterLevel(playerPos.x, playerPos.z);
+    isUnderwater = playerPos.y < waterLevel;
+    isSwimming = getSubmersion(waterLevel) >= SWIM_CONSTANTS.SWIM_DEPTH;
+    lastSubmersion = getSubmersion(waterLevel);
+}
+
+function getNearbyColliders() {
+    const colliders = [];
+    const cx = Math.round(playerPos.x / CHUNK_SIZE);
+    const cz = Math.round(playerPos.z / CHUNK_SIZE);
+
+    for (let x = -1; x <= 1; x++) {
+        for (let z = -1; z <= 1; z++) {
+            const chunk = activeChunks.get(`${cx + x},${cz + z}`);
+            if (chunk && chunk.userData.colliders) {
+                for (const c of chunk.userData.colliders) colliders.push(c);
+            }
+        }
+    }
+    return colliders;
+}
+
+// Highest structure top under (x, z) that is no higher than maxY, with its surface normal in
+// _supportNormal. The vertical line is clipped against each box's three slabs.
+function getStructureSupport(colliders, x, z, maxY) {
+    let best = -Infinity;
+    for (const obb of colliders) {
+        const a = obb.axes;
+        const half = [obb.hx, obb.hy, obb.hz];
+        let tMin = -Infinity;
+        let tMax = Infinity;
+        let topAxis = -1;
+        for (let i = 0; i < 3; i++) {
+            const ax = a[i * 3];
+            const ay = a[i * 3 + 1];
+            const az = a[i * 3 + 2];
+            const u0 = ax * (x - obb.x) - ay * obb.y + az * (z - obb.z);
+            if (Math.abs(ay) < 1e-6) {
+                if (Math.abs(u0) > half[i]) {
+                    tMax = -Infinity;
+                    break;
+                }
+                continue;
+            }
+            let t0 = (-half[i] - u0) / ay;
+            let t1 = (half[i] - u0) / ay;
+            if (t0 > t1) [t0, t1] = [t1, t0];
+            if (t0 > tMin) tMin = t0;
+            if (t1 < tMax) {
+                tMax = t1;
+                topAxis = i;
+            }
+        }
+        if (tMax < tMin || tMax > maxY || tMax <= best) continue;
+        best = tMax;
+        const sign = Math.sign(a[topAxis * 3 + 1]);
+        _supportNormal.set(a[topAxis * 3] * sign, a[topAxis * 3 + 1] * sign, a[topAxis * 3 + 2] * sign);
+    }
+    return best;
+}
+
+// Pushes spheres stacked from step height to head height out of structure boxes and
+// removes the velocity going into each contact, so walls stop the player and ceilings stop jumps.
+function resolveStructureCollisions(colliders) {
+    if (colliders.length === 0) return;
+    const feetY = playerPos.y - currentHeight;
+    const lowY = feetY + PHYSICS_CONSTANTS.STEP_HEIGHT + PLAYER_RADIUS;
+    const highY = Math.max(lowY, playerPos.y - PLAYER_RADIUS);
+    const samples = [lowY, (lowY + highY) * 0.5, highY];
+
+    for (const offset of samples.map(y => y - playerPos.y)) {
+        for (const obb of colliders) {
+            const py = playerPos.y + offset;
+            const a = obb.axes;
+            const half = [obb.hx, obb.hy, obb.hz];
+            const dx = playerPos.x - obb.x;
+            const dy = py - obb.y;
+            const dz = playerPos.z - obb.z;
+            let cx = 0, cy = 0, cz = 0;
+            let inside = true;
+            let minDepth = Infinity;
+            for (let i = 0; i < 3; i++) {
+                const u = a[i * 3] * dx + a[i * 3 + 1] * dy + a[i * 3 + 2] * dz;
+                const clamped = Math.max(-half[i], Math.min(half[i], u));
+                if (clamped !== u) inside = false;
+                const depth = half[i] - Math.abs(u);
+                if (depth < minDepth) {
+                    minDepth = depth;
+                    const sign = u < 0 ? -1 : 1;
+                    _pushNormal.set(a[i * 3] * sign, a[i * 3 + 1] * sign, a[i * 3 + 2] * sign);
+                }
+                cx += a[i * 3] * clamped;
+                cy += a[i * 3 + 1] * clamped;
+                cz += a[i * 3 + 2] * clamped;
+            }
+            let push;
+            if (inside) {
+                push = minDepth + PLAYER_RADIUS;
+            } else {
+                _pushNormal.set(dx - cx, dy - cy, dz - cz);
+                const dist = _pushNormal.length();
+                if (dist >= PLAYER_RADIUS || dist < 1e-6) continue;
+                _pushNormal.divideScalar(dist);
+                push = PLAYER_RADIUS - dist;
+            }
+            playerPos.addScaledVector(_pushNormal, push);
+            clipVelocity(velocity, _pushNormal, 1.0);
+        }
+    }
+}
+
+// Standing on leaves, a move that would climb the cone goes back to where it started, keeping only
+// the motion around the slope; walking across or down a canopy is left alone.
+function blockCanopyClimb(startX, startZ, trees) {
+    const floor = playerPos.y - currentHeight - PHYSICS_CONSTANTS.STEP_HEIGHT;
+    const canopyAt = (x, z) => Math.max(getTreeHeight(x, z, Infinity, trees), floor);
+    const startH = canopyAt(startX, startZ);
+    if (canopyAt(playerPos.x, playerPos.z) - startH <= CANOPY_CLIMB) return;
+    const eps = GROUND_NORMAL_EPS;
+    // Downhill direction of the canopy at the start point.
+    _pushNormal.set(
+        canopyAt(startX - eps, startZ) - canopyAt(startX + eps, startZ),
+        0,
+        canopyAt(startX, startZ - eps) - canopyAt(startX, startZ + eps)
+    );
+    playerPos.x = startX;
+    playerPos.z = startZ;
+    if (_pushNormal.lengthSq() > 1e-8) clipVelocity(velocity, _pushNormal.normalize(), 1.0);
+}
+
+function resolveTreeCollisions(trees) {
+    const feetY = playerPos.y - currentHeight;
     for (const t of trees) {
         const treeBaseY = getTerrainHeight(t.x, t.z);
         const dx = playerPos.x - t.x;
@@ -186,7 +452,9 @@ function resolveTreeCollisions(dt) {
         const leafMaxRadius = 3.0 * widthScale;
         const leafHeight = 7.0 * heightScale;
         
-        if (playerPos.y > leafStart && playerPos.y < leafEnd) {
+        // Standing on the canopy (or falling onto it) is left to the ground check.
+        const canopyY = leafStart + leafHeight * (1.0 - Math.min(dist, leafMaxRadius) / leafMaxRadius);
+        if (t.leaves !== false && playerPos.y > leafStart && playerPos.y < leafEnd && feetY < canopyY - 0.5) {
             const relY = playerPos.y - leafStart;
             const r = leafMaxRadius * (1.0 - relY / leafHeight);
             
@@ -215,9 +483,10 @@ function getGroundNormal(x, z) {
     return _slopeVec;
 }
 
-function getTreeHeight(x, z, currentY) {
+// Highest trunk or leaf surface above (x, z) that a body at currentY could rest on; with currentY at
+// Infinity, simply the top of whatever tree stands there (rain and snow stop on it).
+export function getTreeHeight(x, z, currentY, trees = getNearbyTrees()) {
     let maxY = -Infinity;
-    const trees = getNearbyTrees(); 
     
     for (const t of trees) {
         const treeBaseY = getTerrainHeight(t.x, t.z);
@@ -241,7 +510,7 @@ function getTreeHeight(x, z, currentY) {
         const leafHeight = 7.0 * heightScale;
         const leafStart = treeBaseY + (2.0 * heightScale);
 
-        if (dist < leafMaxRadius) {
+        if (t.leaves !== false && dist < leafMaxRadius) {
             const heightFromBase = leafHeight * (1.0 - dist / leafMaxRadius);
             const surfaceY = leafStart + heightFromBase;
             
@@ -253,6 +522,12 @@ function getTreeHeight(x, z, currentY) {
     return maxY;
 }
 
+function clipVelocity(vel, normal, overbounce) {
+    const backoff = vel.dot(normal);
+    if (backoff >= 0) return;
+    vel.addScaledVector(normal, -backoff * overbounce);
+}
+
 function accelerate(wishDir, wishSpeed, accel, dt) {
     const currentSpeed = velocity.dot(wishDir);
     const addSpeed = wishSpeed - currentSpeed;
@@ -260,6 +535,7 @@ function accelerate(wishDir, wishSpeed, accel, dt) {
     let accelSpeed = accel * wishSpeed * dt;
     if (accelSpeed > addSpeed) accelSpeed = addSpeed;
     velocity.x += accelSpeed * wishDir.x;
+    velocity.y += accelSpeed * wishDir.y;
     velocity.z += accelSpeed * wishDir.z;
 }
 
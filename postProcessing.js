@@ -0,0 +1,355 @@
+// Post chain for the CRT look. The scene renders into a low-res target, each enabled pass draws a
+// fullscreen quad from the previous output into the next target, and the display pass (exposure and
+// grain) puts the result on screen. Toggles and parameters are read live from POST_SETTINGS.
+import * as THREE from 'three';
+import { POST_SETTINGS, PSX_SETTINGS } from './config.js';
+
+const VERTEX_SHADER = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const COMMON_SHADER = `
+    varying vec2 vUv;
+    uniform sampler2D uInput;
+    uniform vec2 uResolution;
+    uniform float uTime;
+
+    float rand(vec2 co) {
+        return fract(sin(dot(co, vec2(12.9898,78.233))) * 43758.5453);
+    }
+`;
+
+// Settings shown with the passes that aren't a pass of their own.
+export const POST_DISPLAY_PARAMS = [
+    { key: 'RENDER_SCALE', label: 'Render Scale', min: 0.25, max: 1, step: 0.05 },
+    { key: 'GRAIN', label: 'Grain', min: 0, max: 0.15, step: 0.005 },
+    { key: 'EXPOSURE', label: 'Exposure', min: 0.5, max: 2, step: 0.05 }
+];
+
+// In draw order. Depth of field comes first so the depth buffer still lines up with the image.
+export const POST_PASSES = [
+    {
+        id: 'dof',
+        label: 'Depth of Field',
+        toggle: 'DOF',
+        params: [
+            { key: 'DOF_FOCUS', uniform: 'uFocusDistance', label: 'Focus', min: 1, max: 200, step: 1 },
+            { key: 'DOF_RANGE', uniform: 'uBlurRange', label: 'Range', min: 5, max: 300, step: 5 },
+            { key: 'DOF_MAX_BLUR', uniform: 'uMaxBlur', label: 'Max Blur', min: 0.5, max: 8, step: 0.5 }
+        ],
+        fragment: `
+            uniform sampler2D uDepth;
+            uniform float uCameraNear;
+            uniform float uCameraFar;
+            uniform float uFocusDistance;
+            uniform float uBlurRange;
+            uniform float uMaxBlur;
+
+            float linearizeDepth(float depth) {
+                float z = depth * 2.0 - 1.0;
+                return (2.0 * uCameraNear * uCameraFar) / (uCameraFar + uCameraNear - z * (uCameraFar - uCameraNear));
+            }
+
+            void main() {
+                vec3 base = texture2D(uInput, vUv).rgb;
+                float depth = linearizeDepth(texture2D(uDepth, vUv).r);
+                float blurStrength = clamp((depth - uFocusDistance) / uBlurRange, 0.0, 1.0);
+                if (blurStrength <= 0.001) {
+                    gl_FragColor = vec4(base, 1.0);
+                    return;
+                }
+                vec2 radius = (1.0 / uResolution) * blurStrength * uMaxBlur;
+                vec3 accum = base;
+                accum += texture2D(uInput, vUv + vec2(radius.x, 0.0)).rgb;
+                accum += texture2D(uInput, vUv - vec2(radius.x, 0.0)).rgb;
+                accum += texture2D(uInput, vUv + vec2(0.0, radius.y)).rgb;
+                accum += texture2D(uInput, vUv - vec2(0.0, radius.y)).rgb;
+                accum += texture2D(uInput, vUv + radius).rgb;
+                accum += texture2D(uInput, vUv - radius).rgb;
+                accum += texture2D(uInput, vUv + vec2(radius.x, -radius.y)).rgb;
+                accum += texture2D(uInput, vUv + vec2(-radius.x, radius.y)).rgb;
+                gl_FragColor = vec4(mix(base, accum / 9.0, blurStrength), 1.0);
+            }
+        `
+    },
+    {
+        id: 'chroma',
+        label: 'Chromatic Aberration',
+        toggle: 'CHROMA',
+        params: [
+            { key: 'CHROMA_SHIFT', uniform: 'uShift', label: 'Shift', min: 0, max: 0.01, step: 0.0005 },
+            { key: 'SOFTEN', uniform: 'uSoften', label: 'Edge Soften', min: 0, max: 1, step: 0.05 }
+        ],
+        fragment: `
+            uniform float uShift;
+            uniform float uSoften;
+
+            void main() {
+                vec2 shift = vec2(uShift * sin(uTime * 0.7), uShift * cos(uTime * 0.9));
+                vec3 col;
+                col.r = texture2D(uInput, vUv + shift).r;
+                col.g = texture2D(uInput, vUv).g;
+                col.b = texture2D(uInput, vUv - shift).b;
+
+                // soft edge blend
+                vec2 blur = vec2(1.0) / uResolution * 1.25;
+                vec3 blurCol = (
+                    texture2D(uInput, vUv + blur).rgb +
+                    texture2D(uInput, vUv - blur).rgb +
+                    texture2D(uInput, vUv + vec2(blur.x, -blur.y)).rgb +
+                    texture2D(uInput, vUv + vec2(-blur.x, blur.y)).rgb +
+                    col
+                ) / 5.0;
+                gl_FragColor = vec4(mix(col, blurCol, uSoften), 1.0);
+            }
+        `
+    },
+    {
+        id: 'bloom',
+        label: 'Bloom',
+        toggle: 'BLOOM',
+        params: [
+            { key: 'BLOOM_STRENGTH', uniform: 'uStrength', label: 'Strength', min: 0, max: 2, step: 0.05 }
+        ],
+        fragment: `
+            uniform float uStrength;
+
+            void main() {
+                vec3 col = texture2D(uInput, vUv).rgb;
+
+                // luminance-driven bloom / beam spread
+                vec2 px = 1.0 / uResolution;
+                float lum = dot(col, vec3(0.299, 0.587, 0.114));
+                float bloomStrength = smoothstep(0.35, 0.75, lum);
+                float spread = mix(1.5, 3.5, bloomStrength);
+                vec3 bloom = vec3(0.0);
+                bloom += texture2D(uInput, vUv + vec2(px.x, 0.0) * spread).rgb;
+                bloom += texture2D(uInput, vUv - vec2(px.x, 0.0) * spread).rgb;
+                bloom += texture2D(uInput, vUv + vec2(0.0, px.y) * spread).rgb;
+                bloom += texture2D(uInput, vUv - vec2(0.0, px.y) * spread).rgb;
+                bloom += texture2D(uInput, vUv + vec2(px.x, px.y) * spread * 0.7).rgb;
+                bloom += texture2D(uInput, vUv - vec2(px.x, px.y) * spread * 0.7).rgb;
+                bloom *= (1.0 / 6.0) * bloomStrength;
+                col += bloom * uStrength;
+
+                // slight vertical beam fattening on bright lines
+                col = mix(col, texture2D(uInput, vUv + vec2(0.0, px.y * spread * 0.4)).rgb, bloomStrength * 0.15);
+                gl_FragColor = vec4(col, 1.0);
+            }
+        `
+    },
+    {
+        id: 'warp',
+        label: 'Geometry Warp',
+        toggle: 'WARP',
+        params: [
+            { key: 'WARP_AMOUNT', uniform: 'uWarp', label: 'Amount', min: 0, max: 0.15, step: 0.005 }
+        ],
+        fragment: `
+            uniform float uWarp;
+
+            void main() {
+                // analog geometry warp (pincushion + wobble)
+                vec2 geom = vUv * 2.0 - 1.0;
+                geom.x += (sin(uTime * 1.7 + geom.y * 4.0)) * 0.004;
+                geom.y += (sin(uTime * 1.3 + geom.x * 5.0)) * 0.004;
+                geom += geom * vec2(geom.y * geom.y, geom.x * geom.x) * uWarp * 0.4;
+                geom += geom * dot(geom, geom) * uWarp;
+                gl_FragColor = vec4(texture2D(uInput, geom * 0.5 + 0.5).rgb, 1.0);
+            }
+        `
+    },
+    {
+        id: 'tracking',
+        label: 'Tracking Jitter',
+        toggle: 'TRACKING',
+        params: [
+            { key: 'TRACKING_AMOUNT', uniform: 'uAmount', label: 'Amount', min: 0, max: 0.04, step: 0.001 }
+        ],
+        fragment: `
+            uniform float uAmount;
+
+            void main() {
+                // only the lower third
+                vec2 uv = vUv;
+                float lineId = floor(uv.y * 240.0);
+                float track = (rand(vec2(lineId, floor(uTime * 6.0))) - 0.5) * uAmount;
+                float band = smoothstep(0.7, 0.95, abs(sin(uTime * 1.2 + uv.y * 12.0)));
+                float bandMask = 1.0 - smoothstep(0.33, 0.36, uv.y);
+                uv.x += track * band * bandMask;
+                uv.x += sin(uTime * 0.6) * uAmount * 0.19 * bandMask;
+                gl_FragColor = vec4(texture2D(uInput, uv).rgb, 1.0);
+            }
+        `
+    },
+    {
+        id: 'vignette',
+        label: 'Vignette',
+        toggle: 'VIGNETTE',
+        params: [
+            { key: 'VIGNETTE_AMOUNT', uniform: 'uAmount', label: 'Amount', min: 0, max: 1, step: 0.05 }
+        ],
+        fragment: `
+            uniform float uAmount;
+
+            void main() {
+                vec2 centered = vUv * 2.0 - 1.0;
+                float vignette = smoothstep(1.6, 0.6, dot(centered, centered));
+                gl_FragColor = vec4(texture2D(uInput, vUv).rgb * mix(1.0, vignette, uAmount), 1.0);
+            }
+        `
+    },
+    {
+        id: 'persistence',
+        label: 'Phosphor Persistence',
+        toggle: 'PERSISTENCE',
+        // Reads its own previous output, so it draws into a pair of history targets.
+        history: true,
+        params: [
+            { key: 'PERSISTENCE_MIX', uniform: 'uGhostMix', label: 'Ghosting', min: 0, max: 0.7, step: 0.05 }
+        ],
+        fragment: `
+            uniform sampler2D uPrev;
+            uniform vec3 uDecay;
+            uniform float uGhostMix;
+
+            void main() {
+                vec3 col = texture2D(uInput, vUv).rgb;
+                vec3 trail = texture2D(uPrev, vUv).rgb * uDecay;
+                gl_FragColor = vec4(mix(col, col + trail, uGhostMix), 1.0);
+            }
+        `
+    }
+];
+
+const DISPLAY_SHADER = `
+    uniform float uGrain;
+    uniform float uExposure;
+
+    void main() {
+        vec3 col = texture2D(uInput, vUv).rgb * uExposure;
+        col += (rand(vUv * uResolution + uTime * 120.0) - 0.5) * uGrain;
+        gl_FragColor = vec4(col, 1.0);
+    }
+`;
+
+function createTarget(depthBuffer = false) {
+    return new THREE.WebGLRenderTarget(1, 1, {
+        magFilter: THREE.NearestFilter,
+        minFilter: THREE.NearestFilter,
+        depthBuffer
+    });
+}
+
+export function createPostProcessing(renderer) {
+    const sceneTarget = createTarget(true);
+    sceneTarget.depthTexture = new THREE.DepthTexture(1, 1, THREE.UnsignedShortType);
+    const pingTargets = [createTarget(), createTarget()];
+    const historyTargets = [createTarget(), createTarget()];
+    const targets = [sceneTarget, ...pingTargets, ...historyTargets];
+    let historyIndex = 0;
+    let historyValid = false;
+    let renderScale = 0;
+
+    // Shared by every pass material; a uniform a shader doesn't declare is simply not uploaded.
+    const frameUniforms = {
+        uTime: { value: 0 },
+        uResolution: { value: new THREE.Vector2() },
+        uDepth: { value: sceneTarget.depthTexture },
+        uCameraNear: { value: 0.1 },
+        uCameraFar: { value: 1000 }
+    };
+
+    const createMaterial = (fragment, uniforms) => new THREE.ShaderMaterial({
+        uniforms: { ...frameUniforms, uInput: { value: null }, ...uniforms },
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: COMMON_SHADER + fragment,
+        depthWrite: false,
+        depthTest: false
+    });
+
+    const passes = POST_PASSES.map((pass) => {
+        const uniforms = {};
+        for (const param of pass.params) uniforms[param.uniform] = { value: POST_SETTINGS[param.key] };
+        if (pass.history) {
+            uniforms.uPrev = { value: null };
+            uniforms.uDecay = { value: new THREE.Vector3(0.88, 0.9, 0.86) };
+        }
+        return { ...pass, material: createMaterial(pass.fragment, uniforms) };
+    });
+    const displayMaterial = createMaterial(DISPLAY_SHADER, { uGrain: { value: 0 }, uExposure: { value: 1 } });
+
+    const postScene = new THREE.Scene();
+    const postCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), displayMaterial);
+    postScene.add(quad);
+
+    // Fraction of the window's pixels rendered; the PSX low resolution fixes the line count instead.
+    function getRenderScale() {
+        return PSX_SETTINGS.LOW_RES ? PSX_SETTINGS.RESOLUTION / window.innerHeight : POST_SETTINGS.RENDER_SCALE;
+    }
+
+    function setSize() {
+        renderScale = getRenderScale();
+        renderer.setPixelRatio(renderScale);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        const width = Math.round(window.innerWidth * renderScale);
+        const height = Math.round(window.innerHeight * renderScale);
+        for (const target of targets) target.setSize(width, height);
+        frameUniforms.uResolution.value.set(width, height);
+        historyValid = false;
+    }
+
+    function drawQuad(material, input, target) {
+        material.uniforms.uInput.value = input;
+        quad.material = material;
+        renderer.setRenderTarget(target);
+        renderer.render(postScene, postCamera);
+    }
+
+    function render(scene, camera, time) {
+        if (getRenderScale() !== renderScale) setSize();
+        frameUniforms.uTime.value = time;
+        frameUniforms.uCameraNear.value = camera.near;
+        frameUniforms.uCameraFar.value = camera.far;
+
+        renderer.setRenderTarget(sceneTarget);
+        renderer.render(scene, camera);
+
+        let input = sceneTarget.texture;
+        let pingIndex = 0;
+        for (const pass of passes) {
+            if (!POST_SETTINGS[pass.toggle]) {
+                if (pass.history) historyValid = false;
+                continue;
+            }
+            const uniforms = pass.material.uniforms;
+            for (const param of pass.params) uniforms[param.uniform].value = POST_SETTINGS[param.key];
+            let target;
+            if (pass.history) {
+                // A stale history (pass just switched on, or resized) would flash an old frame.
+                if (!historyValid) uniforms.uGhostMix.value = 0;
+                uniforms.uPrev.value = historyTargets[historyIndex].texture;
+                historyIndex = 1 - historyIndex;
+                target = historyTargets[historyIndex];
+                historyValid = true;
+            } else {
+                target = pingTargets[pingIndex];
+                pingIndex = 1 - pingIndex;
+            }
+            drawQuad(pass.material, input, target);
+            input = target.texture;
+        }
+
+        displayMaterial.uniforms.uGrain.value = POST_SETTINGS.GRAIN;
+        displayMaterial.uniforms.uExposure.value = POST_SETTINGS.EXPOSURE;
+        drawQuad(displayMaterial, input, null);
+    }
+
+    setSize();
+    return { render, setSize };
+}
@@ -0,0 +1,121 @@
+// Prefab structures: box-shaped parts placed by chunk generation (ruins) or by hand in edit mode.
+// Shared with chunkWorker.js through terrain.js, so this must stay free of 'three'.
+
+// Parts are boxes in prefab space: origin at the base centre, +y up, +z forward.
+// `size` is full extents, `offset` the part centre, `pitch` a tilt about the local x axis.
+export const PREFABS = {
+    box: {
+        name: 'Box',
+        parts: [{ size: [2, 2, 2], offset: [0, 1, 0] }]
+    },
+    ramp: {
+        name: 'Ramp',
+        parts: [rampPart(4, 8.3, 25 * Math.PI / 180)]
+    },
+    platform: {
+        name: 'Platform',
+        parts: [
+            { size: [6, 0.6, 6], offset: [0, 3.2, 0] },
+            { size: [0.6, 2.9, 0.6], offset: [-2.6, 1.45, -2.6] },
+            { size: [0.6, 2.9, 0.6], offset: [2.6, 1.45, -2.6] },
+            { size: [0.6, 2.9, 0.6], offset: [-2.6, 1.45, 2.6] },
+            { size: [0.6, 2.9, 0.6], offset: [2.6, 1.45, 2.6] }
+        ]
+    },
+    wall: {
+        name: 'Wall',
+        parts: [{ size: [8, 3, 0.6], offset: [0, 1.5, 0] }]
+    },
+    pillar: {
+        name: 'Pillar',
+        parts: [{ size: [1.2, 6, 1.2], offset: [0, 3, 0] }]
+    }
+};
+
+export const PREFAB_TYPES = Object.keys(PREFABS);
+
+// Slab of `width` x `length` rising along +z, with its top face meeting the ground at the base origin.
+function rampPart(width, length, pitch) {
+    const thickness = 0.4;
+    const rise = Math.sin(pitch) * length;
+    const run = Math.cos(pitch) * length;
+    return {
+        size: [width, thickness, length],
+        offset: [0, rise * 0.5 - Math.cos(pitch) * thickness * 0.5, run * 0.5 + Math.sin(pitch) * thickness * 0.5],
+        pitch: -pitch
+    };
+}
+
+// Ruin layouts scattered by chunk generation, in ruin space (rotated by the ruin's yaw).
+export const RUIN_LAYOUTS = [
+    {
+        radius: 9,
+        pieces: [
+            { type: 'pillar', dx: -6, dz: -6, yaw: 0 },
+            { type: 'pillar', dx: 6, dz: -6, yaw: 0 },
+            { type: 'pillar', dx: -6, dz: 6, yaw: 0 },
+            { type: 'pillar', dx: 6, dz: 6, yaw: 0 },
+            { type: 'box', dx: 0, dz: 0, yaw: 0.4 }
+        ]
+    },
+    {
+        radius: 11,
+        pieces: [
+            { type: 'wall', dx: 3, dz: -10.2, yaw: 0 },
+            { type: 'wall', dx: -4.3, dz: 0, yaw: Math.PI / 2 },
+            { type: 'ramp', dx: 3, dz: 4, yaw: Math.PI },
+            { type: 'platform', dx: 3, dz: -6.5, yaw: 0 }
+        ]
+    },
+    {
+        radius: 12,
+        pieces: [
+            { type: 'box', dx: -9, dz: 0, yaw: 0 },
+            { type: 'platform', dx: -3.5, dz: 0, yaw: 0 },
+            { type: 'box', dx: 2.5, dz: 1, yaw: 0.3 },
+            { type: 'platform', dx: 8, dz: 2, yaw: 0.2 },
+            { type: 'pillar', dx: 8, dz: -4, yaw: 0 }
+        ]
+    }
+];
+
+// World-space oriented box for one part of a placed structure { type, x, y, z, yaw }.
+// `axes` holds the box's local x, y and z axes (rotation yaw about Y, then pitch about X).
+export function computePartObb(structure, part) {
+    const cy = Math.cos(structure.yaw);
+    const sy = Math.sin(structure.yaw);
+    const pitch = part.pitch ?? 0;
+    const cp = Math.cos(pitch);
+    const sp = Math.sin(pitch);
+    const [ox, oy, oz] = part.offset;
+    return {
+        x: structure.x + cy * ox + sy * oz,
+        y: structure.y + oy,
+        z: structure.z - sy * ox + cy * oz,
+        hx: part.size[0] * 0.5,
+        hy: part.size[1] * 0.5,
+        hz: part.size[2] * 0.5,
+        axes: [
+            cy, 0, -sy,
+            sy * sp, cp, cy * sp,
+            sy * cp, -sp, cy * cp
+        ]
+    };
+}
+
+export function computeStructureObbs(structure, out = []) {
+    for (const part of PREFABS[structure.type].parts) out.push(computePartObb(structure, part));
+    return out;
+}
+
+// Accepts hand-placed structures from a saved file; throws on anything this build can't place.
+export function parseStructures(list) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) throw new Error('Bad structure list');
+    return list.map((s) => {
+        const ok = s && PREFABS[s.type] &&
+            [s.x, s.y, s.z, s.yaw].every(v => typeof v === 'number' && Number.isFinite(v));
+        if (!ok) throw new Error('Bad structure entry');
+        return { type: s.type, x: s.x, y: s.y, z: s.z, yaw: s.yaw };
+    });
+}
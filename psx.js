@@ -0,0 +1,61 @@
+// PS1 rendering quirks shared by the world shaders: affine (not perspective-correct) texture mapping,
+// and 15-bit colour (5 bits per channel) with the console's 4x4 ordered dither. Both switch at
+// runtime through the uPsxAffine / uPsxDither uniforms in globalShaderUniforms.
+
+// Vertex side: texture coordinates pre-multiplied by w, so dividing after interpolation undoes the
+// perspective correction.
+export const PSX_VERTEX_PARS = `
+    #ifdef USE_MAP
+        varying vec3 vPsxAffineUv;
+    #endif
+`;
+
+// After gl_Position is final.
+export const PSX_AFFINE_VERTEX = `
+    #ifdef USE_MAP
+        vPsxAffineUv = vec3(vMapUv * gl_Position.w, gl_Position.w);
+    #endif
+`;
+
+export const PSX_FRAGMENT_PARS = `
+    uniform float uPsxAffine;
+    uniform float uPsxDither;
+    #ifdef USE_MAP
+        varying vec3 vPsxAffineUv;
+    #endif
+
+    vec3 psxColor(vec3 col) {
+        // Offsets in 8-bit steps, as the PS1 GPU applied them before dropping to 5 bits.
+        const float matrix[16] = float[16](
+            -4.0, 0.0, -3.0, 1.0,
+            2.0, -2.0, 3.0, -1.0,
+            -3.0, 1.0, -4.0, 0.0,
+            3.0, -1.0, 2.0, -2.0
+        );
+        ivec2 cell = ivec2(mod(gl_FragCoord.xy, 4.0));
+        vec3 c = clamp(col * 255.0 + matrix[cell.y * 4 + cell.x], 0.0, 255.0);
+        return floor(c / 8.0) / 31.0;
+    }
+`;
+
+export const PSX_MAP_FRAGMENT = `
+    #ifdef USE_MAP
+        vec2 psxMapUv = mix(vMapUv, vPsxAffineUv.xy / vPsxAffineUv.z, uPsxAffine);
+        diffuseColor *= texture2D(map, psxMapUv);
+    #endif
+`;
+
+export const PSX_DITHER_FRAGMENT = `
+    if (uPsxDither > 0.5) gl_FragColor.rgb = psxColor(gl_FragColor.rgb);
+`;
+
+// Fragment half for a built-in three.js material in onBeforeCompile; the vertex half goes into the
+// caller's own project_vertex replacement. Depth materials have no dithering_fragment and keep full precision.
+export function applyPsxFragment(shader, uniforms) {
+    shader.uniforms.uPsxAffine = uniforms.uPsxAffine;
+    shader.uniforms.uPsxDither = uniforms.uPsxDither;
+    shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `${PSX_FRAGMENT_PARS}\n#include <common>`)
+        .replace('#include <map_fragment>', PSX_MAP_FRAGMENT)
+        .replace('#include <dithering_fragment>', `#include <dithering_fragment>\n${PSX_DITHER_FRAGMENT}`);
+}
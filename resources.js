@@ -1,7 +1,8 @@
 import * as THREE from 'three';
 import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 import { generateNoiseTexture } from './utils.js';
-import { BUMP_SCALE, CHUNK_SIZE, RENDER_DISTANCE } from './config.js';
+import { BUMP_SCALE, CHUNK_SIZE, RENDER_DISTANCE, PHYSICS_CONSTANTS, WATER_LEVEL } from './config.js';
+import { PSX_VERTEX_PARS, PSX_AFFINE_VERTEX, PSX_FRAGMENT_PARS, PSX_DITHER_FRAGMENT, applyPsxFragment } from './psx.js';
 
 export const materials = {};
 export const geometries = {};
@@ -12,7 +13,23 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
     const shaderUniforms = globalShaderUniforms || {
         uCurvature: { value: 0.0 },
         uBendCenter: { value: new THREE.Vector3() },
-        uPsxTexel: { value: new THREE.Vector2(2 / 320, 2 / 240) }
+        uPsxTexel: { value: new THREE.Vector2(2 / 320, 2 / 240) },
+        uPsxAffine: { value: 0.0 },
+        uPsxDither: { value: 0.0 },
+        uLightDirection: { value: new THREE.Vector3(50, 80, 50).normalize() },
+        uLightColor: { value: new THREE.Color(0xffffff) },
+        uSkyAmbient: { value: 1.0 },
+        uWind: { value: new THREE.Vector3() },
+        uTime: { value: 0.0 },
+        uCloudShadowMap: { value: null },
+        uCloudShadowArea: { value: new THREE.Vector3(0, 0, 1) },
+        uCloudShadowStrength: { value: 0.0 },
+        uReflectionMap: { value: null },
+        uReflectionMatrix: { value: new THREE.Matrix4() },
+        uReflectionStrength: { value: 0.0 },
+        uShoreHeights: { value: null },
+        uShoreGrid: { value: new THREE.Vector2(1, 1) },
+        uShoreCenter: { value: new THREE.Vector2() }
     };
 
     const textureLoader = new THREE.TextureLoader();
@@ -53,6 +70,41 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         metalness: 0.0
     });
 
+    materials.snowPineMat = new THREE.MeshStandardMaterial({ 
+        color: 0xc8d4d0, 
+        flatShading: true, 
+        roughness: 0.9,
+        metalness: 0.0
+    });
+
+    materials.broadleafMat = new THREE.MeshStandardMaterial({ 
+        color: 0x3f6b1f, 
+        flatShading: true, 
+        roughness: 0.8,
+        metalness: 0.0
+    });
+
+    materials.swampTreeMat = new THREE.MeshStandardMaterial({ 
+        color: 0x3a4220, 
+        flatShading: true, 
+        roughness: 0.9,
+        metalness: 0.0
+    });
+
+    materials.swampTrunkMat = new THREE.MeshStandardMaterial({ 
+        color: 0x2a2418, 
+        roughness: 0.9,
+        metalness: 0.0,
+        flatShading: true
+    });
+
+    materials.cactusMat = new THREE.MeshStandardMaterial({ 
+        color: 0x4f7a3a, 
+        roughness: 0.7,
+        metalness: 0.0,
+        flatShading: true
+    });
+
     materials.grassMat = new THREE.MeshStandardMaterial({
         map: grassTexture,
         transparent: true,
@@ -70,12 +122,73 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         metalness: 0.0
     });
 
+    materials.grassSwampMat = new THREE.MeshStandardMaterial({
+        map: grassTexture,
+        color: 0x8a9a5b,
+        transparent: true,
+        alphaTest: GRASS_ALPHA_TEST,
+        side: THREE.DoubleSide,
+        roughness: 0.8,
+        metalness: 0.0
+    });
+    materials.grassFrostMat = new THREE.MeshStandardMaterial({
+        map: grassDryTexture,
+        color: 0xdde6ee,
+        transparent: true,
+        alphaTest: GRASS_ALPHA_TEST,
+        side: THREE.DoubleSide,
+        roughness: 0.8,
+        metalness: 0.0
+    });
+
+    // Distant LOD rings: double-sided for the skirts, pushed back in depth so full-detail chunks win any overlap.
+    materials.lodGroundMat = new THREE.MeshStandardMaterial({
+        vertexColors: true,
+        roughness: 1.0,
+        metalness: 0.0,
+        flatShading: true,
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: 1,
+        polygonOffsetUnits: 4
+    });
+
+    materials.impostorTreeMat = new THREE.MeshStandardMaterial({
+        color: 0xffffff,
+        flatShading: true,
+        roughness: 0.8,
+        metalness: 0.0
+    });
+
+    // Prefab structures: unit boxes scaled per part, tinted per instance.
+    materials.structureMat = new THREE.MeshStandardMaterial({
+        color: 0x8f8a80,
+        flatShading: true,
+        roughness: 0.95,
+        metalness: 0.0
+    });
+
     geometries.trunkGeo = new THREE.CylinderGeometry(0.4, 0.8, 3, 5);
     geometries.trunkGeo.translate(0, 1.5, 0); 
     
     geometries.leavesGeo = new THREE.ConeGeometry(3, 7, 6);
     geometries.leavesGeo.translate(0, 5.5, 0);
 
+    geometries.impostorTreeGeo = new THREE.ConeGeometry(3, 8.5, 4);
+    geometries.impostorTreeGeo.translate(0, 4.75, 0);
+
+    geometries.structureGeo = new THREE.BoxGeometry(1, 1, 1);
+
+    // Ghost racer: a player-sized capsule standing on its feet, with a visor on the -z (view) side.
+    geometries.ghostBodyGeo = new THREE.CapsuleGeometry(0.4, PHYSICS_CONSTANTS.PLAYER_HEIGHT - 0.8, 4, 8);
+    geometries.ghostBodyGeo.translate(0, PHYSICS_CONSTANTS.PLAYER_HEIGHT * 0.5, 0);
+    geometries.ghostVisorGeo = new THREE.BoxGeometry(0.5, 0.18, 0.2);
+    geometries.ghostVisorGeo.translate(0, PHYSICS_CONSTANTS.PLAYER_HEIGHT - 0.35, -0.35);
+
+    // Course gates: an open unit cylinder standing on its base, scaled to the gate radius and height.
+    geometries.courseMarkerGeo = new THREE.CylinderGeometry(1, 1, 1, 24, 1, true);
+    geometries.courseMarkerGeo.translate(0, 0.5, 0);
+
     const grassPlane1 = new THREE.PlaneGeometry(1.2, 1.2);
     const grassPlane2 = new THREE.PlaneGeometry(1.2, 1.2);
     grassPlane2.rotateY(Math.PI / 2);
@@ -86,6 +199,11 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         uniform float uCurvature;
         uniform vec3 uBendCenter;
         uniform vec2 uPsxTexel;
+        uniform vec3 uWind;
+        uniform float uTime;
+        uniform vec3 uCloudShadowArea;
+        varying vec2 vCloudShadowUv;
+        ${PSX_VERTEX_PARS}
     `;
     
     const curvatureLogic = `
@@ -97,6 +215,14 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
             bentWorldPosition = instanceMatrix * bentWorldPosition;
         #endif
         bentWorldPosition = modelMatrix * bentWorldPosition;
+        vCloudShadowUv = (bentWorldPosition.xz - uCloudShadowArea.xy) / uCloudShadowArea.z + 0.5;
+
+        #ifdef GRASS_SWAY
+            // Blade tips lean with the wind and roots stay put; gusts roll across the field.
+            float swayHeight = clamp(transformed.y / 1.2, 0.0, 1.0);
+            float gust = 0.75 + 0.25 * sin(uTime * 2.3 + bentWorldPosition.x * 0.35 + bentWorldPosition.z * 0.27);
+            bentWorldPosition.xz += uWind.xz * (swayHeight * swayHeight * 0.35 * gust);
+        #endif
 
         float dist = distance(bentWorldPosition.xz, uBendCenter.xz);
         float bendFactor = dist * dist * uCurvature;
@@ -106,17 +232,38 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         gl_Position = projectionMatrix * mvPosition;
         vec2 snap = uPsxTexel * gl_Position.w;
         gl_Position.xy = floor(gl_Position.xy / snap) * snap;
+        ${PSX_AFFINE_VERTEX}
 
         #if defined( DEPTH_PACKING ) && DEPTH_PACKING == 3201
             vHighPrecisionZW = gl_Position.zw;
         #endif
     `;
 
-    function setupMaterial(material) {
+    // Cloud blob shadows (clouds.js) take away direct light only; unlit materials have no lights_fragment_end.
+    const cloudShadowFragmentPars = `
+        uniform sampler2D uCloudShadowMap;
+        uniform float uCloudShadowStrength;
+        varying vec2 vCloudShadowUv;
+    `;
+    const cloudShadowFragment = `
+        #include <lights_fragment_end>
+        float cloudShadow = 1.0 - uCloudShadowStrength * texture2D(uCloudShadowMap, vCloudShadowUv).r;
+        reflectedLight.directDiffuse *= cloudShadow;
+        reflectedLight.directSpecular *= cloudShadow;
+    `;
+
+    // sway: grass that bends with the wind from weather.js.
+    function setupMaterial(material, sway = false) {
+        if (sway) material.defines = { ...material.defines, GRASS_SWAY: '' };
         material.onBeforeCompile = (shader) => {
             shader.uniforms.uCurvature = shaderUniforms.uCurvature;
             shader.uniforms.uBendCenter = shaderUniforms.uBendCenter;
             shader.uniforms.uPsxTexel = shaderUniforms.uPsxTexel;
+            shader.uniforms.uWind = shaderUniforms.uWind;
+            shader.uniforms.uTime = shaderUniforms.uTime;
+            shader.uniforms.uCloudShadowArea = shaderUniforms.uCloudShadowArea;
+            shader.uniforms.uCloudShadowMap = shaderUniforms.uCloudShadowMap;
+            shader.uniforms.uCloudShadowStrength = shaderUniforms.uCloudShadowStrength;
 
             shader.vertexShader = shader.vertexShader.replace(
                 '#include <common>',
@@ -137,14 +284,48 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
                 '#include <worldpos_vertex>',
                 `vec4 worldPosition = bentWorldPosition;`
             );
+
+            if (shader.fragmentShader.includes('#include <lights_fragment_end>')) {
+                shader.fragmentShader = shader.fragmentShader
+                    .replace('#include <common>', `${cloudShadowFragmentPars}\n#include <common>`)
+                    .replace('#include <lights_fragment_end>', cloudShadowFragment);
+            }
+
+            applyPsxFragment(shader, shaderUniforms);
         };
     }
 
     setupMaterial(materials.groundMat);
     setupMaterial(materials.trunkMat);
     setupMaterial(materials.treeMat);
-    setupMaterial(materials.grassMat);
-    setupMaterial(materials.grassDryMat);
+    setupMaterial(materials.grassMat, true);
+    setupMaterial(materials.grassDryMat, true);
+    setupMaterial(materials.snowPineMat);
+    setupMaterial(materials.broadleafMat);
+    setupMaterial(materials.swampTreeMat);
+    setupMaterial(materials.swampTrunkMat);
+    setupMaterial(materials.cactusMat);
+    setupMaterial(materials.grassSwampMat, true);
+    setupMaterial(materials.grassFrostMat, true);
+    setupMaterial(materials.lodGroundMat);
+    setupMaterial(materials.impostorTreeMat);
+    setupMaterial(materials.structureMat);
+
+    materials.ghostMat = new THREE.MeshBasicMaterial({ color: 0x50dcff, transparent: true, opacity: 0.35, depthWrite: false });
+    setupMaterial(materials.ghostMat);
+
+    const gateMaterial = (color) => new THREE.MeshBasicMaterial({
+        color, transparent: true, opacity: 0.3, depthWrite: false, side: THREE.DoubleSide
+    });
+    materials.courseStartMat = gateMaterial(0x44ff66);
+    materials.courseCheckpointMat = gateMaterial(0xffd24d);
+    materials.courseFinishMat = gateMaterial(0xffffff);
+    setupMaterial(materials.courseStartMat);
+    setupMaterial(materials.courseCheckpointMat);
+    setupMaterial(materials.courseFinishMat);
+
+    materials.brushMarkerMat = new THREE.LineBasicMaterial({ color: 0xffe14d, fog: false, depthTest: false, transparent: true });
+    setupMaterial(materials.brushMarkerMat);
 
     // Shadow Depth Materials
     materials.depthMat = new THREE.MeshDepthMaterial({
@@ -159,7 +340,7 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         alphaTest: GRASS_ALPHA_TEST,
         side: THREE.DoubleSide
     });
-    setupMaterial(materials.grassDepthMat);
+    setupMaterial(materials.grassDepthMat, true);
 
     materials.grassDryDepthMat = new THREE.MeshDepthMaterial({
         depthPacking: THREE.RGBADepthPacking,
@@ -167,7 +348,18 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         alphaTest: GRASS_ALPHA_TEST,
         side: THREE.DoubleSide
     });
-    setupMaterial(materials.grassDryDepthMat);
+    setupMaterial(materials.grassDryDepthMat, true);
+
+    // Precipitation (weather.js): rain streaks as crossed planes so they never vanish edge-on, snow as small cubes.
+    const rainPlane1 = new THREE.PlaneGeometry(0.03, 0.6);
+    const rainPlane2 = new THREE.PlaneGeometry(0.03, 0.6);
+    rainPlane2.rotateY(Math.PI / 2);
+    geometries.rainDropGeo = BufferGeometryUtils.mergeGeometries([rainPlane1, rainPlane2]);
+    geometries.snowFlakeGeo = new THREE.BoxGeometry(0.08, 0.08, 0.08);
+    materials.rainMat = new THREE.MeshBasicMaterial({ color: 0xaec8e8, transparent: true, opacity: 0.45, depthWrite: false, side: THREE.DoubleSide });
+    materials.snowMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9, depthWrite: false });
+    setupMaterial(materials.rainMat);
+    setupMaterial(materials.snowMat);
 
     const waterGeo = new THREE.PlaneGeometry(
         CHUNK_SIZE * (RENDER_DISTANCE * 2 + 2), 
@@ -183,11 +375,21 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         shaderUniforms, 
         {
             uTime: { value: 0 },
-            uColor: { value: new THREE.Color(0x3b7d9c) }
+            uColor: { value: new THREE.Color(0x3b7d9c) },
+            uShallowColor: { value: new THREE.Color(0x5fb0a8) }
         }
     ]);
     waterUniforms.uCurvature = shaderUniforms.uCurvature;
     waterUniforms.uBendCenter = shaderUniforms.uBendCenter;
+    waterUniforms.uPsxAffine = shaderUniforms.uPsxAffine;
+    waterUniforms.uPsxDither = shaderUniforms.uPsxDither;
+    waterUniforms.uLightDirection = shaderUniforms.uLightDirection;
+    waterUniforms.uLightColor = shaderUniforms.uLightColor;
+    waterUniforms.uSkyAmbient = shaderUniforms.uSkyAmbient;
+    // Reflections and the shore height map come from water.js.
+    for (const name of ['uReflectionMap', 'uReflectionMatrix', 'uReflectionStrength', 'uShoreHeights', 'uShoreGrid', 'uShoreCenter']) {
+        waterUniforms[name] = shaderUniforms[name];
+    }
 
     const waterVertShader = `
         #include <common>
@@ -199,6 +401,7 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         uniform vec3 uBendCenter;
         varying float vHeight;
         varying vec3 vWorldPosition;
+        varying vec3 vFlatPosition;
         varying vec3 vNormal;
         uniform vec2 uPsxTexel;
 
@@ -219,9 +422,10 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
             ));
             vNormal = worldNormal;
 
-            vHeight = pos.y;
+            vHeight = displacement;
             
             vec4 worldPos = modelMatrix * vec4(pos, 1.0);
+            vFlatPosition = worldPos.xyz;
 
             float dist = distance(baseWorldPos.xz, uBendCenter.xz);
             float bendFactor = dist * dist * uCurvature;
@@ -242,23 +446,72 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
     const waterFragShader = `
         #include <common>
         #include <fog_pars_fragment>
+        ${PSX_FRAGMENT_PARS}
         
         uniform vec3 uColor;
+        uniform vec3 uShallowColor;
+        uniform float uTime;
+        uniform vec3 uLightDirection;
+        uniform vec3 uLightColor;
+        uniform float uSkyAmbient;
+        uniform sampler2D uReflectionMap;
+        uniform mat4 uReflectionMatrix;
+        uniform float uReflectionStrength;
+        uniform sampler2D uShoreHeights;
+        // Texel size in world units, texels per side.
+        uniform vec2 uShoreGrid;
+        uniform vec2 uShoreCenter;
         varying float vHeight;
         varying vec3 vNormal;
         varying vec3 vWorldPosition;
+        varying vec3 vFlatPosition;
+
+        float shoreSample(vec2 cell) {
+            return texelFetch(uShoreHeights, ivec2(mod(cell, uShoreGrid.y)), 0).r;
+        }
+
+        // Terrain height under the water from the wrapping height map; open sea beyond its edge.
+        float terrainHeightAt(vec2 xz) {
+            vec2 reach = vec2(uShoreGrid.x * (uShoreGrid.y * 0.5 - 1.0));
+            if (any(greaterThan(abs(xz - uShoreCenter), reach))) return -1e4;
+            vec2 g = xz / uShoreGrid.x;
+            vec2 cell = floor(g);
+            vec2 f = g - cell;
+            float h0 = mix(shoreSample(cell), shoreSample(cell + vec2(1.0, 0.0)), f.x);
+            float h1 = mix(shoreSample(cell + vec2(0.0, 1.0)), shoreSample(cell + vec2(1.0, 1.0)), f.x);
+            return mix(h0, h1, f.y);
+        }
 
         void main() {
-            vec3 diffuseColor = uColor + vHeight * 0.05;
-            vec3 lightDir = normalize(vec3(50.0, 80.0, 50.0)); 
+            float depth = vFlatPosition.y - terrainHeightAt(vFlatPosition.xz);
+            vec3 diffuseColor = mix(uShallowColor, uColor * 0.6, smoothstep(0.0, 6.0, depth)) + vHeight * 0.05;
+
+            // Foam: a solid edge where the water meets the ground, and bands rolling in across the shallows.
+            float shallow = 1.0 - smoothstep(0.0, 1.2, depth);
+            float wobble = sin(vFlatPosition.x * 0.4 + uTime) * 0.15 + sin(vFlatPosition.z * 0.37 - uTime * 0.8) * 0.15;
+            float bands = step(0.6, fract(depth * 2.0 - uTime * 0.5 + wobble));
+            float foam = clamp(shallow * bands + 1.0 - smoothstep(0.0, 0.2, depth), 0.0, 1.0);
+            diffuseColor = mix(diffuseColor, vec3(0.92, 0.95, 0.97), foam * 0.85);
+
+            // Sun (or moon) from sky.js
+            vec3 lightDir = uLightDirection;
             float diff = max(dot(vNormal, lightDir), 0.0);
             vec3 viewDir = normalize(cameraPosition - vWorldPosition);
             vec3 halfDir = normalize(lightDir + viewDir);
             float spec = pow(max(dot(vNormal, halfDir), 0.0), 64.0);
-            vec3 lighting = diffuseColor * (0.6 + diff * 0.4) + vec3(1.0) * spec * 0.5;
-            
-            gl_FragColor = vec4(lighting, 0.85); 
+            vec3 lighting = diffuseColor * (0.6 * uSkyAmbient + diff * 0.4 * uLightColor) + uLightColor * spec * 0.5;
+
+            // Planar reflection, nudged by the waves; stronger at grazing angles.
+            float fresnel = 0.2 + 0.6 * pow(1.0 - abs(viewDir.y), 3.0);
+            vec4 reflectionCoord = uReflectionMatrix * vec4(vWorldPosition, 1.0);
+            vec2 reflectionUv = reflectionCoord.xy / reflectionCoord.w + vNormal.xz * 0.03;
+            vec3 reflection = texture2D(uReflectionMap, reflectionUv).rgb;
+            lighting = mix(lighting, reflection, fresnel * uReflectionStrength * (1.0 - foam));
+
+            float alpha = max(mix(0.55, 0.92, smoothstep(0.0, 4.0, depth)), foam);
+            gl_FragColor = vec4(lighting, alpha);
             #include <fog_fragment>
+            ${PSX_DITHER_FRAGMENT}
         }
     `;
 
@@ -274,7 +527,8 @@ export function initResources(scene, globalShaderUniforms, maxAnisotropy = 1) {
         depthTest: true
     });
 
+    materials.waterMat = waterMat;
     waterMesh = new THREE.Mesh(waterGeo, waterMat);
-    waterMesh.position.y = -5;
+    waterMesh.position.y = WATER_LEVEL;
     scene.add(waterMesh);
 }
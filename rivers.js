@@ -0,0 +1,261 @@
+// Deterministic rivers and lakes, shared by terrain.js on the main thread and in chunk workers.
+// Like terrain.js this must stay free of 'three'.
+import { WATER_LEVEL } from './config.js';
+import { mulberry32 } from './rng.js';
+
+// Each RIVER_CELL square may hold one river source. Rivers are traced downhill over the raw
+// heightfield until they reach the sea or get stuck in a basin, where they end in a lake.
+const RIVER_CELL = 160;
+const RIVER_SOURCE_CHANCE = 0.75;
+const RIVER_SOURCE_MIN_HEIGHT = 2.0;
+const RIVER_SOURCE_CANDIDATES = 8;
+const RIVER_STEP = 6.0;
+const RIVER_MAX_STEPS = 120;
+const RIVER_GRADIENT_EPS = 12.0;
+const RIVER_MOMENTUM = 0.6;
+// How far the running minimum may be climbed before a river counts as stuck; smaller bumps are cut through.
+const RIVER_MAX_CLIMB = 1.5;
+const RIVER_SURFACE_BELOW_GROUND = 0.6;
+const RIVER_WIDTH_START = 3.0;
+const RIVER_WIDTH_GROWTH = 0.15;
+const RIVER_WIDTH_MAX = 8.0;
+const RIVER_DEPTH = 1.6;
+const BANK_WIDTH = 6.0;
+const BANK_SLOPE = 0.35;
+const LAKE_RADIUS_MIN = 18.0;
+const LAKE_RADIUS_RANGE = 22.0;
+const LAKE_MAX_FILL = 3.0;
+const LAKE_RIM_SAMPLES = 12;
+const LAKE_DEPTH = 3.5;
+const LAKE_SHORE = 8.0;
+const BUCKET_SIZE = 48;
+// Past this many filled buckets the network forgets everything and retraces on demand, so long trips
+// don't keep growing the caches (one copy on the main thread and one per chunk worker). Well above the
+// buckets a full view distance touches, so it doesn't thrash.
+const BUCKET_CACHE_MAX = 16384;
+const RNG_SALT_RIVERS = 0x2c1b3c6d;
+const SEA_MARGIN = 0.05;
+
+const MAX_FEATURE_REACH = Math.max(RIVER_WIDTH_MAX + BANK_WIDTH, LAKE_RADIUS_MIN + LAKE_RADIUS_RANGE + LAKE_SHORE);
+const CELL_SEARCH = Math.ceil((RIVER_STEP * RIVER_MAX_STEPS + MAX_FEATURE_REACH) / RIVER_CELL);
+const NO_FEATURES = [];
+
+function smoothstep(t) {
+    return t <= 0 ? 0 : t >= 1 ? 1 : t * t * (3 - 2 * t);
+}
+
+// baseHeight is the uncarved heightfield the rivers are traced over.
+export function createWaterNetwork(seed, baseHeight) {
+    const tracedCells = new Set();
+    const buckets = new Map();
+    const readyBuckets = new Set();
+
+    function addFeature(feature) {
+        const minBx = Math.floor(feature.minX / BUCKET_SIZE);
+        const maxBx = Math.floor(feature.maxX / BUCKET_SIZE);
+        const minBz = Math.floor(feature.minZ / BUCKET_SIZE);
+        const maxBz = Math.floor(feature.maxZ / BUCKET_SIZE);
+        for (let bx = minBx; bx <= maxBx; bx++) {
+            for (let bz = minBz; bz <= maxBz; bz++) {
+                const key = `${bx},${bz}`;
+                let list = buckets.get(key);
+                if (!list || list === NO_FEATURES) {
+                    list = [];
+                    buckets.set(key, list);
+                }
+                list.push(feature);
+            }
+        }
+    }
+
+    function addLake(x, z, h, rand) {
+        const radius = LAKE_RADIUS_MIN + rand() * LAKE_RADIUS_RANGE;
+        // Fill to just below the lowest rim sample so the basin holds the water.
+        let rim = Infinity;
+        for (let i = 0; i < LAKE_RIM_SAMPLES; i++) {
+            const a = (i / LAKE_RIM_SAMPLES) * Math.PI * 2;
+            rim = Math.min(rim, baseHeight(x + Math.cos(a) * radius, z + Math.sin(a) * radius));
+        }
+        const level = Math.min(h + LAKE_MAX_FILL, rim - 0.4);
+        if (level <= WATER_LEVEL + SEA_MARGIN) return;
+        const reach = radius + LAKE_SHORE;
+        addFeature({ lake: true, x, z, radius, level, minX: x - reach, maxX: x + reach, minZ: z - reach, maxZ: z + reach });
+    }
+
+    function traceCell(cx, cz) {
+        const rand = mulberry32((Math.imul(cx, 374761393) ^ Math.imul(cz, 668265263) ^ Math.imul(seed ^ RNG_SALT_RIVERS, 0x9E3779B1)) >>> 0);
+        if (rand() > RIVER_SOURCE_CHANCE) return;
+        // Springs start from the highest of a few candidates so rivers run off the hills.
+        let x = 0;
+        let z = 0;
+        let h = -Infinity;
+        for (let i = 0; i < RIVER_SOURCE_CANDIDATES; i++) {
+            const sx = (cx + 0.15 + rand() * 0.7) * RIVER_CELL;
+            const sz = (cz + 0.15 + rand() * 0.7) * RIVER_CELL;
+            const sh = baseHeight(sx, sz);
+            if (sh > h) {
+                x = sx;
+                z = sz;
+                h = sh;
+            }
+        }
+        if (h < RIVER_SOURCE_MIN_HEIGHT) return;
+
+        const points = [{ x, z, level: h - RIVER_SURFACE_BELOW_GROUND }];
+        let minH = h;
+        let minIndex = 0;
+        let dirX = 0;
+        let dirZ = 0;
+        let reachedSea = false;
+        for (let i = 0; i < RIVER_MAX_STEPS; i++) {
+            const gx = baseHeight(x + RIVER_GRADIENT_EPS, z) - baseHeight(x - RIVER_GRADIENT_EPS, z);
+            const gz = baseHeight(x, z + RIVER_GRADIENT_EPS) - baseHeight(x, z - RIVER_GRADIENT_EPS);
+            const glen = Math.hypot(gx, gz);
+            const nx = dirX * RIVER_MOMENTUM - (glen > 1e-6 ? gx / glen : 0);
+            const nz = dirZ * RIVER_MOMENTUM - (glen > 1e-6 ? gz / glen : 0);
+            const nlen = Math.hypot(nx, nz);
+            if (nlen < 1e-6) break;
+            dirX = nx / nlen;
+            dirZ = nz / nlen;
+            x += dirX * RIVER_STEP;
+            z += dirZ * RIVER_STEP;
+            h = baseHeight(x, z);
+            if (h > minH + RIVER_MAX_CLIMB) break;
+            const level = Math.min(points[points.length - 1].level, h - RIVER_SURFACE_BELOW_GROUND);
+            points.push({ x, z, level });
+            if (h < minH) {
+                minH = h;
+                minIndex = points.length - 1;
+            }
+            if (level <= WATER_LEVEL) {
+                reachedSea = true;
+                break;
+            }
+        }
+
+        // Stuck rivers drain into a lake at their lowest point; anything traced past it was climbing out.
+        if (!reachedSea) {
+            points.length = minIndex + 1;
+            addLake(points[minIndex].x, points[minIndex].z, minH, rand);
+        }
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            const wa = Math.min(RIVER_WIDTH_MAX, RIVER_WIDTH_START + i * RIVER_WIDTH_GROWTH);
+            const wb = Math.min(RIVER_WIDTH_MAX, RIVER_WIDTH_START + (i + 1) * RIVER_WIDTH_GROWTH);
+            const reach = Math.max(wa, wb) + BANK_WIDTH;
+            addFeature({
+                lake: false,
+                ax: a.x, az: a.z, bx: b.x, bz: b.z,
+                la: a.level, lb: b.level, wa, wb,
+                minX: Math.min(a.x, b.x) - reach,
+                maxX: Math.max(a.x, b.x) + reach,
+                minZ: Math.min(a.z, b.z) - reach,
+                maxZ: Math.max(a.z, b.z) + reach
+            });
+        }
+    }
+
+    function getFeatures(x, z) {
+        const bx = Math.floor(x / BUCKET_SIZE);
+        const bz = Math.floor(z / BUCKET_SIZE);
+        const key = `${bx},${bz}`;
+        if (!readyBuckets.has(key)) {
+            if (readyBuckets.size >= BUCKET_CACHE_MAX) {
+                // Rivers span many buckets, so the traced cells go too or their segments would be missing.
+                tracedCells.clear();
+                buckets.clear();
+                readyBuckets.clear();
+            }
+            const minCx = Math.floor((bx * BUCKET_SIZE) / RIVER_CELL) - CELL_SEARCH;
+            const maxCx = Math.floor(((bx + 1) * BUCKET_SIZE) / RIVER_CELL) + CELL_SEARCH;
+            const minCz = Math.floor((bz * BUCKET_SIZE) / RIVER_CELL) - CELL_SEARCH;
+            const maxCz = Math.floor(((bz + 1) * BUCKET_SIZE) / RIVER_CELL) + CELL_SEARCH;
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                for (let cz = minCz; cz <= maxCz; cz++) {
+                    const cellKey = `${cx},${cz}`;
+                    if (tracedCells.has(cellKey)) continue;
+                    tracedCells.add(cellKey);
+                    traceCell(cx, cz);
+                }
+            }
+            readyBuckets.add(key);
+            if (!buckets.has(key)) buckets.set(key, NO_FEATURES);
+        }
+        return buckets.get(key);
+    }
+
+    // Distance to a river segment plus the interpolated level and half-width there, in a scratch object.
+    const _seg = { dist: 0, level: 0, width: 0 };
+    function measureSegment(f, x, z) {
+        const dx = f.bx - f.ax;
+        const dz = f.bz - f.az;
+        const len2 = dx * dx + dz * dz;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((x - f.ax) * dx + (z - f.az) * dz) / len2)) : 0;
+        const px = f.ax + dx * t - x;
+        const pz = f.az + dz * t - z;
+        _seg.dist = Math.sqrt(px * px + pz * pz);
+        _seg.level = f.la + (f.lb - f.la) * t;
+        _seg.width = f.wa + (f.wb - f.wa) * t;
+        return _seg;
+    }
+
+    // Channel floor inside `inner`, then a bank that eases back to the untouched height by `inner + shore`.
+    function carveProfile(h, dist, inner, shore, level, depth) {
+        if (dist < inner) {
+            const r = dist / inner;
+            return Math.min(h, level - depth * (1 - r * r));
+        }
+        const target = level + (dist - inner) * BANK_SLOPE;
+        return Math.min(h, target + (h - target) * smoothstep((dist - inner) / shore));
+    }
+
+    function carveHeight(x, z, h) {
+        const features = getFeatures(x, z);
+        let carved = h;
+        for (let i = 0; i < features.length; i++) {
+            const f = features[i];
+            if (x < f.minX || x > f.maxX || z < f.minZ || z > f.maxZ) continue;
+            if (f.lake) {
+                const dist = Math.hypot(x - f.x, z - f.z);
+                if (dist < f.radius + LAKE_SHORE) {
+                    carved = Math.min(carved, carveProfile(h, dist, f.radius, LAKE_SHORE, f.level, LAKE_DEPTH));
+                }
+            } else {
+                const seg = measureSegment(f, x, z);
+                if (seg.dist < seg.width + BANK_WIDTH) {
+                    carved = Math.min(carved, carveProfile(h, seg.dist, seg.width, BANK_WIDTH, seg.level, RIVER_DEPTH));
+                }
+            }
+        }
+        return carved;
+    }
+
+    // Level of the river or lake covering (x, z), or NaN where there is no inland water.
+    function getInlandWaterLevel(x, z) {
+        const features = getFeatures(x, z);
+        let level = -Infinity;
+        for (let i = 0; i < features.length; i++) {
+            const f = features[i];
+            if (x < f.minX || x > f.maxX || z < f.minZ || z > f.maxZ) continue;
+            if (f.lake) {
+                if (f.level > level && Math.hypot(x - f.x, z - f.z) < f.radius + LAKE_SHORE) level = f.level;
+            } else {
+                const seg = measureSegment(f, x, z);
+                if (seg.level > level && seg.dist < seg.width + BANK_WIDTH) level = seg.level;
+            }
+        }
+        return level > WATER_LEVEL + SEA_MARGIN ? level : NaN;
+    }
+
+    function getWaterLevel(x, z) {
+        const level = getInlandWaterLevel(x, z);
+        return Number.isNaN(level) ? WATER_LEVEL : level;
+    }
+
+    return {
+        carveHeight,
+        getInlandWaterLevel,
+        getWaterLevel
+    };
+}
@@ -0,0 +1,51 @@
+import { hashString } from './rng.js';
+
+const SEED_PARAM = 'seed';
+const listeners = new Set();
+
+let worldSeed = readSeedFromUrl() ?? randomSeed();
+writeSeedToUrl(worldSeed);
+
+export function parseSeed(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return Math.floor(value) >>> 0;
+    if (typeof value !== 'string') return null;
+    const str = value.trim();
+    if (!str) return null;
+    if (/^\d+$/.test(str)) return Number(str) >>> 0;
+    return hashString(str);
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export function getWorldSeed() {
+    return worldSeed;
+}
+
+export function setWorldSeed(value) {
+    const seed = parseSeed(value);
+    if (seed === null || seed === worldSeed) return worldSeed;
+    worldSeed = seed;
+    writeSeedToUrl(worldSeed);
+    for (const fn of listeners) fn(worldSeed);
+    return worldSeed;
+}
+
+export function onWorldSeedChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+}
+
+function readSeedFromUrl() {
+    if (typeof window === 'undefined') return null;
+    const params = new URLSearchParams(window.location.search);
+    return parseSeed(params.get(SEED_PARAM));
+}
+
+function writeSeedToUrl(seed) {
+    if (typeof window === 'undefined' || !window.history) return;
+    const url = new URL(window.location.href);
+    url.searchParams.set(SEED_PARAM, String(seed));
+    window.history.replaceState(null, '', url);
+}
@@ -0,0 +1,177 @@
+// Settings that survive reloads, and named physics presets (built-in plus the player's own) that can
+// be switched, saved, exported and imported. Everything lives in localStorage.
+import { physicsParams } from './physics.js';
+import { DEFAULTS, GRAPHICS_SETTINGS, BRUSH_SETTINGS, GAMEPAD_SETTINGS, HUD_SETTINGS, POST_SETTINGS, PSX_SETTINGS, TIME_SETTINGS, WEATHER_SETTINGS, WATER_SETTINGS } from './config.js';
+
+const SETTINGS_STORAGE_KEY = 'inf-planet.settings';
+const PRESETS_STORAGE_KEY = 'inf-planet.presets';
+const PRESET_FILE_VERSION = 1;
+
+// [group name in the saved object, live settings object, keys kept]
+const PERSISTED = [
+    ['physics', physicsParams, ['MOVE_SPEED', 'MAX_AIR_SPEED', 'JUMP_FORCE', 'GRAVITY']],
+    ['graphics', GRAPHICS_SETTINGS, ['CURVATURE', 'VIEW_DISTANCE', 'SHADOWS', 'FOV']],
+    ['brush', BRUSH_SETTINGS, ['RADIUS', 'STRENGTH']],
+    ['gamepad', GAMEPAD_SETTINGS, ['DEADZONE', 'RESPONSE_CURVE', 'LOOK_SPEED', 'INVERT_Y']],
+    ['hud', HUD_SETTINGS, ['STRAFE_HUD', 'MAP_CLOUDS']],
+    ['post', POST_SETTINGS, Object.keys(POST_SETTINGS)],
+    ['psx', PSX_SETTINGS, ['AFFINE', 'COLOR_DEPTH', 'LOW_RES', 'RESOLUTION']],
+    ['time', TIME_SETTINGS, ['TIME_OF_DAY', 'TIME_SPEED']],
+    ['weather', WEATHER_SETTINGS, ['MODE']],
+    ['water', WATER_SETTINGS, ['REFLECTIONS']]
+];
+
+export const PRESET_PARAMS = ['MOVE_SPEED', 'JUMP_FORCE', 'GRAVITY', 'MAX_AIR_SPEED'];
+
+export const BUILTIN_PRESETS = {
+    'Default': { MOVE_SPEED: DEFAULTS.MOVE_SPEED, JUMP_FORCE: DEFAULTS.JUMP_FORCE, GRAVITY: DEFAULTS.GRAVITY, MAX_AIR_SPEED: DEFAULTS.MAX_AIR_SPEED },
+    'CS-like': { MOVE_SPEED: 8, JUMP_FORCE: 13, GRAVITY: 45, MAX_AIR_SPEED: 2.0 },
+    'Quake-like': { MOVE_SPEED: 10, JUMP_FORCE: 14, GRAVITY: 40, MAX_AIR_SPEED: 4.0 },
+    'Floaty': { MOVE_SPEED: 7, JUMP_FORCE: 12, GRAVITY: 15, MAX_AIR_SPEED: 5.0 },
+    'Moon gravity': { MOVE_SPEED: 7, JUMP_FORCE: 10, GRAVITY: 6.5, MAX_AIR_SPEED: 3.5 }
+};
+
+// Post-processing looks; each one is a full set of POST_SETTINGS values.
+const POST_DEFAULTS = { ...POST_SETTINGS };
+const POST_ALL_OFF = { ...POST_DEFAULTS, DOF: false, CHROMA: false, BLOOM: false, WARP: false, TRACKING: false, VIGNETTE: false, PERSISTENCE: false };
+export const POST_PRESETS = {
+    'Default': POST_DEFAULTS,
+    'Clean': { ...POST_ALL_OFF, RENDER_SCALE: 1, GRAIN: 0, EXPOSURE: 1 },
+    'PSX': { ...POST_ALL_OFF, RENDER_SCALE: 0.35, GRAIN: 0.015, EXPOSURE: 1.1, VIGNETTE: true, VIGNETTE_AMOUNT: 0.3 },
+    'Worn VHS': {
+        ...POST_DEFAULTS, RENDER_SCALE: 0.5, GRAIN: 0.09, CHROMA_SHIFT: 0.004, SOFTEN: 0.45, BLOOM_STRENGTH: 0.4,
+        WARP_AMOUNT: 0.015, TRACKING_AMOUNT: 0.025, PERSISTENCE_MIX: 0.45
+    },
+    'Arcade CRT': {
+        ...POST_DEFAULTS, DOF: false, TRACKING: false, GRAIN: 0.02, CHROMA_SHIFT: 0.001, BLOOM_STRENGTH: 0.9,
+        WARP_AMOUNT: 0.06, VIGNETTE_AMOUNT: 0.8, PERSISTENCE_MIX: 0.15
+    }
+};
+
+function readStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch {
+        return null;
+    }
+}
+
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Storage full or disabled: settings last for this session.
+    }
+}
+
+const sameType = (current, value) => typeof value === typeof current && (typeof value !== 'number' || Number.isFinite(value));
+
+// Writes saved values over the live settings objects; returns the saved extras
+// ({ sensitivity, preset }) for the caller to apply, or null when nothing was saved.
+export function restoreSettings() {
+    const saved = readStorage(SETTINGS_STORAGE_KEY);
+    if (!saved || typeof saved !== 'object') return null;
+    for (const [group, target, keys] of PERSISTED) {
+        const values = saved[group];
+        if (!values || typeof values !== 'object') continue;
+        for (const key of keys) {
+            if (sameType(target[key], values[key])) target[key] = values[key];
+        }
+    }
+    return {
+        sensitivity: Number.isFinite(saved.sensitivity) ? saved.sensitivity : DEFAULTS.SENSITIVITY,
+        preset: typeof saved.preset === 'string' ? saved.preset : ''
+    };
+}
+
+export function saveSettings(sensitivity, preset) {
+    const data = { sensitivity, preset };
+    for (const [group, target, keys] of PERSISTED) {
+        data[group] = Object.fromEntries(keys.map(key => [key, target[key]]));
+    }
+    writeStorage(SETTINGS_STORAGE_KEY, data);
+}
+
+function loadUserPresets() {
+    const saved = readStorage(PRESETS_STORAGE_KEY);
+    return saved && typeof saved === 'object' ? saved : {};
+}
+
+export function getPresetNames() {
+    return [...Object.keys(BUILTIN_PRESETS), ...Object.keys(loadUserPresets())];
+}
+
+export function isBuiltinPreset(name) {
+    return Object.hasOwn(BUILTIN_PRESETS, name);
+}
+
+export function getPreset(name) {
+    return BUILTIN_PRESETS[name] ?? loadUserPresets()[name] ?? null;
+}
+
+export function applyPreset(name) {
+    const preset = getPreset(name);
+    if (!preset) return false;
+    for (const key of PRESET_PARAMS) physicsParams[key] = preset[key];
+    return true;
+}
+
+function parsePresetParams(params) {
+    if (!params || typeof params !== 'object' || !PRESET_PARAMS.every(k => typeof params[k] === 'number' && Number.isFinite(params[k]) && params[k] > 0)) {
+        throw new Error('Bad preset values');
+    }
+    return Object.fromEntries(PRESET_PARAMS.map(k => [k, params[k]]));
+}
+
+// Saves the current physics tunables under `name`; throws with a readable message on a bad name.
+export function saveUserPreset(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) throw new Error('Preset needs a name');
+    if (isBuiltinPreset(trimmed)) throw new Error(`"${trimmed}" is a built-in preset`);
+    const presets = loadUserPresets();
+    presets[trimmed] = parsePresetParams(physicsParams);
+    writeStorage(PRESETS_STORAGE_KEY, presets);
+    return trimmed;
+}
+
+export function deleteUserPreset(name) {
+    const presets = loadUserPresets();
+    if (!Object.hasOwn(presets, name)) return false;
+    delete presets[name];
+    writeStorage(PRESETS_STORAGE_KEY, presets);
+    return true;
+}
+
+export function serializePreset(name) {
+    const preset = getPreset(name);
+    if (!preset) return null;
+    return { version: PRESET_FILE_VERSION, name, params: { ...preset } };
+}
+
+// Stores an exported preset as one of the player's own; a clash with a built-in name gets a suffix.
+// Returns the name it was saved under; throws with a readable message on a bad file.
+export function importPreset(data) {
+    if (!data || typeof data !== 'object' || data.version !== PRESET_FILE_VERSION) {
+        throw new Error('Unsupported preset file');
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('Preset needs a name');
+    const params = parsePresetParams(data.params);
+    let name = data.name.trim();
+    if (isBuiltinPreset(name)) name = `${name} (imported)`;
+    const presets = loadUserPresets();
+    presets[name] = params;
+    writeStorage(PRESETS_STORAGE_KEY, presets);
+    return name;
+}
+
+export function applyPostPreset(name) {
+    if (!Object.hasOwn(POST_PRESETS, name)) return false;
+    Object.assign(POST_SETTINGS, POST_PRESETS[name]);
+    return true;
+}
+
+// The preset the current post settings match, or '' once any of them has been changed by hand.
+export function getPostPresetName() {
+    return Object.keys(POST_PRESETS).find(name =>
+        Object.entries(POST_PRESETS[name]).every(([key, value]) => POST_SETTINGS[key] === value)) ?? '';
+}
@@ -0,0 +1,169 @@
+// Time of day: moves the sun and moon, works out the sky, fog and light colours for the hour, and
+// draws a gradient sky dome with stars at night. main.js applies `skyState` to its lights and fog.
+import * as THREE from 'three';
+import { TIME_SETTINGS } from './config.js';
+import { PSX_FRAGMENT_PARS, PSX_DITHER_FRAGMENT } from './psx.js';
+
+const DOME_RADIUS = 900;
+// Tilt of the sun's path away from straight overhead; the sun peaks at 90 - SUN_TILT degrees.
+const SUN_TILT = THREE.MathUtils.degToRad(35);
+const SUN_INTENSITY = 1.6;
+const MOON_INTENSITY = 0.3;
+
+const DAY_ZENITH = new THREE.Color(0x3a7bd5);
+const DAY_HORIZON = new THREE.Color(0x6fa8dc);
+const DUSK_ZENITH = new THREE.Color(0x34507a);
+const DUSK_HORIZON = new THREE.Color(0xf08a4b);
+const NIGHT_ZENITH = new THREE.Color(0x02040c);
+const NIGHT_HORIZON = new THREE.Color(0x0b1426);
+const SUN_COLOR = new THREE.Color(0xffffff);
+const SUNSET_COLOR = new THREE.Color(0xffa060);
+const MOON_COLOR = new THREE.Color(0x8899cc);
+const HEMI_DAY_SKY = new THREE.Color(0xffffff);
+const HEMI_NIGHT_SKY = new THREE.Color(0x223355);
+const HEMI_DAY_GROUND = new THREE.Color(0x444444);
+const HEMI_NIGHT_GROUND = new THREE.Color(0x111118);
+const CLOUD_DAY = new THREE.Color(0xf8f8f8);
+const CLOUD_DUSK = new THREE.Color(0xf0b090);
+const CLOUD_NIGHT = new THREE.Color(0x1c2233);
+
+export const skyState = {
+    // Unit vectors pointing at the sun and moon.
+    sunDirection: new THREE.Vector3(),
+    moonDirection: new THREE.Vector3(),
+    // Toward whichever of the two is lighting the world.
+    lightDirection: new THREE.Vector3(),
+    lightColor: new THREE.Color(),
+    lightIntensity: 0,
+    // lightColor times intensity, scaled so the midday sun is white; for hand-written shaders (water).
+    shaderLightColor: new THREE.Color(),
+    // 1 at full day, 0 at night.
+    daylight: 1,
+    zenithColor: new THREE.Color(),
+    horizonColor: new THREE.Color(),
+    hemiSkyColor: new THREE.Color(),
+    hemiGroundColor: new THREE.Color(),
+    hemiIntensity: 1,
+    ambientIntensity: 0.55,
+    cloudColor: new THREE.Color(),
+    // 1 when the sun, moon and stars show through; weather.js lowers it under cloud.
+    clearSky: 1
+};
+
+let domeMesh;
+let domeUniforms;
+
+export function initSky(scene, globalShaderUniforms) {
+    domeUniforms = {
+        uZenithColor: { value: skyState.zenithColor },
+        uHorizonColor: { value: skyState.horizonColor },
+        uSunDirection: { value: skyState.sunDirection },
+        uMoonDirection: { value: skyState.moonDirection },
+        uDaylight: { value: 1 },
+        uClearSky: { value: 1 },
+        uPsxAffine: globalShaderUniforms.uPsxAffine,
+        uPsxDither: globalShaderUniforms.uPsxDither
+    };
+    const material = new THREE.ShaderMaterial({
+        uniforms: domeUniforms,
+        vertexShader: `
+            varying vec3 vDirection;
+            void main() {
+                vDirection = position;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            varying vec3 vDirection;
+            uniform vec3 uZenithColor;
+            uniform vec3 uHorizonColor;
+            uniform vec3 uSunDirection;
+            uniform vec3 uMoonDirection;
+            uniform float uDaylight;
+            uniform float uClearSky;
+            ${PSX_FRAGMENT_PARS}
+
+            float hash(vec3 p) {
+                return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+            }
+
+            void main() {
+                vec3 dir = normalize(vDirection);
+                float up = max(dir.y, 0.0);
+                vec3 col = mix(uHorizonColor, uZenithColor, pow(up, 0.6));
+
+                // Stars: sparse cells on the upper half, fading in as daylight goes.
+                vec3 cell = floor(dir * 260.0);
+                float star = step(0.9975, hash(cell)) * smoothstep(0.0, 0.15, dir.y);
+                col += vec3(star * (1.0 - uDaylight) * uClearSky * (0.6 + 0.4 * hash(cell + 1.0)));
+
+                float sunDot = dot(dir, uSunDirection);
+                col += vec3(1.0, 0.85, 0.6) * (pow(max(sunDot, 0.0), 400.0) * 0.6 + smoothstep(0.9992, 0.9996, sunDot)) * uClearSky;
+                float moonDot = dot(dir, uMoonDirection);
+                col += vec3(0.75, 0.8, 0.9) * smoothstep(0.9994, 0.9997, moonDot) * (1.0 - uDaylight * 0.7) * uClearSky;
+
+                gl_FragColor = vec4(col, 1.0);
+                ${PSX_DITHER_FRAGMENT}
+            }
+        `,
+        side: THREE.BackSide,
+        depthWrite: false,
+        fog: false
+    });
+    domeMesh = new THREE.Mesh(new THREE.SphereGeometry(DOME_RADIUS, 32, 16), material);
+    domeMesh.frustumCulled = false;
+    domeMesh.renderOrder = -1;
+    // Read at draw time, after weather.js has had its say on the frame's sky state.
+    domeMesh.onBeforeRender = () => {
+        domeUniforms.uDaylight.value = skyState.daylight;
+        domeUniforms.uClearSky.value = skyState.clearSky;
+    };
+    scene.add(domeMesh);
+    computeSky();
+}
+
+function computeSky() {
+    const hours = TIME_SETTINGS.TIME_OF_DAY;
+    // Rises in the east (+x) at 6:00, peaks at 12:00, sets in the west at 18:00.
+    const angle = ((hours - 6) / 24) * Math.PI * 2;
+    skyState.sunDirection.set(Math.cos(angle), Math.sin(angle) * Math.cos(SUN_TILT), Math.sin(angle) * Math.sin(SUN_TILT));
+    skyState.moonDirection.copy(skyState.sunDirection).negate();
+
+    const sunHeight = skyState.sunDirection.y;
+    const daylight = THREE.MathUtils.smoothstep(sunHeight, -0.1, 0.15);
+    // Strongest with the sun on the horizon, gone once it's well up or well down.
+    const dusk = 1 - THREE.MathUtils.smoothstep(Math.abs(sunHeight + 0.02), 0.0, 0.3);
+    skyState.daylight = daylight;
+    skyState.clearSky = 1;
+
+    skyState.zenithColor.copy(NIGHT_ZENITH).lerp(DAY_ZENITH, daylight).lerp(DUSK_ZENITH, dusk * 0.5);
+    skyState.horizonColor.copy(NIGHT_HORIZON).lerp(DAY_HORIZON, daylight).lerp(DUSK_HORIZON, dusk * 0.7);
+
+    const sunIntensity = SUN_INTENSITY * THREE.MathUtils.smoothstep(sunHeight, -0.05, 0.1);
+    const moonIntensity = MOON_INTENSITY * THREE.MathUtils.smoothstep(-sunHeight, -0.05, 0.1);
+    if (sunIntensity >= moonIntensity) {
+        skyState.lightDirection.copy(skyState.sunDirection);
+        skyState.lightColor.copy(SUN_COLOR).lerp(SUNSET_COLOR, dusk);
+        skyState.lightIntensity = sunIntensity;
+    } else {
+        skyState.lightDirection.copy(skyState.moonDirection);
+        skyState.lightColor.copy(MOON_COLOR);
+        skyState.lightIntensity = moonIntensity;
+    }
+    skyState.shaderLightColor.copy(skyState.lightColor).multiplyScalar(skyState.lightIntensity / SUN_INTENSITY);
+
+    skyState.hemiSkyColor.copy(HEMI_NIGHT_SKY).lerp(HEMI_DAY_SKY, daylight);
+    skyState.hemiGroundColor.copy(HEMI_NIGHT_GROUND).lerp(HEMI_DAY_GROUND, daylight);
+    skyState.hemiIntensity = THREE.MathUtils.lerp(0.35, 1.0, daylight);
+    skyState.ambientIntensity = THREE.MathUtils.lerp(0.15, 0.55, daylight);
+    skyState.cloudColor.copy(CLOUD_NIGHT).lerp(CLOUD_DAY, daylight).lerp(CLOUD_DUSK, dusk * 0.6);
+}
+
+// Advances the clock only while `running` (the game isn't paused), so the settings slider holds still.
+export function updateSky(dt, camera, running) {
+    if (running && TIME_SETTINGS.TIME_SPEED > 0) {
+        TIME_SETTINGS.TIME_OF_DAY = (TIME_SETTINGS.TIME_OF_DAY + dt * TIME_SETTINGS.TIME_SPEED / 60) % 24;
+    }
+    computeSky();
+    domeMesh.position.copy(camera.position);
+}
@@ -0,0 +1,178 @@
+// Bhop analytics fed from the physics tick: a rolling speed graph, strafe sync (turning the same way
+// as the strafe input), speed gained per hop, perfect-hop detection and velocity vs view direction.
+import * as THREE from 'three';
+import { velocity, onGround, onPhysicsTick } from './physics.js';
+import { HUD_SETTINGS, PHYSICS_TICK_RATE } from './config.js';
+
+const GRAPH_SECONDS = 5;
+const GRAPH_TICKS_PER_SAMPLE = 4;
+const GRAPH_SAMPLES = Math.round(GRAPH_SECONDS * PHYSICS_TICK_RATE / GRAPH_TICKS_PER_SAMPLE);
+const GRAPH_MIN_TOP = 20;
+const HOPS_AVERAGED = 10;
+// Longer on the ground than this and the hop chain is broken.
+const CHAIN_BREAK_TICKS = Math.round(PHYSICS_TICK_RATE * 0.25);
+const MIN_DIRECTION_SPEED = 0.5;
+
+let hudEl, graphCanvas, graphCtx, dirCanvas, dirCtx, syncEl, gainEl, hopEl, angleEl;
+const speeds = new Float32Array(GRAPH_SAMPLES);
+let speedHead = 0;
+let tickCount = 0;
+let lastYaw = null;
+let turnTicks = 0;
+let syncTicks = 0;
+let groundTicks = 0;
+let chainSpeed = null;
+let lastHop = null;
+let recentSyncs = [];
+let velocityAngle = 0;
+let dirty = true;
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+function wrapAngle(a) {
+    return a - Math.PI * 2 * Math.round(a / (Math.PI * 2));
+}
+
+function onTick(input, camera, jumped) {
+    _euler.setFromQuaternion(camera.quaternion, 'YXZ');
+    const yaw = _euler.y;
+    const yawDelta = lastYaw === null ? 0 : wrapAngle(yaw - lastYaw);
+    lastYaw = yaw;
+    const speed = Math.hypot(velocity.x, velocity.z);
+
+    if (++tickCount % GRAPH_TICKS_PER_SAMPLE === 0) {
+        speeds[speedHead] = speed;
+        speedHead = (speedHead + 1) % GRAPH_SAMPLES;
+    }
+    // Yaw of the velocity (0 = looking down -z, like the camera), relative to where the player looks.
+    if (speed > MIN_DIRECTION_SPEED) velocityAngle = wrapAngle(Math.atan2(-velocity.x, -velocity.z) - yaw);
+
+    if (jumped) {
+        // The jump tick started on the ground; a perfect hop leaves on the first tick after landing.
+        lastHop = {
+            sync: turnTicks > 0 ? syncTicks / turnTicks : null,
+            gain: chainSpeed === null ? null : speed - chainSpeed,
+            perfect: chainSpeed !== null && groundTicks <= 1,
+            speed
+        };
+        if (lastHop.sync !== null) recentSyncs = [...recentSyncs, lastHop.sync].slice(-HOPS_AVERAGED);
+        chainSpeed = speed;
+        turnTicks = 0;
+        syncTicks = 0;
+        groundTicks = 0;
+    } else if (onGround) {
+        groundTicks++;
+        if (groundTicks > CHAIN_BREAK_TICKS) chainSpeed = null;
+    } else if (yawDelta !== 0) {
+        // Positive yaw turns left; strafing left is moveLeft or the stick pushed left.
+        const strafe = (input.moveLeft ? 1 : 0) - (input.moveRight ? 1 : 0) - Math.sign(input.moveX ?? 0);
+        turnTicks++;
+        if (Math.sign(strafe) === Math.sign(yawDelta)) syncTicks++;
+    }
+    dirty = true;
+}
+
+export function initStrafeHud() {
+    hudEl = document.getElementById('strafeHud');
+    if (!hudEl) return;
+    graphCanvas = document.getElementById('strafe-graph');
+    graphCtx = graphCanvas.getContext('2d');
+    dirCanvas = document.getElementById('strafe-direction');
+    dirCtx = dirCanvas.getContext('2d');
+    syncEl = document.getElementById('strafe-sync');
+    gainEl = document.getElementById('strafe-gain');
+    hopEl = document.getElementById('strafe-hop');
+    angleEl = document.getElementById('strafe-angle');
+    onPhysicsTick(onTick);
+}
+
+function percent(v) {
+    return v === null ? '--' : `${Math.round(v * 100)}%`;
+}
+
+function drawGraph() {
+    const w = graphCanvas.width;
+    const h = graphCanvas.height;
+    let top = GRAPH_MIN_TOP;
+    for (let i = 0; i < GRAPH_SAMPLES; i++) top = Math.max(top, speeds[i]);
+    top = Math.ceil(top / 10) * 10;
+
+    graphCtx.clearRect(0, 0, w, h);
+    graphCtx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    graphCtx.fillRect(0, 0, w, h);
+    graphCtx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    graphCtx.lineWidth = 1;
+    graphCtx.beginPath();
+    for (let v = 10; v < top; v += 10) {
+        const y = h - (v / top) * h;
+        graphCtx.moveTo(0, y);
+        graphCtx.lineTo(w, y);
+    }
+    graphCtx.stroke();
+
+    graphCtx.strokeStyle = '#aaffaa';
+    graphCtx.lineWidth = 1.5;
+    graphCtx.beginPath();
+    for (let i = 0; i < GRAPH_SAMPLES; i++) {
+        const v = speeds[(speedHead + i) % GRAPH_SAMPLES];
+        const x = (i / (GRAPH_SAMPLES - 1)) * w;
+        const y = h - (v / top) * h;
+        if (i === 0) graphCtx.moveTo(x, y);
+        else graphCtx.lineTo(x, y);
+    }
+    graphCtx.stroke();
+    graphCtx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    graphCtx.font = '10px monospace';
+    graphCtx.fillText(String(top), 3, 10);
+}
+
+// View straight up, velocity as the arrow: left of up means moving left of where the player looks.
+function drawDirection() {
+    const w = dirCanvas.width;
+    const h = dirCanvas.height;
+    const cx = w / 2;
+    const cy = h / 2;
+    const r = Math.min(w, h) / 2 - 3;
+    dirCtx.clearRect(0, 0, w, h);
+    dirCtx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    dirCtx.beginPath();
+    dirCtx.arc(cx, cy, r, 0, Math.PI * 2);
+    dirCtx.fill();
+    dirCtx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    dirCtx.lineWidth = 1;
+    dirCtx.beginPath();
+    dirCtx.moveTo(cx, cy);
+    dirCtx.lineTo(cx, cy - r);
+    dirCtx.stroke();
+
+    const speed = Math.hypot(velocity.x, velocity.z);
+    if (speed <= MIN_DIRECTION_SPEED) return;
+    dirCtx.strokeStyle = '#ffd24d';
+    dirCtx.lineWidth = 2.5;
+    dirCtx.beginPath();
+    dirCtx.moveTo(cx, cy);
+    dirCtx.lineTo(cx - Math.sin(velocityAngle) * r, cy - Math.cos(velocityAngle) * r);
+    dirCtx.stroke();
+}
+
+// Per frame; redraws only when a physics tick has run since the last frame.
+export function updateStrafeHud(active) {
+    if (!hudEl) return;
+    const visible = active && HUD_SETTINGS.STRAFE_HUD;
+    hudEl.style.display = visible ? 'block' : 'none';
+    if (!visible || !dirty) return;
+    dirty = false;
+
+    drawGraph();
+    drawDirection();
+    const average = recentSyncs.length ? recentSyncs.reduce((a, b) => a + b, 0) / recentSyncs.length : null;
+    syncEl.innerText = `Sync ${percent(lastHop ? lastHop.sync : null)} (avg ${percent(average)})`;
+    if (lastHop && lastHop.gain !== null) {
+        gainEl.innerText = `${lastHop.gain >= 0 ? '+' : ''}${lastHop.gain.toFixed(1)} u/s`;
+        gainEl.className = lastHop.gain >= 0 ? 'ahead' : 'behind';
+    } else {
+        gainEl.innerText = '';
+    }
+    hopEl.innerText = lastHop && lastHop.perfect ? 'PERFECT' : '';
+    const speed = Math.hypot(velocity.x, velocity.z);
+    angleEl.innerText = speed > MIN_DIRECTION_SPEED ? `${Math.round(Math.abs(velocityAngle) * 180 / Math.PI)}°` : '';
+}
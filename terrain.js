@@ -0,0 +1,403 @@
+// Pure terrain generation shared by the main thread and chunkWorker.js.
+// Must not import 'three' or other bare specifiers: import maps do not apply inside workers.
+import { CHUNK_SIZE, TREE_COUNT, GRASS_COUNT, RUIN_CHANCE } from './config.js';
+import { mulberry32 } from './rng.js';
+import { createWaterNetwork } from './rivers.js';
+import { RUIN_LAYOUTS } from './prefabs.js';
+import { BIOMES, TREE_SPECIES, GRASS_VARIANTS, computeBiomeWeights, dominantBiomeIndex, pickWeighted, accumulateRampColor } from './biomes.js';
+
+export const TERRAIN_SEGMENTS = 32;
+const SMOOTH_SAMPLE_DIST = 1.5;
+const RNG_SALT_TREES = 1013904223;
+const RNG_SALT_GRASS = 277803737;
+const RNG_SALT_LOD_TREES = 1597334677;
+const RNG_SALT_RUINS = 2246822519;
+const RUIN_MAX_SLOPE = 6.0;
+const RUIN_SINK = 0.2;
+const LOD_WATER_COLOR = [0x3b / 255, 0x7d / 255, 0x9c / 255];
+const NOISE_SALT_TEMPERATURE = 0x68e31da4;
+const NOISE_SALT_MOISTURE = 0xb5297a4d;
+const CLIMATE_SCALE = 0.0015;
+const CLIMATE_CONTRAST = 1.4;
+
+function srgbToLinear(c) {
+    return (c < 0.04045) ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+// Column-major TRS matrix with a yaw-only rotation, matching Object3D.updateMatrix().
+function writeInstanceMatrix(out, offset, px, py, pz, sx, sy, sz, yaw) {
+    const c = Math.cos(yaw);
+    const s = Math.sin(yaw);
+    out[offset] = c * sx; out[offset + 1] = 0; out[offset + 2] = -s * sx; out[offset + 3] = 0;
+    out[offset + 4] = 0; out[offset + 5] = sy; out[offset + 6] = 0; out[offset + 7] = 0;
+    out[offset + 8] = s * sz; out[offset + 9] = 0; out[offset + 10] = c * sz; out[offset + 11] = 0;
+    out[offset + 12] = px; out[offset + 13] = py; out[offset + 14] = pz; out[offset + 15] = 1;
+}
+
+// `edits` (terrainEdits.js) is optional; its deltas are added on top of the smoothed height.
+export function createTerrainGenerator(createNoise2D, seed, edits = null) {
+    const noise2D = createNoise2D(mulberry32(seed));
+    const temperatureNoise = createNoise2D(mulberry32((seed ^ NOISE_SALT_TEMPERATURE) >>> 0));
+    const moistureNoise = createNoise2D(mulberry32((seed ^ NOISE_SALT_MOISTURE) >>> 0));
+    const _weights = new Float64Array(BIOMES.length);
+    const _placementWeights = new Float64Array(BIOMES.length);
+    const _color = [0, 0, 0];
+
+    function seedFromCoords(cx, cz, salt = 0) {
+        let h = cx * 374761393 + cz * 668265263 + salt * 700001 + Math.imul(seed, 0x9E3779B1);
+        h = (h ^ (h >> 13)) >>> 0;
+        return h;
+    }
+
+    // Temperature/moisture are very low frequency, so one sample per query is enough for the smoothing taps below.
+    function sampleBiomeWeights(x, z, out = _weights) {
+        const t = Math.max(-1, Math.min(1, temperatureNoise(x * CLIMATE_SCALE, z * CLIMATE_SCALE) * CLIMATE_CONTRAST));
+        const m = Math.max(-1, Math.min(1, moistureNoise(x * CLIMATE_SCALE, z * CLIMATE_SCALE) * CLIMATE_CONTRAST));
+        return computeBiomeWeights(t, m, out);
+    }
+
+    function rawTerrainHeight(x, z, weights = sampleBiomeWeights(x, z)) {
+        let n = noise2D(x * 0.008, z * 0.008);
+        const ridge = Math.pow(1.0 - Math.abs(n), 1.5);
+        const detail = noise2D(x * 0.04, z * 0.04);
+        let y = 0;
+        for (let i = 0; i < BIOMES.length; i++) {
+            const shape = BIOMES[i].height;
+            y += weights[i] * (ridge * shape.ridge + detail * shape.detail + shape.offset);
+        }
+        return y;
+    }
+
+    // Rivers are traced over the raw heightfield and then carved into the smoothed one below.
+    const water = createWaterNetwork(seed, (x, z) => rawTerrainHeight(x, z));
+
+    function getTerrainHeight(x, z) {
+        // Smooth peaks by blending neighboring samples; center weighted to keep form while softening ridges.
+        const d = SMOOTH_SAMPLE_DIST;
+        const w = sampleBiomeWeights(x, z);
+        const h0 = rawTerrainHeight(x, z, w);
+        const h1 = rawTerrainHeight(x + d, z, w);
+        const h2 = rawTerrainHeight(x - d, z, w);
+        const h3 = rawTerrainHeight(x, z + d, w);
+        const h4 = rawTerrainHeight(x, z - d, w);
+        const h = water.carveHeight(x, z, (h0 * 2 + h1 + h2 + h3 + h4) / 6);
+        return edits ? h + edits.getDelta(x, z) : h;
+    }
+
+    // Blended biome colour in sRGB 0..1, used directly by the map and linearised for vertex colours.
+    function getTerrainColor(x, z, h, out = [0, 0, 0]) {
+        const w = sampleBiomeWeights(x, z);
+        out[0] = 0; out[1] = 0; out[2] = 0;
+        for (let i = 0; i < BIOMES.length; i++) {
+            if (w[i] > 0.001) accumulateRampColor(BIOMES[i].ramp, h, w[i], out);
+        }
+        return out;
+    }
+
+    function getBiome(x, z) {
+        return BIOMES[dominantBiomeIndex(sampleBiomeWeights(x, z))];
+    }
+
+    // Vertex layout matches PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE, TERRAIN_SEGMENTS, TERRAIN_SEGMENTS).rotateX(-PI / 2).
+    function computeGridNormals(heights, out) {
+        const row = TERRAIN_SEGMENTS + 1;
+        const step = CHUNK_SIZE / TERRAIN_SEGMENTS;
+        const addFace = (a, b, c) => {
+            const ax = (a % row) * step, az = Math.floor(a / row) * step, ay = heights[a];
+            const bx = (b % row) * step, bz = Math.floor(b / row) * step, by = heights[b];
+            const cx = (c % row) * step, cz = Math.floor(c / row) * step, cy = heights[c];
+            const e1x = cx - bx, e1y = cy - by, e1z = cz - bz;
+            const e2x = ax - bx, e2y = ay - by, e2z = az - bz;
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            for (const v of [a, b, c]) {
+                out[v * 3] += nx;
+                out[v * 3 + 1] += ny;
+                out[v * 3 + 2] += nz;
+            }
+        };
+        for (let iz = 0; iz < TERRAIN_SEGMENTS; iz++) {
+            for (let ix = 0; ix < TERRAIN_SEGMENTS; ix++) {
+                const a = ix + row * iz;
+                const b = ix + row * (iz + 1);
+                const c = (ix + 1) + row * (iz + 1);
+                const d = (ix + 1) + row * iz;
+                addFace(a, b, d);
+                addFace(b, c, d);
+            }
+        }
+        for (let i = 0; i < out.length; i += 3) {
+            const len = Math.hypot(out[i], out[i + 1], out[i + 2]) || 1;
+            out[i] /= len;
+            out[i + 1] /= len;
+            out[i + 2] /= len;
+        }
+    }
+
+    // Density, slope and species rules for one tree candidate; null when nothing grows there.
+    function placeTree(wx, wz, rand) {
+        const h = getTerrainHeight(wx, wz);
+        const weights = sampleBiomeWeights(wx, wz, _placementWeights);
+        let threshold = 0;
+        for (let b = 0; b < BIOMES.length; b++) threshold += weights[b] * BIOMES[b].treeThreshold;
+        const density = noise2D(wx * 0.02, wz * 0.02);
+        if (density < threshold) return null;
+
+        const h2 = getTerrainHeight(wx + 2, wz);
+        const slope = Math.abs(h - h2);
+        if (h <= water.getWaterLevel(wx, wz) + 1 || slope >= 1.5) return null;
+
+        const biome = BIOMES[pickWeighted(weights, rand())];
+        const species = biome.trees[Math.floor(rand() * biome.trees.length)];
+        const scale = 0.8 + rand() * 0.6;
+        const heightScale = scale * (0.8 + rand() * 0.4) * (TREE_SPECIES[species].heightScale ?? 1.0);
+        const yaw = rand() * Math.PI;
+        return { y: h - 0.2, s: scale, hs: heightScale, species, yaw };
+    }
+
+    // At most one ruin per chunk, kept clear of the chunk border and of water; null when none spawns.
+    function placeRuin(cx, cz) {
+        const rand = mulberry32(seedFromCoords(cx, cz, RNG_SALT_RUINS));
+        if (rand() > RUIN_CHANCE) return null;
+        const layout = RUIN_LAYOUTS[Math.floor(rand() * RUIN_LAYOUTS.length)];
+        const span = CHUNK_SIZE * 0.5 - layout.radius;
+        const x = cx * CHUNK_SIZE + (rand() * 2 - 1) * span;
+        const z = cz * CHUNK_SIZE + (rand() * 2 - 1) * span;
+        const yaw = rand() * Math.PI * 2;
+        const c = Math.cos(yaw);
+        const s = Math.sin(yaw);
+        const structures = [];
+        let minH = Infinity;
+        let maxH = -Infinity;
+        for (const piece of layout.pieces) {
+            const px = x + c * piece.dx + s * piece.dz;
+            const pz = z - s * piece.dx + c * piece.dz;
+            const h = getTerrainHeight(px, pz);
+            if (h <= water.getWaterLevel(px, pz) + 0.5) return null;
+            minH = Math.min(minH, h);
+            maxH = Math.max(maxH, h);
+            structures.push({ type: piece.type, x: px, y: h - RUIN_SINK, z: pz, yaw: yaw + piece.yaw });
+        }
+        if (maxH - minH > RUIN_MAX_SLOPE) return null;
+        return { x, z, radius: layout.radius, structures };
+    }
+
+    // Everything needed to build a chunk, as transferable typed arrays plus the tree and structure collider lists.
+    function generateChunkData(cx, cz) {
+        const randTree = mulberry32(seedFromCoords(cx, cz, RNG_SALT_TREES));
+        const randGrass = mulberry32(seedFromCoords(cx, cz, RNG_SALT_GRASS));
+
+        const row = TERRAIN_SEGMENTS + 1;
+        const vertexCount = row * row;
+        const step = CHUNK_SIZE / TERRAIN_SEGMENTS;
+        const half = CHUNK_SIZE * 0.5;
+        const heights = new Float32Array(vertexCount);
+        const colors = new Float32Array(vertexCount * 3);
+        const normals = new Float32Array(vertexCount * 3);
+        // River / lake surface per vertex (NaN where dry); the sea is the separate global water plane.
+        const waterLevels = new Float32Array(vertexCount);
+        let hasWater = false;
+        let minY = Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < vertexCount; i++) {
+            const x = (i % row) * step - half + cx * CHUNK_SIZE;
+            const z = Math.floor(i / row) * step - half + cz * CHUNK_SIZE;
+            const h = getTerrainHeight(x, z);
+            const level = water.getInlandWaterLevel(x, z);
+            heights[i] = h;
+            waterLevels[i] = level;
+            if (level > h) {
+                hasWater = true;
+                if (level > maxY) maxY = level;
+            }
+            if (h < minY) minY = h;
+            if (h > maxY) maxY = h;
+            getTerrainColor(x, z, h, _color);
+            colors[i * 3] = srgbToLinear(_color[0]);
+            colors[i * 3 + 1] = srgbToLinear(_color[1]);
+            colors[i * 3 + 2] = srgbToLinear(_color[2]);
+        }
+        computeGridNormals(heights, normals);
+
+        const ruin = placeRuin(cx, cz);
+        const treeBatches = {};
+        const trees = [];
+        for (let i = 0; i < TREE_COUNT * 3; i++) {
+            if (trees.length >= TREE_COUNT) break;
+
+            const rx = (randTree() - 0.5) * CHUNK_SIZE;
+            const rz = (randTree() - 0.5) * CHUNK_SIZE;
+            const wx = cx * CHUNK_SIZE + rx;
+            const wz = cz * CHUNK_SIZE + rz;
+
+            let tooClose = false;
+            for (const t of trees) {
+                const dx = t.x - wx;
+                const dz = t.z - wz;
+                if (dx*dx + dz*dz < 25) {
+                    tooClose = true;
+                    break;
+                }
+            }
+            if (tooClose) continue;
+            if (ruin && (ruin.x - wx) * (ruin.x - wx) + (ruin.z - wz) * (ruin.z - wz) < ruin.radius * ruin.radius) continue;
+
+            const tree = placeTree(wx, wz, randTree);
+            if (!tree) continue;
+            let batch = treeBatches[tree.species];
+            if (!batch) {
+                batch = treeBatches[tree.species] = { species: tree.species, count: 0, matrices: new Float32Array(TREE_COUNT * 16) };
+            }
+            writeInstanceMatrix(batch.matrices, batch.count * 16, rx, tree.y, rz, tree.s, tree.hs, tree.s, tree.yaw);
+            batch.count++;
+            trees.push({ x: wx, z: wz, s: tree.s, hs: tree.hs, species: tree.species, leaves: TREE_SPECIES[tree.species].leaves });
+        }
+
+        const grassBatches = {};
+        for (let i = 0; i < GRASS_COUNT; i++) {
+            const rx = (randGrass() - 0.5) * CHUNK_SIZE;
+            const rz = (randGrass() - 0.5) * CHUNK_SIZE;
+            const wx = cx * CHUNK_SIZE + rx;
+            const wz = cz * CHUNK_SIZE + rz;
+            const h = getTerrainHeight(wx, wz);
+
+            if (h <= water.getWaterLevel(wx, wz)) continue;
+            const weights = sampleBiomeWeights(wx, wz, _placementWeights);
+            let density = 0;
+            for (let b = 0; b < BIOMES.length; b++) density += weights[b] * BIOMES[b].grassDensity;
+            if (randGrass() > density) continue;
+
+            let variant = BIOMES[pickWeighted(weights, randGrass())].grass;
+            // Sand / beach zone uses dry grass
+            if (h < 0.0 && variant !== 'swamp') variant = 'dry';
+
+            const slope = Math.abs(getTerrainHeight(wx + 0.5, wz) - h) + Math.abs(getTerrainHeight(wx, wz + 0.5) - h);
+            const embed = 0.05 + Math.min(0.18, slope * 0.08);
+            const s = 0.8 + randGrass() * 0.5;
+            const yaw = randGrass() * Math.PI;
+            let batch = grassBatches[variant];
+            if (!batch) {
+                batch = grassBatches[variant] = { variant, count: 0, matrices: new Float32Array(GRASS_COUNT * 16) };
+            }
+            writeInstanceMatrix(batch.matrices, batch.count * 16, rx, h - embed, rz, s, s, s, yaw);
+            batch.count++;
+        }
+
+        return {
+            cx,
+            cz,
+            heights,
+            colors,
+            normals,
+            waterLevels: hasWater ? waterLevels : null,
+            minY,
+            maxY,
+            trees,
+            structures: ruin ? ruin.structures : [],
+            treeBatches: Object.values(treeBatches).map(b => ({ species: b.species, matrices: b.matrices.slice(0, b.count * 16) })),
+            grassBatches: GRASS_VARIANTS
+                .filter(v => grassBatches[v])
+                .map(v => ({ variant: v, matrices: grassBatches[v].matrices.slice(0, grassBatches[v].count * 16) }))
+        };
+    }
+
+    // Coarse tile for the LOD rings, in world coordinates. Tile (tx, tz) covers chunks
+    // [tx * tileChunks, (tx + 1) * tileChunks) on each axis. Water is flattened in since the
+    // water plane and river meshes only exist in the full-detail area.
+    function generateLodTileData(tx, tz, lod) {
+        const segments = lod.segments;
+        const row = segments + 1;
+        const size = lod.tileChunks * CHUNK_SIZE;
+        const step = size / segments;
+        const originX = (tx * lod.tileChunks - 0.5) * CHUNK_SIZE;
+        const originZ = (tz * lod.tileChunks - 0.5) * CHUNK_SIZE;
+        const heights = new Float32Array(row * row);
+        const colors = new Float32Array(row * row * 3);
+        let minY = Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < row * row; i++) {
+            const x = originX + (i % row) * step;
+            const z = originZ + Math.floor(i / row) * step;
+            let h = getTerrainHeight(x, z);
+            const level = water.getWaterLevel(x, z);
+            if (h < level) {
+                h = level - 0.3;
+                _color[0] = LOD_WATER_COLOR[0]; _color[1] = LOD_WATER_COLOR[1]; _color[2] = LOD_WATER_COLOR[2];
+            } else {
+                getTerrainColor(x, z, h, _color);
+            }
+            heights[i] = h;
+            if (h < minY) minY = h;
+            if (h > maxY) maxY = h;
+            colors[i * 3] = srgbToLinear(_color[0]);
+            colors[i * 3 + 1] = srgbToLinear(_color[1]);
+            colors[i * 3 + 2] = srgbToLinear(_color[2]);
+        }
+
+        let treeCount = 0;
+        let treeMatrices = new Float32Array(0);
+        let treeColors = new Float32Array(0);
+        if (lod.trees) {
+            const candidates = TREE_COUNT * lod.tileChunks * lod.tileChunks;
+            const rand = mulberry32(seedFromCoords(tx, tz, RNG_SALT_LOD_TREES + lod.tileChunks));
+            treeMatrices = new Float32Array(candidates * 16);
+            treeColors = new Float32Array(candidates * 3);
+            for (let i = 0; i < candidates; i++) {
+                const wx = originX + rand() * size;
+                const wz = originZ + rand() * size;
+                const tree = placeTree(wx, wz, rand);
+                if (!tree) continue;
+                writeInstanceMatrix(treeMatrices, treeCount * 16, wx, tree.y, wz, tree.s, tree.hs, tree.s, tree.yaw);
+                const hex = TREE_SPECIES[tree.species].color;
+                treeColors[treeCount * 3] = srgbToLinear(((hex >> 16) & 255) / 255);
+                treeColors[treeCount * 3 + 1] = srgbToLinear(((hex >> 8) & 255) / 255);
+                treeColors[treeCount * 3 + 2] = srgbToLinear((hex & 255) / 255);
+                if (tree.y + 9 * tree.hs > maxY) maxY = tree.y + 9 * tree.hs;
+                treeCount++;
+            }
+        }
+
+        return {
+            tx,
+            tz,
+            heights,
+            colors,
+            minY,
+            maxY,
+            treeMatrices: treeMatrices.slice(0, treeCount * 16),
+            treeColors: treeColors.slice(0, treeCount * 3)
+        };
+    }
+
+    return {
+        seed,
+        edits,
+        noise2D,
+        rawTerrainHeight,
+        getTerrainHeight,
+        getTerrainColor,
+        getBiome,
+        getWaterLevel: water.getWaterLevel,
+        getInlandWaterLevel: water.getInlandWaterLevel,
+        sampleBiomeWeights,
+        generateChunkData,
+        generateLodTileData
+    };
+}
+
+export function getChunkDataTransferables(data) {
+    const buffers = [];
+    for (const value of Object.values(data)) {
+        if (ArrayBuffer.isView(value)) {
+            buffers.push(value.buffer);
+        } else if (Array.isArray(value)) {
+            for (const item of value) {
+                if (item && ArrayBuffer.isView(item.matrices)) buffers.push(item.matrices.buffer);
+            }
+        }
+    }
+    return buffers;
+}
@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { BRUSH_SETTINGS } from './config.js';
+import { actions } from './input.js';
+import { materials } from './resources.js';
+import { getTerrainHeight, applyTerrainBrush, placeStructure, removeStructureNear } from './world.js';
+import { BRUSH_MODES } from './terrainEdits.js';
+import { PREFABS, PREFAB_TYPES } from './prefabs.js';
+
+const BRUSH_NAMES = { raise: 'Raise', lower: 'Lower', smooth: 'Smooth', flatten: 'Flatten' };
+const BRUSH_INTERVAL = 1 / 20;
+const MARKER_SEGMENTS = 48;
+const MARKER_LIFT = 0.15;
+const RAY_STEP = 0.5;
+// Slots after the brushes place prefabs; these settle slightly into the ground like generated ruins.
+const PLACE_MARKER_RADIUS = 1.5;
+const PLACE_SINK = 0.2;
+const REMOVE_RADIUS = 6;
+
+let editCamera;
+let editControls;
+let shaderUniforms;
+let marker;
+let hudEl;
+let brushEl;
+let strokeTime = 0;
+let wasSculpting = false;
+const _origin = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _hit = new THREE.Vector3();
+
+export function initTerrainEditor(scene, camera, controls, globalShaderUniforms) {
+    editCamera = camera;
+    editControls = controls;
+    shaderUniforms = globalShaderUniforms;
+    hudEl = document.getElementById('edit-hud');
+    brushEl = document.getElementById('edit-brush');
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MARKER_SEGMENTS * 3), 3));
+    marker = new THREE.LineLoop(geometry, materials.brushMarkerMat);
+    marker.frustumCulled = false;
+    marker.renderOrder = 10;
+    marker.visible = false;
+    scene.add(marker);
+}
+
+// Marches the view ray against the terrain as drawn, i.e. lowered by the world curvature around the camera.
+function raycastTerrain(origin, dir, maxDist, out) {
+    const curvature = shaderUniforms?.uCurvature.value ?? 0;
+    const surfaceGap = (t) => {
+        const x = origin.x + dir.x * t;
+        const z = origin.z + dir.z * t;
+        const dx = x - origin.x;
+        const dz = z - origin.z;
+        return origin.y + dir.y * t - (getTerrainHeight(x, z) - (dx * dx + dz * dz) * curvature);
+    };
+    let prev = 0;
+    for (let t = RAY_STEP; t <= maxDist; t += RAY_STEP) {
+        if (surfaceGap(t) > 0) {
+            prev = t;
+            continue;
+        }
+        let lo = prev;
+        let hi = t;
+        for (let i = 0; i < 8; i++) {
+            const mid = (lo + hi) * 0.5;
+            if (surfaceGap(mid) > 0) lo = mid;
+            else hi = mid;
+        }
+        out.copy(origin).addScaledVector(dir, hi);
+        out.y = getTerrainHeight(out.x, out.z);
+        return out;
+    }
+    return null;
+}
+
+function updateMarker(center, radius) {
+    const pos = marker.geometry.attributes.position;
+    for (let i = 0; i < MARKER_SEGMENTS; i++) {
+        const a = (i / MARKER_SEGMENTS) * Math.PI * 2;
+        const x = center.x + Math.cos(a) * radius;
+        const z = center.z + Math.sin(a) * radius;
+        pos.setXYZ(i, x, getTerrainHeight(x, z) + MARKER_LIFT, z);
+    }
+    pos.needsUpdate = true;
+}
+
+export function updateTerrainEditor(dt) {
+    if (!marker) return;
+    const prefab = PREFAB_TYPES[actions.tool - BRUSH_MODES.length];
+    const mode = prefab ? null : (BRUSH_MODES[actions.tool] ?? BRUSH_MODES[0]);
+    if (hudEl) hudEl.style.display = actions.edit ? 'inline' : 'none';
+    if (brushEl && actions.edit) {
+        brushEl.textContent = prefab
+            ? `Place ${PREFABS[prefab].name}`
+            : `${BRUSH_NAMES[mode]} (r ${BRUSH_SETTINGS.RADIUS.toFixed(0)})`;
+    }
+
+    const hit = actions.edit && editControls.isActive
+        ? raycastTerrain(editCamera.getWorldPosition(_origin), editCamera.getWorldDirection(_dir), BRUSH_SETTINGS.REACH, _hit)
+        : null;
+    const erase = actions.erase;
+    actions.erase = false;
+    const clicked = actions.sculpt && !wasSculpting;
+    wasSculpting = actions.sculpt;
+    marker.visible = !!hit;
+    if (!hit) {
+        strokeTime = 0;
+        return;
+    }
+    if (erase) removeStructureNear(hit.x, hit.z, REMOVE_RADIUS);
+    if (prefab) {
+        updateMarker(hit, PLACE_MARKER_RADIUS);
+        if (clicked) {
+            // Prefabs extend along their local +z, so face them away from the camera.
+            const yaw = Math.atan2(_dir.x, _dir.z);
+            placeStructure({ type: prefab, x: hit.x, y: hit.y - PLACE_SINK, z: hit.z, yaw });
+        }
+        return;
+    }
+    updateMarker(hit, BRUSH_SETTINGS.RADIUS);
+
+    if (!actions.sculpt) {
+        strokeTime = 0;
+        return;
+    }
+    // Dabs go out at a fixed rate so strength doesn't depend on frame rate or flood the chunk workers.
+    strokeTime += dt;
+    if (strokeTime < BRUSH_INTERVAL) return;
+    const elapsed = strokeTime;
+    strokeTime = 0;
+    const amount = (mode === 'raise' || mode === 'lower')
+        ? BRUSH_SETTINGS.STRENGTH * elapsed
+        : 1 - Math.exp(-BRUSH_SETTINGS.STRENGTH * 0.5 * elapsed);
+    applyTerrainBrush({ mode, x: hit.x, z: hit.z, radius: BRUSH_SETTINGS.RADIUS, amount });
+}
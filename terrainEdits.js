@@ -0,0 +1,189 @@
+// Sculpted height deltas layered over the generated terrain, shared by the main thread and chunkWorker.js.
+// Like terrain.js this must stay free of 'three'.
+import { CHUNK_SIZE } from './config.js';
+import { TERRAIN_SEGMENTS } from './terrain.js';
+import { parseSeed } from './seed.js';
+
+// Deltas live on the chunk vertex lattice: lattice point (gx, gz) sits at world
+// (gx * EDIT_STEP - CHUNK_SIZE / 2, gz * EDIT_STEP - CHUNK_SIZE / 2). Each chunk owns the
+// TERRAIN_SEGMENTS x TERRAIN_SEGMENTS points starting at its own vertex 0, so shared border
+// vertices are stored once, by the chunk on their +x / +z side.
+export const EDIT_STEP = CHUNK_SIZE / TERRAIN_SEGMENTS;
+const HALF_CHUNK = CHUNK_SIZE * 0.5;
+
+export function createHeightEdits() {
+    const chunks = new Map();
+
+    function getLatticeDelta(gx, gz) {
+        const cx = Math.floor(gx / TERRAIN_SEGMENTS);
+        const cz = Math.floor(gz / TERRAIN_SEGMENTS);
+        const grid = chunks.get(`${cx},${cz}`);
+        if (!grid) return 0;
+        return grid[(gz - cz * TERRAIN_SEGMENTS) * TERRAIN_SEGMENTS + (gx - cx * TERRAIN_SEGMENTS)];
+    }
+
+    // Returns the owning chunk key so callers can collect what changed.
+    function addLatticeDelta(gx, gz, amount) {
+        const cx = Math.floor(gx / TERRAIN_SEGMENTS);
+        const cz = Math.floor(gz / TERRAIN_SEGMENTS);
+        const key = `${cx},${cz}`;
+        let grid = chunks.get(key);
+        if (!grid) {
+            grid = new Float32Array(TERRAIN_SEGMENTS * TERRAIN_SEGMENTS);
+            chunks.set(key, grid);
+        }
+        grid[(gz - cz * TERRAIN_SEGMENTS) * TERRAIN_SEGMENTS + (gx - cx * TERRAIN_SEGMENTS)] += amount;
+        return key;
+    }
+
+    // Bilinear between lattice points, so edited vertices land exactly on their delta.
+    function getDelta(x, z) {
+        if (chunks.size === 0) return 0;
+        const fx = worldToLattice(x);
+        const fz = worldToLattice(z);
+        const gx = Math.floor(fx);
+        const gz = Math.floor(fz);
+        const tx = fx - gx;
+        const tz = fz - gz;
+        const d00 = getLatticeDelta(gx, gz);
+        const d10 = getLatticeDelta(gx + 1, gz);
+        const d01 = getLatticeDelta(gx, gz + 1);
+        const d11 = getLatticeDelta(gx + 1, gz + 1);
+        return (d00 * (1 - tx) + d10 * tx) * (1 - tz) + (d01 * (1 - tx) + d11 * tx) * tz;
+    }
+
+    function setChunk(key, grid) {
+        if (grid) chunks.set(key, grid);
+        else chunks.delete(key);
+    }
+
+    function getChunk(key) {
+        return chunks.get(key) ?? null;
+    }
+
+    function chunkKeys() {
+        return chunks.keys();
+    }
+
+    function clear() {
+        chunks.clear();
+    }
+
+    return {
+        getDelta,
+        getLatticeDelta,
+        addLatticeDelta,
+        setChunk,
+        getChunk,
+        chunkKeys,
+        clear,
+        get size() {
+            return chunks.size;
+        }
+    };
+}
+
+export function latticeToWorld(g) {
+    return g * EDIT_STEP - HALF_CHUNK;
+}
+
+export function worldToLattice(v) {
+    return (v + HALF_CHUNK) / EDIT_STEP;
+}
+
+export const BRUSH_MODES = ['raise', 'lower', 'smooth', 'flatten'];
+
+// Sculpts the lattice points inside the brush circle. `getHeight` must already include the edits.
+// `amount` is units of height for raise/lower and a 0..1 blend for smooth/flatten; falloff is a
+// smooth bump so repeated dabs don't leave rims. Returns the keys of chunks whose deltas changed.
+export function applyHeightBrush(edits, getHeight, { mode, x, z, radius, amount }) {
+    const changed = new Set();
+    const minGx = Math.ceil(worldToLattice(x - radius));
+    const maxGx = Math.floor(worldToLattice(x + radius));
+    const minGz = Math.ceil(worldToLattice(z - radius));
+    const maxGz = Math.floor(worldToLattice(z + radius));
+    const target = mode === 'flatten' ? getHeight(x, z) : 0;
+    const updates = [];
+
+    for (let gz = minGz; gz <= maxGz; gz++) {
+        for (let gx = minGx; gx <= maxGx; gx++) {
+            const px = latticeToWorld(gx);
+            const pz = latticeToWorld(gz);
+            const r2 = ((px - x) * (px - x) + (pz - z) * (pz - z)) / (radius * radius);
+            if (r2 >= 1) continue;
+            const falloff = (1 - r2) * (1 - r2);
+            let change = 0;
+            if (mode === 'raise') {
+                change = amount * falloff;
+            } else if (mode === 'lower') {
+                change = -amount * falloff;
+            } else {
+                const h = getHeight(px, pz);
+                const goal = mode === 'flatten'
+                    ? target
+                    : (getHeight(px - EDIT_STEP, pz) + getHeight(px + EDIT_STEP, pz) +
+                        getHeight(px, pz - EDIT_STEP) + getHeight(px, pz + EDIT_STEP)) * 0.25;
+                change = (goal - h) * Math.min(1, amount * falloff);
+            }
+            if (change !== 0) updates.push(gx, gz, change);
+        }
+    }
+
+    // Applied after sampling so smoothing reads one consistent surface.
+    for (let i = 0; i < updates.length; i += 3) {
+        changed.add(edits.addLatticeDelta(updates[i], updates[i + 1], updates[i + 2]));
+    }
+    return changed;
+}
+
+const EDITS_FILE_VERSION = 1;
+
+function encodeGrid(grid) {
+    const bytes = new Uint8Array(grid.buffer, grid.byteOffset, grid.byteLength);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeGrid(text) {
+    const binary = atob(text);
+    if (binary.length !== TERRAIN_SEGMENTS * TERRAIN_SEGMENTS * 4) return null;
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Float32Array(bytes.buffer);
+}
+
+export function serializeHeightEdits(edits, seed) {
+    const chunks = {};
+    for (const key of edits.chunkKeys()) chunks[key] = encodeGrid(edits.getChunk(key));
+    return {
+        version: EDITS_FILE_VERSION,
+        seed,
+        chunkSize: CHUNK_SIZE,
+        segments: TERRAIN_SEGMENTS,
+        chunks
+    };
+}
+
+// Validates a saved edits file; throws with a readable message when it can't be used in this build.
+export function parseHeightEdits(data) {
+    if (!data || typeof data !== 'object' || data.version !== EDITS_FILE_VERSION) {
+        throw new Error('Unsupported terrain edits file');
+    }
+    if (data.chunkSize !== CHUNK_SIZE || data.segments !== TERRAIN_SEGMENTS) {
+        throw new Error('Terrain edits were saved with a different chunk layout');
+    }
+    // The grids only make sense on the world they were made on.
+    const seed = parseSeed(data.seed);
+    if (seed === null) throw new Error('Terrain edits file has no valid world seed');
+    const chunks = [];
+    for (const [key, text] of Object.entries(data.chunks ?? {})) {
+        if (!/^-?\d+,-?\d+$/.test(key)) throw new Error(`Bad chunk key "${key}" in terrain edits`);
+        const grid = typeof text === 'string' ? decodeGrid(text) : null;
+        if (!grid) throw new Error(`Bad chunk data for ${key} in terrain edits`);
+        chunks.push([key, grid]);
+    }
+    return { seed, chunks };
+}
@@ -0,0 +1,142 @@
+// On-screen controls for phones and tablets: a floating joystick on the left half of the screen,
+// drag-to-look on the right half, and jump / crouch / map / pause buttons. Play runs without
+// pointer lock through the controls' 'touch' engagement.
+import { setTouchStick, setActionHeld } from './input.js';
+import { toggleLargeMap } from './LargeMap.js';
+import { TOUCH_SETTINGS } from './config.js';
+
+let controlsRef;
+let layerEl;
+let stickEl;
+let knobEl;
+let stickTouch = null;
+let lookTouch = null;
+
+export function initTouchControls(controls) {
+    controlsRef = controls;
+    layerEl = document.getElementById('touch-controls');
+    stickEl = document.getElementById('touch-stick');
+    knobEl = document.getElementById('touch-knob');
+    if (!layerEl) return;
+
+    // Decides whether the next lock() engages touch play or asks for pointer lock.
+    document.addEventListener('pointerdown', (e) => {
+        controls.preferTouch = e.pointerType === 'touch';
+    }, true);
+
+    layerEl.addEventListener('touchstart', onTouchStart, { passive: false });
+    layerEl.addEventListener('touchmove', onTouchMove, { passive: false });
+    layerEl.addEventListener('touchend', onTouchEnd);
+    layerEl.addEventListener('touchcancel', onTouchEnd);
+
+    bindHoldButton('touch-jump', 'jump');
+    bindHoldButton('touch-crouch', 'crouch');
+    bindTapButton('touch-map', () => toggleLargeMap());
+    bindTapButton('touch-pause', () => controls.engage(null));
+
+    controls.addEventListener('lock', updateVisibility);
+    controls.addEventListener('unlock', updateVisibility);
+}
+
+function updateVisibility() {
+    const active = controlsRef.touchActive;
+    layerEl.classList.toggle('active', active);
+    layerEl.classList.toggle('suspended', !active && controlsRef.suspendedBy === 'touch');
+    if (!active) releaseAll();
+}
+
+function releaseAll() {
+    stickTouch = null;
+    lookTouch = null;
+    setTouchStick(0, 0);
+    resetStick();
+    setActionHeld('jump', false);
+    setActionHeld('crouch', false);
+}
+
+function bindHoldButton(id, action) {
+    const button = document.getElementById(id);
+    button.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        setActionHeld(action, true);
+    }, { passive: false });
+    const release = (e) => {
+        e.stopPropagation();
+        setActionHeld(action, false);
+    };
+    button.addEventListener('touchend', release);
+    button.addEventListener('touchcancel', release);
+}
+
+function bindTapButton(id, fn) {
+    const button = document.getElementById(id);
+    button.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        fn();
+    }, { passive: false });
+}
+
+function stickRadius() {
+    return stickEl.offsetWidth / 2;
+}
+
+function resetStick() {
+    stickEl.style.left = '';
+    stickEl.style.top = '';
+    stickEl.style.bottom = '';
+    knobEl.style.transform = '';
+}
+
+function onTouchStart(e) {
+    e.preventDefault();
+    for (const touch of e.changedTouches) {
+        if (touch.clientX < window.innerWidth / 2) {
+            if (stickTouch) continue;
+            // The stick recentres under the thumb wherever it lands on the left half.
+            const r = stickRadius();
+            stickTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+            stickEl.style.left = `${touch.clientX - r}px`;
+            stickEl.style.top = `${touch.clientY - r}px`;
+            stickEl.style.bottom = 'auto';
+        } else if (!lookTouch) {
+            lookTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+        }
+    }
+}
+
+function onTouchMove(e) {
+    e.preventDefault();
+    for (const touch of e.changedTouches) {
+        if (stickTouch && touch.identifier === stickTouch.id) {
+            const r = stickRadius();
+            let dx = touch.clientX - stickTouch.x;
+            let dy = touch.clientY - stickTouch.y;
+            const len = Math.hypot(dx, dy);
+            if (len > r) {
+                dx *= r / len;
+                dy *= r / len;
+            }
+            knobEl.style.transform = `translate(${dx}px, ${dy}px)`;
+            setTouchStick(dx / r, -dy / r);
+        } else if (lookTouch && touch.identifier === lookTouch.id) {
+            controlsRef.mouseAccum.x += (touch.clientX - lookTouch.x) * TOUCH_SETTINGS.LOOK_SCALE;
+            controlsRef.mouseAccum.y += (touch.clientY - lookTouch.y) * TOUCH_SETTINGS.LOOK_SCALE;
+            lookTouch.x = touch.clientX;
+            lookTouch.y = touch.clientY;
+        }
+    }
+}
+
+function onTouchEnd(e) {
+    for (const touch of e.changedTouches) {
+        if (stickTouch && touch.identifier === stickTouch.id) {
+            stickTouch = null;
+            setTouchStick(0, 0);
+            resetStick();
+        } else if (lookTouch && touch.identifier === lookTouch.id) {
+            lookTouch = null;
+        }
+    }
+}
@@ -1,9 +1,17 @@
-import { physicsParams, playerPos, velocity } from './physics.js';
-import { DEFAULTS, CHUNK_SIZE, GRAPHICS_SETTINGS, CURVATURE_STRENGTH } from './config.js';
-import { activeChunks, getTerrainHeight } from './world.js';
+import { physicsParams, playerPos, velocity, breath } from './physics.js';
+import { DEFAULTS, SWIM_CONSTANTS, PHYSICS_TICK_RATE, CHUNK_SIZE, GRAPHICS_SETTINGS, CURVATURE_STRENGTH, VIEW_DISTANCE, BRUSH_SETTINGS, GAMEPAD_SETTINGS, HUD_SETTINGS, POST_SETTINGS, PSX_SETTINGS, PSX_RESOLUTIONS, TIME_SETTINGS, WEATHER_SETTINGS, WATER_SETTINGS, WATER_REFLECTION_LEVELS } from './config.js';
+import { activeChunks, getTerrainHeight, getBiomeAt, exportTerrainEdits, importTerrainEdits, clearTerrainEdits, hasTerrainEdits } from './world.js';
 import { initLargeMap, toggleLargeMap, updateLargeMapWithCamera } from './LargeMap.js';
-import { keys } from './input.js';
+import { actions, ACTIONS, MAX_BINDINGS_PER_ACTION, getBindings, setBinding, clearBinding, resetBindings, onBindingsChange, getActionLabel, formatInputCode, captureNextInput } from './input.js';
 import { mapRenderer } from './MapRenderer.js';
+import { getWorldSeed, setWorldSeed, randomSeed, onWorldSeedChange } from './seed.js';
+import { drawGhostOnMap } from './ghost.js';
+import { getCourse, getCourseBests, onCourseChange, clearCourse, serializeCourse, importCourse, drawCourseOnMap } from './courses.js';
+import { restoreSettings, saveSettings, getPresetNames, isBuiltinPreset, applyPreset, saveUserPreset, deleteUserPreset, serializePreset, importPreset, POST_PRESETS, applyPostPreset, getPostPresetName } from './settings.js';
+import { POST_PASSES, POST_DISPLAY_PARAMS } from './postProcessing.js';
+import { onCvarChange } from './console.js';
+import { WEATHER_STATES, setWeatherMode, onWeatherModeChange } from './weather.js';
+import { getDemo, getDemoMode, getDemoProgress, startDemoRecording, startDemoPlayback, stopDemo, demoReplacesEdits, onDemoModeChange, serializeDemo, parseDemo } from './demo.js';
 import * as THREE from 'three';
 
 let minimapCtx;
@@ -18,7 +26,8 @@ let lastMapKey = false;
 // Throttled HUD updates
 let hudTimer = 0;
 const HUD_INTERVAL = 0.1;
-let velEl, posEl;
+let velEl, posEl, biomeEl, demoHudEl, demoStatusEl, breathHudEl, breathBarEl;
+let courseHudEl, courseTimeEl, courseGateEl, courseSplitEl, ghostDeltaEl;
 
 const _forward = new THREE.Vector3();
 const _zAxis = new THREE.Vector3(0, 0, -1);
@@ -29,6 +38,16 @@ export function initUI(controls) {
     const speedHud = document.getElementById('speedHud');
     velEl = document.getElementById('vel');
     posEl = document.getElementById('pos');
+    biomeEl = document.getElementById('biome');
+    demoHudEl = document.getElementById('demo-hud');
+    demoStatusEl = document.getElementById('demo-status');
+    courseHudEl = document.getElementById('courseHud');
+    courseTimeEl = document.getElementById('course-time');
+    courseGateEl = document.getElementById('course-gate');
+    courseSplitEl = document.getElementById('course-split');
+    ghostDeltaEl = document.getElementById('ghost-delta');
+    breathHudEl = document.getElementById('breathHud');
+    breathBarEl = document.getElementById('breath-bar');
 
     const sensSlider = document.getElementById('sensSlider');
     const speedSlider = document.getElementById('speedSlider');
@@ -36,9 +55,62 @@ export function initUI(controls) {
     const gravitySlider = document.getElementById('gravitySlider');
     const airMaxSlider = document.getElementById('airMaxSlider');
     const curvatureSlider = document.getElementById('curvatureSlider');
+    const viewDistanceSlider = document.getElementById('viewDistanceSlider');
     const targetFpsInput = document.getElementById('targetFpsInput');
     const resetBtn = document.getElementById('resetBtn');
+    const seedInput = document.getElementById('seedInput');
+    const applySeedBtn = document.getElementById('applySeedBtn');
+    const randomSeedBtn = document.getElementById('randomSeedBtn');
+    const deadzoneSlider = document.getElementById('deadzoneSlider');
+    const stickCurveSlider = document.getElementById('stickCurveSlider');
+    const lookSpeedSlider = document.getElementById('lookSpeedSlider');
+    const invertYCheckbox = document.getElementById('invertYCheckbox');
+    const brushRadiusSlider = document.getElementById('brushRadiusSlider');
+    const brushStrengthSlider = document.getElementById('brushStrengthSlider');
+    const saveEditsBtn = document.getElementById('saveEditsBtn');
+    const loadEditsBtn = document.getElementById('loadEditsBtn');
+    const clearEditsBtn = document.getElementById('clearEditsBtn');
+    const editsFileInput = document.getElementById('editsFileInput');
+    const saveCourseBtn = document.getElementById('saveCourseBtn');
+    const loadCourseBtn = document.getElementById('loadCourseBtn');
+    const clearCourseBtn = document.getElementById('clearCourseBtn');
+    const courseFileInput = document.getElementById('courseFileInput');
+    const courseBestsEl = document.getElementById('course-bests');
+    const recordDemoBtn = document.getElementById('recordDemoBtn');
+    const playDemoBtn = document.getElementById('playDemoBtn');
+    const stopDemoBtn = document.getElementById('stopDemoBtn');
+    const saveDemoBtn = document.getElementById('saveDemoBtn');
+    const loadDemoBtn = document.getElementById('loadDemoBtn');
+    const demoFileInput = document.getElementById('demoFileInput');
+    const showBindingsBtn = document.getElementById('showBindingsBtn');
+    const resetBindingsBtn = document.getElementById('resetBindingsBtn');
+    const bindingsList = document.getElementById('bindings-list');
+    const bindingsStatus = document.getElementById('bindings-status');
     const settingsMenu = document.getElementById('settings-menu');
+    const toggleShadowBtn = document.getElementById('toggleShadowBtn');
+    const strafeHudCheckbox = document.getElementById('strafeHudCheckbox');
+    const mapCloudsCheckbox = document.getElementById('mapCloudsCheckbox');
+    const presetSelect = document.getElementById('presetSelect');
+    const savePresetBtn = document.getElementById('savePresetBtn');
+    const deletePresetBtn = document.getElementById('deletePresetBtn');
+    const exportPresetBtn = document.getElementById('exportPresetBtn');
+    const importPresetBtn = document.getElementById('importPresetBtn');
+    const presetFileInput = document.getElementById('presetFileInput');
+    const timeOfDaySlider = document.getElementById('timeOfDaySlider');
+    const timeSpeedSlider = document.getElementById('timeSpeedSlider');
+    const weatherSelect = document.getElementById('weatherSelect');
+    const waterReflectionSelect = document.getElementById('waterReflectionSelect');
+    const psxAffineCheckbox = document.getElementById('psxAffineCheckbox');
+    const psxColorCheckbox = document.getElementById('psxColorCheckbox');
+    const psxLowResCheckbox = document.getElementById('psxLowResCheckbox');
+    const psxResolutionSelect = document.getElementById('psxResolutionSelect');
+    const postPresetSelect = document.getElementById('postPresetSelect');
+    const showPostBtn = document.getElementById('showPostBtn');
+    const postPassesList = document.getElementById('post-passes');
+
+    // Saved values go into the settings objects before any slider reads them below.
+    const restored = restoreSettings();
+    controls.pointerSpeed = restored ? restored.sensitivity : DEFAULTS.SENSITIVITY;
 
     minimapCanvas = document.getElementById('minimap');
     minimapCtx = minimapCanvas.getContext('2d');
@@ -67,6 +139,15 @@ export function initUI(controls) {
     settingsMenu.addEventListener('click', (e) => e.stopPropagation());
     settingsMenu.addEventListener('mousedown', (e) => e.stopPropagation());
 
+    const persistSettings = () => saveSettings(controls.pointerSpeed, presetSelect ? presetSelect.value : '');
+    const physicsSliders = [speedSlider, jumpSlider, gravitySlider, airMaxSlider];
+    // Runs after each control's own handler, so the settings objects already hold the new value.
+    settingsMenu.addEventListener('input', (e) => {
+        if (presetSelect && physicsSliders.includes(e.target)) presetSelect.value = '';
+        persistSettings();
+    });
+    settingsMenu.addEventListener('change', persistSettings);
+
     function updateDisplay(id, val) {
         const el = document.getElementById(id);
         if(el) el.innerText = val;
@@ -115,6 +196,526 @@ export function initUI(controls) {
         applyCurvature(parseFloat(curvatureSlider.value));
     }
 
+    if (viewDistanceSlider) {
+        const applyViewDistance = (v) => {
+            GRAPHICS_SETTINGS.VIEW_DISTANCE = v;
+            updateDisplay('val-viewdist', v);
+        };
+        viewDistanceSlider.addEventListener('input', (e) => {
+            applyViewDistance(parseFloat(e.target.value));
+        });
+        viewDistanceSlider.value = GRAPHICS_SETTINGS.VIEW_DISTANCE ?? VIEW_DISTANCE;
+        applyViewDistance(parseFloat(viewDistanceSlider.value));
+    }
+
+    if (seedInput) {
+        const showSeed = (seed) => {
+            seedInput.value = seed;
+            updateDisplay('seed', seed);
+        };
+        const applySeed = () => {
+            showSeed(setWorldSeed(seedInput.value));
+        };
+        applySeedBtn.addEventListener('click', applySeed);
+        randomSeedBtn.addEventListener('click', () => showSeed(setWorldSeed(randomSeed())));
+        seedInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') applySeed();
+        });
+        onWorldSeedChange((seed) => {
+            playerPath = [];
+            showSeed(seed);
+        });
+        showSeed(getWorldSeed());
+    }
+
+    if (deadzoneSlider) {
+        deadzoneSlider.addEventListener('input', (e) => {
+            GAMEPAD_SETTINGS.DEADZONE = parseFloat(e.target.value);
+            updateDisplay('val-deadzone', GAMEPAD_SETTINGS.DEADZONE.toFixed(2));
+        });
+        stickCurveSlider.addEventListener('input', (e) => {
+            GAMEPAD_SETTINGS.RESPONSE_CURVE = parseFloat(e.target.value);
+            updateDisplay('val-stickcurve', GAMEPAD_SETTINGS.RESPONSE_CURVE.toFixed(1));
+        });
+        lookSpeedSlider.addEventListener('input', (e) => {
+            GAMEPAD_SETTINGS.LOOK_SPEED = parseFloat(e.target.value);
+            updateDisplay('val-lookspeed', GAMEPAD_SETTINGS.LOOK_SPEED.toFixed(1));
+        });
+        invertYCheckbox.addEventListener('change', (e) => {
+            GAMEPAD_SETTINGS.INVERT_Y = e.target.checked;
+        });
+        deadzoneSlider.value = GAMEPAD_SETTINGS.DEADZONE;
+        stickCurveSlider.value = GAMEPAD_SETTINGS.RESPONSE_CURVE;
+        lookSpeedSlider.value = GAMEPAD_SETTINGS.LOOK_SPEED;
+        invertYCheckbox.checked = GAMEPAD_SETTINGS.INVERT_Y;
+        updateDisplay('val-deadzone', GAMEPAD_SETTINGS.DEADZONE.toFixed(2));
+        updateDisplay('val-stickcurve', GAMEPAD_SETTINGS.RESPONSE_CURVE.toFixed(1));
+        updateDisplay('val-lookspeed', GAMEPAD_SETTINGS.LOOK_SPEED.toFixed(1));
+    }
+
+    if (brushRadiusSlider) {
+        brushRadiusSlider.addEventListener('input', (e) => {
+            BRUSH_SETTINGS.RADIUS = parseFloat(e.target.value);
+            updateDisplay('val-brushradius', BRUSH_SETTINGS.RADIUS.toFixed(0));
+        });
+        brushRadiusSlider.value = BRUSH_SETTINGS.RADIUS;
+        updateDisplay('val-brushradius', BRUSH_SETTINGS.RADIUS.toFixed(0));
+    }
+
+    if (brushStrengthSlider) {
+        brushStrengthSlider.addEventListener('input', (e) => {
+            BRUSH_SETTINGS.STRENGTH = parseFloat(e.target.value);
+            updateDisplay('val-brushstrength', BRUSH_SETTINGS.STRENGTH.toFixed(1));
+        });
+        brushStrengthSlider.value = BRUSH_SETTINGS.STRENGTH;
+        updateDisplay('val-brushstrength', BRUSH_SETTINGS.STRENGTH.toFixed(1));
+    }
+
+    if (saveEditsBtn) {
+        saveEditsBtn.addEventListener('click', () => {
+            const data = exportTerrainEdits();
+            const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `terrain-edits-${data.seed}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+        loadEditsBtn.addEventListener('click', () => editsFileInput.click());
+        editsFileInput.addEventListener('change', async () => {
+            const file = editsFileInput.files[0];
+            editsFileInput.value = '';
+            if (!file) return;
+            try {
+                importTerrainEdits(JSON.parse(await file.text()));
+            } catch (err) {
+                alert(`Could not load terrain edits: ${err.message}`);
+            }
+        });
+        clearEditsBtn.addEventListener('click', () => {
+            if (hasTerrainEdits() && confirm('Discard all terrain edits?')) clearTerrainEdits();
+        });
+    }
+
+    if (saveCourseBtn) {
+        const showCourse = () => {
+            const gates = getCourse().points.length;
+            updateDisplay('val-course', gates >= 2 ? `(${gates - 2} checkpoints)` : '(place on map)');
+            courseBestsEl.innerText = getCourseBests()
+                .map((run, i) => `${i + 1}. ${formatTime(run.ticks / PHYSICS_TICK_RATE)}  ${new Date(run.date).toLocaleDateString()}`)
+                .join('\n');
+        };
+        saveCourseBtn.addEventListener('click', () => {
+            const data = serializeCourse();
+            if (data.points.length < 2) return;
+            const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `course-${data.seed}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+        loadCourseBtn.addEventListener('click', () => courseFileInput.click());
+        courseFileInput.addEventListener('change', async () => {
+            const file = courseFileInput.files[0];
+            courseFileInput.value = '';
+            if (!file) return;
+            try {
+                importCourse(JSON.parse(await file.text()));
+            } catch (err) {
+                alert(`Could not load course: ${err.message}`);
+            }
+        });
+        clearCourseBtn.addEventListener('click', () => clearCourse());
+        onCourseChange(showCourse);
+        showCourse();
+    }
+
+    if (recordDemoBtn) {
+        const playDemo = (demo) => {
+            if (demoReplacesEdits(demo) && !confirm('This demo was recorded on different terrain edits. Replace yours?')) return;
+            startDemoPlayback(demo);
+        };
+        recordDemoBtn.addEventListener('click', () => startDemoRecording());
+        playDemoBtn.addEventListener('click', () => playDemo(getDemo()));
+        stopDemoBtn.addEventListener('click', () => stopDemo());
+        saveDemoBtn.addEventListener('click', () => {
+            const demo = getDemo();
+            if (!demo) return;
+            const blob = new Blob([JSON.stringify(serializeDemo(demo))], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `demo-${demo.seed}-${(demo.ticks / demo.tickRate).toFixed(1)}s.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+        loadDemoBtn.addEventListener('click', () => demoFileInput.click());
+        demoFileInput.addEventListener('change', async () => {
+            const file = demoFileInput.files[0];
+            demoFileInput.value = '';
+            if (!file) return;
+            try {
+                playDemo(parseDemo(JSON.parse(await file.text())));
+            } catch (err) {
+                alert(`Could not load demo: ${err.message}`);
+            }
+        });
+        // Playback brings its own physics settings; show them.
+        onDemoModeChange((mode) => {
+            if (mode === 'playing') showPhysicsParams();
+        });
+    }
+
+    if (bindingsList) {
+        const rebind = (action, slot, btn) => {
+            btn.innerText = '...';
+            bindingsStatus.innerText = `Press a key, mouse button, wheel or pad button for ${action.label} (Esc cancels)`;
+            captureNextInput((code) => {
+                if (!code) {
+                    bindingsStatus.innerText = '';
+                    buildBindings();
+                    return;
+                }
+                const conflicts = setBinding(action.id, slot, code);
+                bindingsStatus.innerText = conflicts.length
+                    ? `${formatInputCode(code)} was unbound from ${conflicts.map(getActionLabel).join(', ')}`
+                    : '';
+            });
+        };
+        const buildBindings = () => {
+            bindingsList.replaceChildren();
+            for (const action of ACTIONS) {
+                const row = document.createElement('div');
+                row.className = 'setting-row';
+                const label = document.createElement('label');
+                label.innerText = action.label;
+                const slots = document.createElement('span');
+                const codes = getBindings(action.id);
+                for (let slot = 0; slot < MAX_BINDINGS_PER_ACTION; slot++) {
+                    const btn = document.createElement('button');
+                    btn.className = 'binding-btn';
+                    btn.innerText = codes[slot] ? formatInputCode(codes[slot]) : '-';
+                    btn.title = 'Click to rebind, right-click to clear';
+                    btn.addEventListener('click', () => rebind(action, Math.min(slot, codes.length), btn));
+                    btn.addEventListener('contextmenu', (e) => {
+                        e.preventDefault();
+                        if (codes[slot]) clearBinding(action.id, slot);
+                    });
+                    slots.appendChild(btn);
+                }
+                row.append(label, slots);
+                bindingsList.appendChild(row);
+            }
+        };
+        showBindingsBtn.addEventListener('click', () => {
+            const open = bindingsList.style.display === 'none';
+            bindingsList.style.display = open ? 'block' : 'none';
+            showBindingsBtn.innerText = open ? 'Hide' : 'Rebind';
+        });
+        resetBindingsBtn.addEventListener('click', () => {
+            bindingsStatus.innerText = '';
+            resetBindings();
+        });
+        onBindingsChange(buildBindings);
+        buildBindings();
+    }
+
+    if (toggleShadowBtn) {
+        const showShadows = () => {
+            toggleShadowBtn.innerText = GRAPHICS_SETTINGS.SHADOWS ? 'On' : 'Off';
+        };
+        toggleShadowBtn.addEventListener('click', () => {
+            GRAPHICS_SETTINGS.SHADOWS = !GRAPHICS_SETTINGS.SHADOWS;
+            showShadows();
+            persistSettings();
+        });
+        showShadows();
+    }
+
+    if (strafeHudCheckbox) {
+        strafeHudCheckbox.addEventListener('change', (e) => {
+            HUD_SETTINGS.STRAFE_HUD = e.target.checked;
+        });
+        strafeHudCheckbox.checked = HUD_SETTINGS.STRAFE_HUD;
+    }
+    if (mapCloudsCheckbox) {
+        mapCloudsCheckbox.addEventListener('change', (e) => {
+            HUD_SETTINGS.MAP_CLOUDS = e.target.checked;
+        });
+        mapCloudsCheckbox.checked = HUD_SETTINGS.MAP_CLOUDS;
+    }
+
+    const showTime = () => {
+        if (timeOfDaySlider) {
+            timeOfDaySlider.value = TIME_SETTINGS.TIME_OF_DAY;
+            updateDisplay('val-timeofday', formatHour(TIME_SETTINGS.TIME_OF_DAY));
+        }
+        if (timeSpeedSlider) {
+            timeSpeedSlider.value = TIME_SETTINGS.TIME_SPEED;
+            updateDisplay('val-timespeed', TIME_SETTINGS.TIME_SPEED.toFixed(1));
+        }
+    };
+    if (timeOfDaySlider) {
+        timeOfDaySlider.addEventListener('input', (e) => {
+            TIME_SETTINGS.TIME_OF_DAY = parseFloat(e.target.value);
+            updateDisplay('val-timeofday', formatHour(TIME_SETTINGS.TIME_OF_DAY));
+        });
+        // The clock ran while playing; show and keep the hour it stopped at.
+        controls.addEventListener('unlock', () => {
+            showTime();
+            persistSettings();
+        });
+    }
+    if (timeSpeedSlider) {
+        timeSpeedSlider.addEventListener('input', (e) => {
+            TIME_SETTINGS.TIME_SPEED = parseFloat(e.target.value);
+            updateDisplay('val-timespeed', TIME_SETTINGS.TIME_SPEED.toFixed(1));
+        });
+    }
+    showTime();
+
+    if (waterReflectionSelect) {
+        WATER_REFLECTION_LEVELS.forEach((level, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.innerText = level.label;
+            waterReflectionSelect.appendChild(option);
+        });
+        waterReflectionSelect.addEventListener('change', () => {
+            WATER_SETTINGS.REFLECTIONS = parseInt(waterReflectionSelect.value, 10);
+        });
+        waterReflectionSelect.value = WATER_SETTINGS.REFLECTIONS;
+    }
+
+    if (weatherSelect) {
+        for (const [value, label] of [['auto', 'Auto'], ...Object.entries(WEATHER_STATES).map(([name, state]) => [name, state.label])]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = label;
+            weatherSelect.appendChild(option);
+        }
+        weatherSelect.addEventListener('change', () => setWeatherMode(weatherSelect.value));
+        // The console's weather command changes it too.
+        onWeatherModeChange((mode) => {
+            weatherSelect.value = mode;
+            persistSettings();
+        });
+        weatherSelect.value = WEATHER_SETTINGS.MODE;
+    }
+
+    const showPsxSettings = () => {
+        if (psxAffineCheckbox) psxAffineCheckbox.checked = PSX_SETTINGS.AFFINE;
+        if (psxColorCheckbox) psxColorCheckbox.checked = PSX_SETTINGS.COLOR_DEPTH;
+        if (psxLowResCheckbox) psxLowResCheckbox.checked = PSX_SETTINGS.LOW_RES;
+        if (psxResolutionSelect) psxResolutionSelect.value = PSX_SETTINGS.RESOLUTION;
+    };
+    if (psxAffineCheckbox) {
+        psxAffineCheckbox.addEventListener('change', (e) => {
+            PSX_SETTINGS.AFFINE = e.target.checked;
+        });
+    }
+    if (psxColorCheckbox) {
+        psxColorCheckbox.addEventListener('change', (e) => {
+            PSX_SETTINGS.COLOR_DEPTH = e.target.checked;
+        });
+    }
+    if (psxLowResCheckbox) {
+        psxLowResCheckbox.addEventListener('change', (e) => {
+            PSX_SETTINGS.LOW_RES = e.target.checked;
+        });
+    }
+    if (psxResolutionSelect) {
+        // A console-set line count that isn't one of the usual modes still gets an entry.
+        const resolutions = [...new Set([...PSX_RESOLUTIONS, PSX_SETTINGS.RESOLUTION])].sort((a, b) => a - b);
+        for (const lines of resolutions) {
+            const option = document.createElement('option');
+            option.value = lines;
+            option.innerText = `${lines}p`;
+            psxResolutionSelect.appendChild(option);
+        }
+        psxResolutionSelect.addEventListener('change', () => {
+            PSX_SETTINGS.RESOLUTION = parseInt(psxResolutionSelect.value, 10);
+        });
+    }
+    showPsxSettings();
+
+    // Rows for the post passes are built from POST_PASSES: an on/off checkbox, then a slider per parameter.
+    const postInputs = [];
+    const showPostSettings = () => {
+        for (const { input, key, valueEl, decimals } of postInputs) {
+            if (input.type === 'checkbox') {
+                input.checked = POST_SETTINGS[key];
+            } else {
+                input.value = POST_SETTINGS[key];
+                valueEl.innerText = POST_SETTINGS[key].toFixed(decimals);
+            }
+        }
+        if (postPresetSelect) postPresetSelect.value = getPostPresetName();
+    };
+    if (postPassesList) {
+        const addSlider = (param, indent) => {
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            if (indent) row.style.marginLeft = '14px';
+            const label = document.createElement('label');
+            const valueEl = document.createElement('span');
+            label.append(`${param.label} `, valueEl);
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            const decimals = (String(param.step).split('.')[1] ?? '').length;
+            input.addEventListener('input', () => {
+                POST_SETTINGS[param.key] = parseFloat(input.value);
+                valueEl.innerText = POST_SETTINGS[param.key].toFixed(decimals);
+                if (postPresetSelect) postPresetSelect.value = getPostPresetName();
+            });
+            row.append(label, input);
+            postPassesList.appendChild(row);
+            postInputs.push({ input, key: param.key, valueEl, decimals });
+        };
+        for (const param of POST_DISPLAY_PARAMS) addSlider(param, false);
+        for (const pass of POST_PASSES) {
+            const row = document.createElement('div');
+            row.className = 'setting-row';
+            const label = document.createElement('label');
+            label.innerText = pass.label;
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.addEventListener('change', () => {
+                POST_SETTINGS[pass.toggle] = input.checked;
+                if (postPresetSelect) postPresetSelect.value = getPostPresetName();
+            });
+            row.append(label, input);
+            postPassesList.appendChild(row);
+            postInputs.push({ input, key: pass.toggle });
+            for (const param of pass.params) addSlider(param, true);
+        }
+        showPostBtn.addEventListener('click', () => {
+            const open = postPassesList.style.display === 'none';
+            postPassesList.style.display = open ? 'block' : 'none';
+            showPostBtn.innerText = open ? 'Hide' : 'Tune';
+        });
+    }
+    if (postPresetSelect) {
+        const custom = document.createElement('option');
+        custom.value = '';
+        custom.innerText = 'Custom';
+        postPresetSelect.appendChild(custom);
+        for (const name of Object.keys(POST_PRESETS)) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.innerText = name;
+            postPresetSelect.appendChild(option);
+        }
+        postPresetSelect.addEventListener('change', () => {
+            if (applyPostPreset(postPresetSelect.value)) showPostSettings();
+        });
+    }
+    showPostSettings();
+
+    if (presetSelect) {
+        const fillPresets = (selected) => {
+            presetSelect.replaceChildren();
+            const custom = document.createElement('option');
+            custom.value = '';
+            custom.innerText = 'Custom';
+            presetSelect.appendChild(custom);
+            for (const name of getPresetNames()) {
+                const option = document.createElement('option');
+                option.value = name;
+                option.innerText = isBuiltinPreset(name) ? name : `${name} *`;
+                presetSelect.appendChild(option);
+            }
+            presetSelect.value = getPresetNames().includes(selected) ? selected : '';
+        };
+        const switchPreset = (name) => {
+            if (!applyPreset(name)) return;
+            presetSelect.value = name;
+            showPhysicsParams();
+            persistSettings();
+        };
+        presetSelect.addEventListener('change', () => switchPreset(presetSelect.value));
+        savePresetBtn.addEventListener('click', () => {
+            const name = prompt('Save current physics settings as preset:', isBuiltinPreset(presetSelect.value) ? '' : presetSelect.value);
+            if (name === null) return;
+            try {
+                fillPresets(saveUserPreset(name));
+                persistSettings();
+            } catch (err) {
+                alert(`Could not save preset: ${err.message}`);
+            }
+        });
+        deletePresetBtn.addEventListener('click', () => {
+            const name = presetSelect.value;
+            if (!name || isBuiltinPreset(name) || !confirm(`Delete preset "${name}"?`)) return;
+            deleteUserPreset(name);
+            fillPresets('');
+            persistSettings();
+        });
+        exportPresetBtn.addEventListener('click', () => {
+            const data = serializePreset(presetSelect.value);
+            if (!data) return;
+            const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `preset-${data.name.replace(/[^a-z0-9-]+/gi, '_')}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        });
+        importPresetBtn.addEventListener('click', () => presetFileInput.click());
+        presetFileInput.addEventListener('change', async () => {
+            const file = presetFileInput.files[0];
+            presetFileInput.value = '';
+            if (!file) return;
+            try {
+                const name = importPreset(JSON.parse(await file.text()));
+                fillPresets(name);
+                switchPreset(name);
+            } catch (err) {
+                alert(`Could not load preset: ${err.message}`);
+            }
+        });
+        fillPresets(restored ? restored.preset : 'Default');
+    }
+
+    // Console cvars write the same settings objects; show the new values here and save them.
+    const PRESET_CVARS = ['sv_gravity', 'sv_jumpforce', 'sv_movespeed', 'sv_airmaxspeed'];
+    onCvarChange((name) => {
+        if (presetSelect && PRESET_CVARS.includes(name)) presetSelect.value = '';
+        showPhysicsParams();
+        sensSlider.value = controls.pointerSpeed;
+        updateDisplay('val-sens', controls.pointerSpeed.toFixed(1));
+        if (curvatureSlider) {
+            curvatureSlider.value = GRAPHICS_SETTINGS.CURVATURE;
+            updateDisplay('val-curv', GRAPHICS_SETTINGS.CURVATURE.toFixed(4));
+        }
+        if (viewDistanceSlider) {
+            viewDistanceSlider.value = GRAPHICS_SETTINGS.VIEW_DISTANCE;
+            updateDisplay('val-viewdist', GRAPHICS_SETTINGS.VIEW_DISTANCE);
+        }
+        if (toggleShadowBtn) toggleShadowBtn.innerText = GRAPHICS_SETTINGS.SHADOWS ? 'On' : 'Off';
+        if (strafeHudCheckbox) strafeHudCheckbox.checked = HUD_SETTINGS.STRAFE_HUD;
+        if (mapCloudsCheckbox) mapCloudsCheckbox.checked = HUD_SETTINGS.MAP_CLOUDS;
+        if (waterReflectionSelect) waterReflectionSelect.value = WATER_SETTINGS.REFLECTIONS;
+        showTime();
+        showPsxSettings();
+        showPostSettings();
+        persistSettings();
+    });
+
+    function showPhysicsParams() {
+        speedSlider.value = physicsParams.MOVE_SPEED;
+        jumpSlider.value = physicsParams.JUMP_FORCE;
+        gravitySlider.value = physicsParams.GRAVITY;
+        airMaxSlider.value = physicsParams.MAX_AIR_SPEED;
+        updateDisplay('val-speed', physicsParams.MOVE_SPEED);
+        updateDisplay('val-jump', physicsParams.JUMP_FORCE);
+        updateDisplay('val-grav', physicsParams.GRAVITY);
+        updateDisplay('val-airmax', physicsParams.MAX_AIR_SPEED.toFixed(1));
+    }
+
     resetBtn.addEventListener('click', () => {
         physicsParams.MOVE_SPEED = DEFAULTS.MOVE_SPEED;
         physicsParams.JUMP_FORCE = DEFAULTS.JUMP_FORCE;
@@ -125,24 +726,22 @@ export function initUI(controls) {
             curvatureSlider.value = CURVATURE_STRENGTH;
             curvatureSlider.dispatchEvent(new Event('input'));
         }
+        if (viewDistanceSlider) {
+            viewDistanceSlider.value = VIEW_DISTANCE;
+            viewDistanceSlider.dispatchEvent(new Event('input'));
+        }
 
-        speedSlider.value = physicsParams.MOVE_SPEED;
-        jumpSlider.value = physicsParams.JUMP_FORCE;
-        gravitySlider.value = physicsParams.GRAVITY;
         sensSlider.value = controls.pointerSpeed;
-        airMaxSlider.value = physicsParams.MAX_AIR_SPEED;
-        updateDisplay('val-speed', physicsParams.MOVE_SPEED);
-        updateDisplay('val-jump', physicsParams.JUMP_FORCE);
-        updateDisplay('val-grav', physicsParams.GRAVITY);
         updateDisplay('val-sens', controls.pointerSpeed.toFixed(1));
-        updateDisplay('val-airmax', physicsParams.MAX_AIR_SPEED.toFixed(1));
+        showPhysicsParams();
+        if (presetSelect) presetSelect.value = 'Default';
+        persistSettings();
     });
 
     speedSlider.value = physicsParams.MOVE_SPEED;
     jumpSlider.value = physicsParams.JUMP_FORCE;
     gravitySlider.value = physicsParams.GRAVITY;
-    sensSlider.value = DEFAULTS.SENSITIVITY;
-    controls.pointerSpeed = DEFAULTS.SENSITIVITY;
+    sensSlider.value = controls.pointerSpeed;
     airMaxSlider.value = physicsParams.MAX_AIR_SPEED;
     if (targetFpsInput) {
         targetFpsInput.disabled = true;
@@ -154,16 +753,55 @@ export function initUI(controls) {
     updateDisplay('val-speed', physicsParams.MOVE_SPEED);
     updateDisplay('val-jump', physicsParams.JUMP_FORCE);
     updateDisplay('val-grav', physicsParams.GRAVITY);
-    updateDisplay('val-sens', DEFAULTS.SENSITIVITY.toFixed(1));
+    updateDisplay('val-sens', controls.pointerSpeed.toFixed(1));
     updateDisplay('val-airmax', physicsParams.MAX_AIR_SPEED.toFixed(1));
     updateDisplay('val-targetfps', `${GRAPHICS_SETTINGS.TARGET_FPS.toFixed(0)} (auto)`);
 }
 
+function formatHour(hours) {
+    const minutes = Math.floor(hours * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(2).padStart(5, '0');
+    return minutes > 0 ? `${minutes}:${rest}` : rest;
+}
+
+function showDelta(el, delta) {
+    if (delta === null || delta === undefined) {
+        el.innerText = '';
+        el.className = '';
+        return;
+    }
+    el.innerText = `${delta > 0 ? '+' : ''}${delta.toFixed(2)}`;
+    el.className = delta > 0 ? 'behind' : 'ahead';
+}
+
+// readout from courses.js updateCourses() (null when not racing) and the ghost delta from ghost.js updateGhost().
+export function updateCourseHud(readout, ghostDelta) {
+    if (!courseHudEl) return;
+    courseHudEl.style.display = readout ? 'block' : 'none';
+    if (!readout) return;
+    courseTimeEl.innerText = formatTime(readout.time);
+    if (readout.result) {
+        courseGateEl.innerText = `FINISH #${readout.result.rank}`;
+        showDelta(courseSplitEl, readout.result.delta);
+        showDelta(ghostDeltaEl, null);
+        return;
+    }
+    courseGateEl.innerText = readout.gates > 1 ? `CP ${readout.gate - 1}/${readout.gates - 1}` : '';
+    showDelta(courseSplitEl, readout.split ? readout.split.delta : null);
+    showDelta(ghostDeltaEl, ghostDelta);
+    if (ghostDelta !== null) ghostDeltaEl.innerText += ' ghost';
+}
+
 export function updateUI(dt, clock, camera) {
-    if (keys.map && !lastMapKey) {
+    if (actions.toggleMap && !lastMapKey) {
         toggleLargeMap();
     }
-    lastMapKey = keys.map;
+    lastMapKey = actions.toggleMap;
 
     hudTimer += dt;
     if (hudTimer > HUD_INTERVAL) {
@@ -175,6 +813,24 @@ export function updateUI(dt, clock, camera) {
         if (posEl) {
             posEl.innerText = `${Math.round(playerPos.x)}, ${Math.round(playerPos.z)}`;
         }
+        if (biomeEl) {
+            biomeEl.innerText = getBiomeAt(playerPos.x, playerPos.z).name;
+        }
+        if (breathHudEl) {
+            // Only while some air has been used up.
+            breathHudEl.style.display = breath < SWIM_CONSTANTS.BREATH ? 'block' : 'none';
+            breathBarEl.style.width = `${(100 * breath / SWIM_CONSTANTS.BREATH).toFixed(1)}%`;
+        }
+        if (demoHudEl) {
+            const progress = getDemoProgress();
+            demoHudEl.style.display = progress ? 'inline' : 'none';
+            if (progress) {
+                const elapsed = (progress.tick / progress.tickRate).toFixed(1);
+                demoStatusEl.innerText = getDemoMode() === 'recording'
+                    ? `REC ${elapsed}s`
+                    : `PLAY ${elapsed} / ${(progress.ticks / progress.tickRate).toFixed(1)}s`;
+            }
+        }
     }
 
     minimapTimer += dt;
@@ -221,6 +877,9 @@ function drawMinimap(now, camera) {
         playerPath.splice(0, removeCount);
     }
 
+    drawCourseOnMap(minimapCtx, playerPos.x, playerPos.z, MINIMAP_SCALE, minimapCanvas.width, minimapCanvas.height);
+    drawGhostOnMap(minimapCtx, playerPos.x, playerPos.z, MINIMAP_SCALE, minimapCanvas.width, minimapCanvas.height);
+
     minimapCtx.strokeStyle = '#ffff00';
     minimapCtx.lineWidth = 2;
     minimapCtx.beginPath();
@@ -0,0 +1,155 @@
+// Extras for the water shader in resources.js: planar reflections drawn from a camera mirrored under the
+// water surface into a low-res target, and a height map of the terrain around the camera so the shader
+// knows how deep the water is (colour, transparency and shore foam).
+import * as THREE from 'three';
+import { WATER_SETTINGS, WATER_REFLECTION_LEVELS } from './config.js';
+import { materials } from './resources.js';
+import { getTerrainHeight, getWaterLevel, onTerrainEdited } from './world.js';
+import { onWorldSeedChange } from './seed.js';
+
+// The height map wraps around (texel (x, z) holds world cell (x mod N, z mod N)), so moving only fills
+// in the rows and columns that came into range.
+const SHORE_MAP_SIZE = 96;
+const SHORE_TEXEL = 5;
+// No reflection from high enough up that the water is a few pixels of colour anyway.
+const REFLECTION_MAX_HEIGHT = 200;
+
+export function createWater(renderer, globalShaderUniforms) {
+    const reflectionTarget = new THREE.WebGLRenderTarget(1, 1, {
+        magFilter: THREE.NearestFilter,
+        minFilter: THREE.NearestFilter
+    });
+    const mirrorCamera = new THREE.PerspectiveCamera();
+    const mirrorPlane = new THREE.Plane();
+    const planeNormal = new THREE.Vector3(0, 1, 0);
+    const planePoint = new THREE.Vector3();
+    const lookTarget = new THREE.Vector3();
+    const rotation = new THREE.Matrix4();
+    const clipPlane = new THREE.Vector4();
+    const clipQ = new THREE.Vector4();
+    const drawingSize = new THREE.Vector2();
+
+    const shoreHeights = new Float32Array(SHORE_MAP_SIZE * SHORE_MAP_SIZE);
+    const shoreTexture = new THREE.DataTexture(shoreHeights, SHORE_MAP_SIZE, SHORE_MAP_SIZE, THREE.RedFormat, THREE.FloatType);
+    shoreTexture.needsUpdate = true;
+    // Lowest cell of the filled window; null until the first fill.
+    let shoreX0 = null;
+    let shoreZ0 = null;
+
+    globalShaderUniforms.uReflectionMap.value = reflectionTarget.texture;
+    globalShaderUniforms.uShoreHeights.value = shoreTexture;
+    globalShaderUniforms.uShoreGrid.value.set(SHORE_TEXEL, SHORE_MAP_SIZE);
+
+    function fillShoreCells(x0, z0, x1, z1) {
+        for (let iz = z0; iz <= z1; iz++) {
+            const row = ((iz % SHORE_MAP_SIZE) + SHORE_MAP_SIZE) % SHORE_MAP_SIZE * SHORE_MAP_SIZE;
+            for (let ix = x0; ix <= x1; ix++) {
+                shoreHeights[row + ((ix % SHORE_MAP_SIZE) + SHORE_MAP_SIZE) % SHORE_MAP_SIZE] = getTerrainHeight(ix * SHORE_TEXEL, iz * SHORE_TEXEL);
+            }
+        }
+        shoreTexture.needsUpdate = true;
+    }
+
+    function updateShore(camera) {
+        const x0 = Math.floor(camera.position.x / SHORE_TEXEL) - SHORE_MAP_SIZE / 2;
+        const z0 = Math.floor(camera.position.z / SHORE_TEXEL) - SHORE_MAP_SIZE / 2;
+        const last = SHORE_MAP_SIZE - 1;
+        if (shoreX0 === null || Math.abs(x0 - shoreX0) > last || Math.abs(z0 - shoreZ0) > last) {
+            fillShoreCells(x0, z0, x0 + last, z0 + last);
+        } else {
+            // Columns that came into range, then rows.
+            if (x0 > shoreX0) fillShoreCells(shoreX0 + SHORE_MAP_SIZE, z0, x0 + last, z0 + last);
+            else if (x0 < shoreX0) fillShoreCells(x0, z0, shoreX0 - 1, z0 + last);
+            if (z0 > shoreZ0) fillShoreCells(x0, shoreZ0 + SHORE_MAP_SIZE, x0 + last, z0 + last);
+            else if (z0 < shoreZ0) fillShoreCells(x0, z0, x0 + last, shoreZ0 - 1);
+        }
+        shoreX0 = x0;
+        shoreZ0 = z0;
+        globalShaderUniforms.uShoreCenter.value.set((x0 + SHORE_MAP_SIZE / 2) * SHORE_TEXEL, (z0 + SHORE_MAP_SIZE / 2) * SHORE_TEXEL);
+    }
+
+    onTerrainEdited((region) => {
+        if (shoreX0 === null) return;
+        const last = SHORE_MAP_SIZE - 1;
+        if (!region) {
+            fillShoreCells(shoreX0, shoreZ0, shoreX0 + last, shoreZ0 + last);
+            return;
+        }
+        const x0 = Math.max(shoreX0, Math.floor(region.minX / SHORE_TEXEL));
+        const x1 = Math.min(shoreX0 + last, Math.ceil(region.maxX / SHORE_TEXEL));
+        const z0 = Math.max(shoreZ0, Math.floor(region.minZ / SHORE_TEXEL));
+        const z1 = Math.min(shoreZ0 + last, Math.ceil(region.maxZ / SHORE_TEXEL));
+        if (x0 <= x1 && z0 <= z1) fillShoreCells(x0, z0, x1, z1);
+    });
+    onWorldSeedChange(() => {
+        shoreX0 = null;
+    });
+
+    // Mirrors the camera in the plane y = level and clips the view to what's above it, after three.js's Reflector.
+    function setupMirrorCamera(camera, level) {
+        planePoint.set(camera.position.x, level, camera.position.z);
+        rotation.extractRotation(camera.matrixWorld);
+
+        mirrorCamera.position.copy(camera.position);
+        mirrorCamera.position.y = 2 * level - camera.position.y;
+        lookTarget.set(0, 0, -1).applyMatrix4(rotation).add(camera.position);
+        lookTarget.y = 2 * level - lookTarget.y;
+        mirrorCamera.up.set(0, 1, 0).applyMatrix4(rotation).reflect(planeNormal);
+        mirrorCamera.lookAt(lookTarget);
+        mirrorCamera.near = camera.near;
+        mirrorCamera.far = camera.far;
+        mirrorCamera.updateMatrixWorld();
+        mirrorCamera.projectionMatrix.copy(camera.projectionMatrix);
+
+        // Oblique near plane on the water surface, so nothing below it ends up in the reflection.
+        mirrorPlane.setFromNormalAndCoplanarPoint(planeNormal, planePoint).applyMatrix4(mirrorCamera.matrixWorldInverse);
+        clipPlane.set(mirrorPlane.normal.x, mirrorPlane.normal.y, mirrorPlane.normal.z, mirrorPlane.constant);
+        const e = mirrorCamera.projectionMatrix.elements;
+        clipQ.set((Math.sign(clipPlane.x) + e[8]) / e[0], (Math.sign(clipPlane.y) + e[9]) / e[5], -1, (1 + e[10]) / e[14]);
+        clipPlane.multiplyScalar(2 / clipPlane.dot(clipQ));
+        e[2] = clipPlane.x;
+        e[6] = clipPlane.y;
+        e[10] = clipPlane.z + 1;
+        e[14] = clipPlane.w;
+
+        globalShaderUniforms.uReflectionMatrix.value.set(
+            0.5, 0, 0, 0.5,
+            0, 0.5, 0, 0.5,
+            0, 0, 0.5, 0.5,
+            0, 0, 0, 1
+        ).multiply(mirrorCamera.projectionMatrix).multiply(mirrorCamera.matrixWorldInverse);
+    }
+
+    // Before the frame's main render; the reflection is of the water level around the camera, like the
+    // particle tint, so a lake at another height reflects a little off.
+    function render(scene, camera) {
+        camera.updateMatrixWorld();
+        updateShore(camera);
+
+        const level = WATER_REFLECTION_LEVELS[WATER_SETTINGS.REFLECTIONS] ?? WATER_REFLECTION_LEVELS[0];
+        const waterY = getWaterLevel(camera.position.x, camera.position.z);
+        const height = camera.position.y - waterY;
+        if (!level.scale || height <= 0 || height > REFLECTION_MAX_HEIGHT) {
+            globalShaderUniforms.uReflectionStrength.value = 0;
+            return;
+        }
+
+        renderer.getDrawingBufferSize(drawingSize);
+        const width = Math.max(1, Math.round(drawingSize.x * level.scale));
+        const targetHeight = Math.max(1, Math.round(drawingSize.y * level.scale));
+        if (reflectionTarget.width !== width || reflectionTarget.height !== targetHeight) {
+            reflectionTarget.setSize(width, targetHeight);
+        }
+
+        setupMirrorCamera(camera, waterY);
+        const previousTarget = renderer.getRenderTarget();
+        materials.waterMat.visible = false;
+        renderer.setRenderTarget(reflectionTarget);
+        renderer.render(scene, mirrorCamera);
+        renderer.setRenderTarget(previousTarget);
+        materials.waterMat.visible = true;
+        globalShaderUniforms.uReflectionStrength.value = 1;
+    }
+
+    return { render };
+}
@@ -0,0 +1,252 @@
+// Weather: a state machine (clear, overcast, rain, storm, snow, fog) whose look blends smoothly into
+// the next state. It owns the drifting wind shared by air particles and grass, simulates rain and snow
+// around the camera, and tints the sky; clouds.js and main.js read `weatherState` for cloud cover and fog.
+import * as THREE from 'three';
+import { WEATHER_SETTINGS } from './config.js';
+import { materials, geometries } from './resources.js';
+import { getTerrainHeight, getWaterLevel, onTerrainEdited } from './world.js';
+import { getNearbyTrees, getTreeHeight } from './physics.js';
+import { mulberry32 } from './rng.js';
+import { getWorldSeed, onWorldSeedChange } from './seed.js';
+
+// cloudCover: fraction of the cloud field shown. darkness: how far sky, sun and clouds go grey.
+// visibility: 1 keeps the full fog distance, lower pulls the fog in. windStrength: multiplier on the base wind.
+export const WEATHER_STATES = {
+    clear: { label: 'Clear', cloudCover: 0.35, darkness: 0, rain: 0, snow: 0, visibility: 1, windStrength: 1, lightning: 0, next: ['overcast', 'fog'] },
+    overcast: { label: 'Overcast', cloudCover: 0.8, darkness: 0.35, rain: 0, snow: 0, visibility: 0.8, windStrength: 1.3, lightning: 0, next: ['clear', 'rain', 'snow', 'fog'] },
+    rain: { label: 'Rain', cloudCover: 1, darkness: 0.55, rain: 0.6, snow: 0, visibility: 0.55, windStrength: 1.6, lightning: 0, next: ['overcast', 'storm'] },
+    storm: { label: 'Storm', cloudCover: 1, darkness: 0.8, rain: 1, snow: 0, visibility: 0.4, windStrength: 3, lightning: 1, next: ['rain'] },
+    snow: { label: 'Snow', cloudCover: 0.9, darkness: 0.3, rain: 0, snow: 1, visibility: 0.5, windStrength: 0.8, lightning: 0, next: ['overcast'] },
+    fog: { label: 'Fog', cloudCover: 0.5, darkness: 0.2, rain: 0, snow: 0, visibility: 0.12, windStrength: 0.3, lightning: 0, next: ['clear', 'overcast'] }
+};
+const BLENDED = ['cloudCover', 'darkness', 'rain', 'snow', 'visibility', 'windStrength', 'lightning'];
+
+// Seconds for a blend to get most of the way (1 - 1/e) to the new state.
+const BLEND_TIME = 8;
+const STATE_MIN_SECONDS = 90;
+const STATE_MAX_SECONDS = 240;
+const WIND_MAX = 0.9;
+const WIND_CHANGE_INTERVAL = 6.0;
+const LIGHTNING_MEAN_INTERVAL = 7;
+const RNG_SALT_WEATHER = 0x85ebca6b;
+
+const PRECIP_RADIUS = 24;
+const PRECIP_TOP = 16;
+// Floors are re-read for this fraction of the drops each frame, as the wind carries them over new ground.
+const FLOOR_REFRESH_FRACTION = 1 / 30;
+const RAIN = { count: 1500, fallSpeed: 22, windCarry: 2, wobble: 0, color: new THREE.Color(0xaec8e8) };
+const SNOW = { count: 1200, fallSpeed: 2.2, windCarry: 4, wobble: 0.4, color: new THREE.Color(0xffffff) };
+const STORM_GREY = new THREE.Color(0x6b737f);
+const FLASH_COLOR = new THREE.Color(0xdde6ff);
+
+export const weatherState = {
+    name: 'clear',
+    // Shared with air particles and the grass shader (uWind).
+    wind: new THREE.Vector3(),
+    flash: 0
+};
+for (const key of BLENDED) weatherState[key] = WEATHER_STATES.clear[key];
+
+const modeListeners = new Set();
+const baseWind = new THREE.Vector3(0.25, 0.02, 0.25);
+const windTarget = new THREE.Vector3(0.25, 0.02, 0.25);
+let windTimer = WIND_CHANGE_INTERVAL;
+let stateTimer = STATE_MIN_SECONDS;
+// Seeded so a world runs through the same weather; only state changes draw from it, so wind, drops and
+// lightning (Math.random) and time spent paused don't shift the sequence.
+let random = mulberry32((getWorldSeed() ^ RNG_SALT_WEATHER) >>> 0);
+let rain;
+let snow;
+let nearbyTrees = [];
+let time = 0;
+const _grey = new THREE.Color();
+
+// fn(mode) after the weather mode changes from the settings menu or console.
+export function onWeatherModeChange(fn) {
+    modeListeners.add(fn);
+    return () => modeListeners.delete(fn);
+}
+
+export function setWeatherMode(mode) {
+    if (mode !== 'auto' && !Object.hasOwn(WEATHER_STATES, mode)) throw new Error(`unknown weather "${mode}"`);
+    WEATHER_SETTINGS.MODE = mode;
+    if (mode !== 'auto') weatherState.name = mode;
+    stateTimer = STATE_MIN_SECONDS;
+    for (const fn of modeListeners) fn(mode);
+}
+
+function createPrecipitation(scene, geometry, material, type) {
+    const mesh = new THREE.InstancedMesh(geometry, material, type.count);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.frustumCulled = false;
+    mesh.count = 0;
+    mesh.renderOrder = 1;
+    scene.add(mesh);
+    return {
+        ...type,
+        mesh,
+        material,
+        positions: new Float32Array(type.count * 3),
+        floors: new Float32Array(type.count),
+        phases: new Float32Array(type.count),
+        active: 0,
+        refreshOffset: 0
+    };
+}
+
+export function initWeather(scene) {
+    rain = createPrecipitation(scene, geometries.rainDropGeo, materials.rainMat, RAIN);
+    snow = createPrecipitation(scene, geometries.snowFlakeGeo, materials.snowMat, SNOW);
+    if (WEATHER_SETTINGS.MODE !== 'auto' && Object.hasOwn(WEATHER_STATES, WEATHER_SETTINGS.MODE)) {
+        weatherState.name = WEATHER_SETTINGS.MODE;
+        for (const key of BLENDED) weatherState[key] = WEATHER_STATES[weatherState.name][key];
+    }
+    onWorldSeedChange((seed) => {
+        random = mulberry32((seed ^ RNG_SALT_WEATHER) >>> 0);
+    });
+    onTerrainEdited(() => {
+        rain.refreshOffset = 0;
+        snow.refreshOffset = 0;
+    });
+}
+
+function randomInSphere(radius) {
+    const theta = Math.random() * 2.0 * Math.PI;
+    const phi = Math.acos(2.0 * Math.random() - 1.0);
+    const r = radius * Math.cbrt(Math.random());
+    const sinPhi = Math.sin(phi);
+    return new THREE.Vector3(r * sinPhi * Math.cos(theta), r * Math.cos(phi), r * sinPhi * Math.sin(theta));
+}
+
+function updateWind(dt) {
+    windTimer -= dt;
+    if (windTimer <= 0) {
+        windTarget.copy(randomInSphere(WIND_MAX));
+        windTarget.y *= 0.2;
+        windTimer = WIND_CHANGE_INTERVAL;
+    }
+    baseWind.lerp(windTarget, Math.min(1, dt * 0.5));
+    weatherState.wind.copy(baseWind).multiplyScalar(weatherState.windStrength);
+}
+
+function updateState(dt, running) {
+    if (WEATHER_SETTINGS.MODE !== 'auto') {
+        weatherState.name = Object.hasOwn(WEATHER_STATES, WEATHER_SETTINGS.MODE) ? WEATHER_SETTINGS.MODE : 'clear';
+    } else if (running) {
+        stateTimer -= dt;
+        if (stateTimer <= 0) {
+            const next = WEATHER_STATES[weatherState.name].next;
+            weatherState.name = next[Math.floor(random() * next.length)];
+            stateTimer = STATE_MIN_SECONDS + random() * (STATE_MAX_SECONDS - STATE_MIN_SECONDS);
+        }
+    }
+    const target = WEATHER_STATES[weatherState.name];
+    const blend = 1 - Math.exp(-dt / BLEND_TIME);
+    for (const key of BLENDED) weatherState[key] += (target[key] - weatherState[key]) * blend;
+
+    weatherState.flash *= Math.exp(-dt * 12);
+    if (running && weatherState.lightning > 0.5 && Math.random() < dt * weatherState.lightning / LIGHTNING_MEAN_INTERVAL) {
+        weatherState.flash = 1;
+    }
+}
+
+// Where a drop at (x, z) stops: the ground, the water surface or a tree canopy, whichever is highest.
+function getColumnFloor(x, z) {
+    const floor = Math.max(getTerrainHeight(x, z), getWaterLevel(x, z));
+    return Math.max(floor, getTreeHeight(x, z, Infinity, nearbyTrees));
+}
+
+function spawnDrop(p, i, camera, anyHeight) {
+    const angle = Math.random() * Math.PI * 2;
+    const r = Math.sqrt(Math.random()) * PRECIP_RADIUS;
+    const x = camera.position.x + Math.cos(angle) * r;
+    const z = camera.position.z + Math.sin(angle) * r;
+    p.positions[i * 3] = x;
+    p.positions[i * 3 + 1] = camera.position.y + (anyHeight ? Math.random() * PRECIP_TOP * 1.5 - PRECIP_TOP * 0.5 : PRECIP_TOP);
+    p.positions[i * 3 + 2] = z;
+    p.floors[i] = getColumnFloor(x, z);
+    p.phases[i] = Math.random() * Math.PI * 2;
+}
+
+function updatePrecipitation(p, intensity, dt, camera) {
+    const wanted = Math.round(intensity * p.count);
+    // Newly started drops are spread through the column so the first wave isn't a flat sheet.
+    for (let i = p.active; i < wanted; i++) spawnDrop(p, i, camera, true);
+    p.active = wanted;
+    p.mesh.count = wanted;
+    if (!wanted) return;
+
+    const refreshCount = Math.ceil(wanted * FLOOR_REFRESH_FRACTION);
+    for (let n = 0; n < refreshCount; n++) {
+        const i = (p.refreshOffset + n) % wanted;
+        p.floors[i] = getColumnFloor(p.positions[i * 3], p.positions[i * 3 + 2]);
+    }
+    p.refreshOffset = (p.refreshOffset + refreshCount) % wanted;
+
+    const pos = p.positions;
+    const matrices = p.mesh.instanceMatrix.array;
+    const wind = weatherState.wind;
+    const cx = camera.position.x;
+    const cy = camera.position.y;
+    const cz = camera.position.z;
+    for (let i = 0; i < wanted; i++) {
+        const j = i * 3;
+        const wobble = p.wobble ? Math.sin(time * 1.3 + p.phases[i]) * p.wobble : 0;
+        pos[j] += (wind.x * p.windCarry + wobble) * dt;
+        pos[j + 1] -= p.fallSpeed * dt;
+        pos[j + 2] += (wind.z * p.windCarry + wobble) * dt;
+
+        const dx = pos[j] - cx;
+        const dz = pos[j + 2] - cz;
+        if (dx * dx + dz * dz > PRECIP_RADIUS * PRECIP_RADIUS) {
+            // Left the area as the camera moved: bring it back on the far side so the density holds.
+            pos[j] = cx - dx * 0.95;
+            pos[j + 2] = cz - dz * 0.95;
+            p.floors[i] = getColumnFloor(pos[j], pos[j + 2]);
+        }
+        if (pos[j + 1] < p.floors[i] || pos[j + 1] > cy + PRECIP_TOP * 1.5 || pos[j + 1] < cy - PRECIP_TOP * 2) {
+            spawnDrop(p, i, camera, pos[j + 1] > cy + PRECIP_TOP * 1.5);
+        }
+        matrices[i * 16 + 12] = pos[j];
+        matrices[i * 16 + 13] = pos[j + 1];
+        matrices[i * 16 + 14] = pos[j + 2];
+    }
+    p.mesh.instanceMatrix.needsUpdate = true;
+}
+
+// The auto timer only runs while playing; blending, wind and precipitation always animate.
+export function updateWeather(dt, camera, running) {
+    if (!rain) return;
+    time += dt;
+    updateState(dt, running);
+    updateWind(dt);
+    nearbyTrees = getNearbyTrees(camera.position.x, camera.position.z).filter(t =>
+        Math.abs(t.x - camera.position.x) < PRECIP_RADIUS + 4 && Math.abs(t.z - camera.position.z) < PRECIP_RADIUS + 4);
+    updatePrecipitation(rain, weatherState.rain, dt, camera);
+    updatePrecipitation(snow, weatherState.snow, dt, camera);
+}
+
+// Greys out the sky state from sky.js for overcast weather and adds lightning; run after updateSky.
+export function applyWeatherToSky(sky) {
+    const darkness = weatherState.darkness;
+    _grey.copy(STORM_GREY).multiplyScalar(THREE.MathUtils.lerp(0.08, 1, sky.daylight));
+    sky.horizonColor.lerp(_grey, darkness * 0.8);
+    sky.zenithColor.lerp(_grey, darkness);
+    sky.cloudColor.lerp(_grey, darkness);
+    sky.clearSky = 1 - Math.min(1, darkness * 1.5);
+    sky.lightIntensity *= 1 - darkness * 0.7;
+    sky.shaderLightColor.multiplyScalar(1 - darkness * 0.7);
+    sky.hemiIntensity *= 1 - darkness * 0.3;
+
+    const flash = weatherState.flash;
+    if (flash > 0.01) {
+        sky.horizonColor.lerp(FLASH_COLOR, flash * 0.6);
+        sky.zenithColor.lerp(FLASH_COLOR, flash * 0.6);
+        sky.hemiIntensity += flash * 2;
+        sky.ambientIntensity += flash;
+    }
+
+    const shade = 0.3 + 0.7 * sky.daylight;
+    rain.material.color.copy(rain.color).multiplyScalar(shade);
+    snow.material.color.copy(snow.color).multiplyScalar(shade);
+}
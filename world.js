@@ -1,242 +1,216 @@
 import * as THREE from 'three';
 import { createNoise2D } from 'simplex-noise';
-import { CHUNK_SIZE, RENDER_DISTANCE, TREE_COUNT, GRASS_COUNT } from './config.js';
+import { CHUNK_SIZE, RENDER_DISTANCE } from './config.js';
 import { materials, geometries } from './resources.js';
+import { getWorldSeed, setWorldSeed, onWorldSeedChange } from './seed.js';
+import { createTerrainGenerator, TERRAIN_SEGMENTS } from './terrain.js';
+import { createHeightEdits, applyHeightBrush, serializeHeightEdits, parseHeightEdits, EDIT_STEP } from './terrainEdits.js';
+import { createChunkWorkerPool } from './chunkWorkerPool.js';
+import { createLodRings } from './lod.js';
+import { computeStructureObbs, parseStructures } from './prefabs.js';
 
 export const activeChunks = new Map();
-const noise2D = createNoise2D();
-const dummy = new THREE.Object3D();
+const heightEdits = createHeightEdits();
+// Hand-placed prefabs per chunk key, merged with each chunk's generated ruins when its mesh is built.
+const placedStructures = new Map();
+let terrain = createTerrainGenerator(createNoise2D, getWorldSeed(), heightEdits);
+const terrainEditListeners = new Set();
+const workerFailureListeners = new Set();
 const buildQueue = [];
 const buildQueueSet = new Set();
+const pendingBuilds = new Map();
+const readyChunks = [];
 const removeQueue = [];
 const removeQueueSet = new Set();
 const MAX_CHUNK_BUILDS_PER_FRAME = 1;
 const MAX_CHUNK_REMOVES_PER_FRAME = 1;
-const SMOOTH_SAMPLE_DIST = 1.5;
-const TERRAIN_SEGMENTS = 32;
-const RNG_SALT_TREES = 1013904223;
-const RNG_SALT_GRASS = 277803737;
-
-function mulberry32(seed) {
-    return function () {
-        seed |= 0;
-        seed = seed + 0x6D2B79F5 | 0;
-        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
-        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
+const CHUNK_UPLOAD_BUDGET_MS = 4;
+// Tree placement samples the slope 2 units away, so edits reach slightly past their own lattice cells.
+const EDIT_REBUILD_MARGIN = EDIT_STEP + 2;
+
+// Material names in resources.js per tree species / grass variant from biomes.js.
+const TREE_MATERIALS = {
+    pine: { trunk: 'trunkMat', leaves: 'treeMat' },
+    snowPine: { trunk: 'trunkMat', leaves: 'snowPineMat' },
+    broadleaf: { trunk: 'trunkMat', leaves: 'broadleafMat' },
+    swamp: { trunk: 'swampTrunkMat', leaves: 'swampTreeMat' },
+    cactus: { trunk: 'cactusMat', leaves: null }
+};
+const GRASS_MATERIALS = {
+    lush: { mat: 'grassMat', depth: 'grassDepthMat' },
+    dry: { mat: 'grassDryMat', depth: 'grassDryDepthMat' },
+    swamp: { mat: 'grassSwampMat', depth: 'grassDepthMat' },
+    frost: { mat: 'grassFrostMat', depth: 'grassDryDepthMat' }
+};
+
+// Heightfields, colours and instance matrices are generated off-thread; finished chunks wait in readyChunks.
+const workerPool = createChunkWorkerPool({
+    onResult(job, seed, data) {
+        if (job.lod) {
+            lodRings.onResult(job, seed, data);
+            return;
+        }
+        if (seed !== terrain.seed || pendingBuilds.get(job.key) !== job) return;
+        job.data = data;
+        readyChunks.push(job);
+    },
+    onFailure(orphanedJobs, message) {
+        lodRings.requeue(orphanedJobs.filter(job => job.lod));
+        for (const job of orphanedJobs) {
+            if (job.lod) continue;
+            if (pendingBuilds.get(job.key) !== job) continue;
+            pendingBuilds.delete(job.key);
+            if (!buildQueueSet.has(job.key)) {
+                buildQueue.push(job);
+                buildQueueSet.add(job.key);
+            }
+        }
+        for (const fn of workerFailureListeners) fn(message);
+    }
+});
+
+const lodRings = createLodRings({ getTerrain: () => terrain, workerPool });
+export const activeLodTiles = lodRings.activeTiles;
+
+export function getTerrainHeight(x, z) {
+    return terrain.getTerrainHeight(x, z);
 }
 
-function seedFromCoords(cx, cz, salt = 0) {
-    let h = cx * 374761393 + cz * 668265263 + salt * 700001;
-    h = (h ^ (h >> 13)) >>> 0;
-    return h;
+export function getTerrainColor(x, z, h, out) {
+    return terrain.getTerrainColor(x, z, h, out);
 }
 
-function rawTerrainHeight(x, z) {
-    let y = 0;
-    let n = noise2D(x * 0.008, z * 0.008);
-    y += Math.pow(1.0 - Math.abs(n), 1.5) * 15.0; 
-    y += noise2D(x * 0.04, z * 0.04) * 4.0;
-    y -= 10.0; 
-    return y;
+export function getBiomeAt(x, z) {
+    return terrain.getBiome(x, z);
 }
 
-export function getTerrainHeight(x, z) {
-    // Smooth peaks by blending neighboring samples; center weighted to keep form while softening ridges.
-    const d = SMOOTH_SAMPLE_DIST;
-    const h0 = rawTerrainHeight(x, z);
-    const h1 = rawTerrainHeight(x + d, z);
-    const h2 = rawTerrainHeight(x - d, z);
-    const h3 = rawTerrainHeight(x, z + d);
-    const h4 = rawTerrainHeight(x, z - d);
-    return (h0 * 2 + h1 + h2 + h3 + h4) / 6;
+// Surface height of the sea, river or lake at (x, z); WATER_LEVEL away from inland water.
+export function getWaterLevel(x, z) {
+    return terrain.getWaterLevel(x, z);
+}
+
+function createInstancedMesh(geometry, material, depthMaterial, matrices) {
+    const count = matrices.length / 16;
+    const mesh = new THREE.InstancedMesh(geometry, material, count);
+    mesh.instanceMatrix.array.set(matrices);
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.customDepthMaterial = depthMaterial;
+    mesh.frustumCulled = false;
+    return mesh;
+}
+
+// River and lake surface over the terrain lattice, keeping only triangles that are wet somewhere.
+function buildWaterMesh(data) {
+    const row = TERRAIN_SEGMENTS + 1;
+    const step = CHUNK_SIZE / TERRAIN_SEGMENTS;
+    const half = CHUNK_SIZE * 0.5;
+    const levels = data.waterLevels;
+    const heights = data.heights;
+    const positions = new Float32Array(row * row * 3);
+    for (let i = 0; i < row * row; i++) {
+        positions[i * 3] = (i % row) * step - half;
+        positions[i * 3 + 1] = Number.isNaN(levels[i]) ? heights[i] : levels[i];
+        positions[i * 3 + 2] = Math.floor(i / row) * step - half;
+    }
+    const indices = [];
+    const addTriangle = (a, b, c) => {
+        if (Number.isNaN(levels[a]) || Number.isNaN(levels[b]) || Number.isNaN(levels[c])) return;
+        if (levels[a] <= heights[a] && levels[b] <= heights[b] && levels[c] <= heights[c]) return;
+        indices.push(a, b, c);
+    };
+    for (let iz = 0; iz < TERRAIN_SEGMENTS; iz++) {
+        for (let ix = 0; ix < TERRAIN_SEGMENTS; ix++) {
+            const a = ix + row * iz;
+            const b = ix + row * (iz + 1);
+            const c = (ix + 1) + row * (iz + 1);
+            const d = (ix + 1) + row * iz;
+            addTriangle(a, b, d);
+            addTriangle(b, c, d);
+        }
+    }
+    if (indices.length === 0) return null;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    const mesh = new THREE.Mesh(geometry, materials.waterMat);
+    mesh.frustumCulled = false;
+    return mesh;
 }
 
-function createChunk(cx, cz, scene) {
-    const randTree = mulberry32(seedFromCoords(cx, cz, RNG_SALT_TREES));
-    const randGrass = mulberry32(seedFromCoords(cx, cz, RNG_SALT_GRASS));
+// One instanced box per prefab part; the same boxes are the chunk's structure colliders.
+function buildStructureMesh(colliders, originX, originZ) {
+    const mesh = new THREE.InstancedMesh(geometries.structureGeo, materials.structureMat, colliders.length);
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color();
+    colliders.forEach((obb, i) => {
+        const a = obb.axes;
+        matrix.set(
+            a[0] * obb.hx * 2, a[3] * obb.hy * 2, a[6] * obb.hz * 2, obb.x - originX,
+            a[1] * obb.hx * 2, a[4] * obb.hy * 2, a[7] * obb.hz * 2, obb.y,
+            a[2] * obb.hx * 2, a[5] * obb.hy * 2, a[8] * obb.hz * 2, obb.z - originZ,
+            0, 0, 0, 1
+        );
+        mesh.setMatrixAt(i, matrix);
+        // Small per-part shade variation so stacked stones read apart under flat shading.
+        const shade = 0.85 + 0.15 * Math.abs(Math.sin(obb.x * 12.9898 + obb.z * 78.233));
+        mesh.setColorAt(i, color.setScalar(shade));
+    });
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.customDepthMaterial = materials.depthMat;
+    mesh.frustumCulled = false;
+    return mesh;
+}
 
+function buildChunkMesh(data, scene) {
+    const { cx, cz } = data;
     const group = new THREE.Group();
     
     const geometry = new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE, TERRAIN_SEGMENTS, TERRAIN_SEGMENTS);
     geometry.rotateX(-Math.PI / 2);
     const posAttr = geometry.attributes.position;
-    
-    const colors = [];
-    const color = new THREE.Color();
-    const c1 = new THREE.Color(0xd2b48c);
-    const c2 = new THREE.Color(0x4a6b36);
-    const c3 = new THREE.Color(0x1a330a);
-    const c4 = new THREE.Color(0x8a8a8a);
-    let minY = Infinity;
-    let maxY = -Infinity;
-
     for (let i = 0; i < posAttr.count; i++) {
-        const x = posAttr.getX(i) + cx * CHUNK_SIZE;
-        const z = posAttr.getZ(i) + cz * CHUNK_SIZE;
-        const h = getTerrainHeight(x, z);
-        posAttr.setY(i, h);
-        if (h < minY) minY = h;
-        if (h > maxY) maxY = h;
-
-        if (h < -4.0) {
-             color.copy(c1);
-        } else if (h < 0.0) {
-             const t = (h - (-4.0)) / 4.0;
-             color.lerpColors(c1, c2, t);
-        } else if (h < 8.0) {
-             const t = h / 8.0;
-             color.lerpColors(c2, c3, t);
-        } else {
-             const t = Math.min(1.0, (h - 8.0) / 10.0);
-             color.lerpColors(c3, c4, t);
-        }
-        colors.push(color.r, color.g, color.b);
+        posAttr.setY(i, data.heights[i]);
     }
-    
-    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    geometry.computeVertexNormals();
+    geometry.attributes.normal.array.set(data.normals);
+    geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
     geometry.computeBoundingBox();
-    const terrain = new THREE.Mesh(geometry, materials.groundMat);
-    terrain.receiveShadow = true;
-    terrain.castShadow = true; // Terrain self-shadowing
-    terrain.customDepthMaterial = materials.depthMat;
-    terrain.frustumCulled = false;
-    group.add(terrain);
-
-    const treeBudget = TREE_COUNT;
-    const trunkMesh = new THREE.InstancedMesh(geometries.trunkGeo, materials.trunkMat, treeBudget);
-    trunkMesh.castShadow = true;
-    trunkMesh.receiveShadow = true;
-    trunkMesh.customDepthMaterial = materials.depthMat;
-    trunkMesh.frustumCulled = false;
-
-    const leavesMesh = new THREE.InstancedMesh(geometries.leavesGeo, materials.treeMat, treeBudget);
-    leavesMesh.castShadow = true;
-    leavesMesh.receiveShadow = true;
-    leavesMesh.customDepthMaterial = materials.depthMat;
-    leavesMesh.frustumCulled = false;
-
-    const grassBudget = GRASS_COUNT;
-    const grassMesh = new THREE.InstancedMesh(geometries.grassGeo, materials.grassMat, grassBudget);
-    grassMesh.castShadow = true;
-    grassMesh.receiveShadow = true;
-    grassMesh.customDepthMaterial = materials.grassDepthMat;
-    grassMesh.frustumCulled = false;
-
-    const grassDryMesh = new THREE.InstancedMesh(geometries.grassGeo, materials.grassDryMat, grassBudget);
-    grassDryMesh.castShadow = true;
-    grassDryMesh.receiveShadow = true;
-    grassDryMesh.customDepthMaterial = materials.grassDryDepthMat;
-    grassDryMesh.frustumCulled = false;
-    
-    const existingTrees = [];
-
-    let treeIdx = 0;
-    for (let i = 0; i < TREE_COUNT * 3; i++) { 
-        if (treeIdx >= TREE_COUNT) break;
-
-        const rx = (randTree() - 0.5) * CHUNK_SIZE;
-        const rz = (randTree() - 0.5) * CHUNK_SIZE;
-        const wx = cx * CHUNK_SIZE + rx;
-        const wz = cz * CHUNK_SIZE + rz;
-        const h = getTerrainHeight(wx, wz);
-
-        const density = noise2D(wx * 0.02, wz * 0.02);
-
-        if (density < 0.2) continue; 
-
-        let tooClose = false;
-        for (let t of existingTrees) {
-            const dx = t.x - rx;
-            const dz = t.z - rz;
-            if (dx*dx + dz*dz < 25) { 
-                tooClose = true;
-                break;
-            }
-        }
-        if (tooClose) continue;
-
-        const h2 = getTerrainHeight(wx + 2, wz);
-        const slope = Math.abs(h - h2);
-
-        if (h > -4 && slope < 1.5) {
-            dummy.position.set(rx, h - 0.2, rz); 
-            const scale = 0.8 + randTree() * 0.6;
-            const heightScale = scale * (0.8 + randTree() * 0.4);
-            dummy.scale.set(scale, heightScale, scale);
-            dummy.rotation.set(0, randTree() * Math.PI, 0);
-            dummy.updateMatrix();
-            
-            trunkMesh.setMatrixAt(treeIdx, dummy.matrix);
-            leavesMesh.setMatrixAt(treeIdx, dummy.matrix);
-            existingTrees.push({
-                x: rx + cx * CHUNK_SIZE, 
-                z: rz + cz * CHUNK_SIZE,
-                s: scale,
-                hs: heightScale
-            }); 
-            treeIdx++;
-        }
-    }
-
-    let grassIdx = 0;
-    let grassDryIdx = 0;
-    for (let i = 0; i < GRASS_COUNT; i++) {
-        const rx = (randGrass() - 0.5) * CHUNK_SIZE;
-        const rz = (randGrass() - 0.5) * CHUNK_SIZE;
-        const wx = cx * CHUNK_SIZE + rx;
-        const wz = cz * CHUNK_SIZE + rz;
-        const h = getTerrainHeight(wx, wz);
-
-        if (h >= 0.0) {
-            const slope = Math.abs(getTerrainHeight(wx + 0.5, wz) - h) + Math.abs(getTerrainHeight(wx, wz + 0.5) - h);
-            const embed = 0.05 + Math.min(0.18, slope * 0.08);
-            dummy.position.set(rx, h - embed, rz);
-            const s = 0.8 + randGrass() * 0.5;
-            dummy.scale.set(s, s, s);
-            dummy.rotation.set(0, randGrass() * Math.PI, 0);
-            dummy.updateMatrix();
-            grassMesh.setMatrixAt(grassIdx, dummy.matrix);
-            grassIdx++;
-        } else if (h > -5.0) {
-            // Sand / beach zone uses dry grass
-            const slope = Math.abs(getTerrainHeight(wx + 0.5, wz) - h) + Math.abs(getTerrainHeight(wx, wz + 0.5) - h);
-            const embed = 0.05 + Math.min(0.18, slope * 0.08);
-            dummy.position.set(rx, h - embed, rz);
-            const s = 0.8 + randGrass() * 0.5;
-            dummy.scale.set(s, s, s);
-            dummy.rotation.set(0, randGrass() * Math.PI, 0);
-            dummy.updateMatrix();
-            grassDryMesh.setMatrixAt(grassDryIdx, dummy.matrix);
-            grassDryIdx++;
+    const terrainMesh = new THREE.Mesh(geometry, materials.groundMat);
+    terrainMesh.receiveShadow = true;
+    terrainMesh.castShadow = true; // Terrain self-shadowing
+    terrainMesh.customDepthMaterial = materials.depthMat;
+    terrainMesh.frustumCulled = false;
+    group.add(terrainMesh);
+
+    for (const batch of data.treeBatches) {
+        const mats = TREE_MATERIALS[batch.species];
+        group.add(createInstancedMesh(geometries.trunkGeo, materials[mats.trunk], materials.depthMat, batch.matrices));
+        if (mats.leaves) {
+            group.add(createInstancedMesh(geometries.leavesGeo, materials[mats.leaves], materials.depthMat, batch.matrices));
         }
     }
-
-    if (treeIdx > 0) {
-        trunkMesh.count = treeIdx;
-        leavesMesh.count = treeIdx;
-        trunkMesh.instanceMatrix.needsUpdate = true;
-        leavesMesh.instanceMatrix.needsUpdate = true;
-        group.add(trunkMesh);
-        group.add(leavesMesh);
-    }
-    if (grassIdx > 0) {
-        grassMesh.count = grassIdx;
-        grassMesh.instanceMatrix.needsUpdate = true;
-        group.add(grassMesh);
+    for (const batch of data.grassBatches) {
+        const mats = GRASS_MATERIALS[batch.variant];
+        group.add(createInstancedMesh(geometries.grassGeo, materials[mats.mat], materials[mats.depth], batch.matrices));
     }
-    if (grassDryIdx > 0) {
-        grassDryMesh.count = grassDryIdx;
-        grassDryMesh.instanceMatrix.needsUpdate = true;
-        group.add(grassDryMesh);
+    const waterMesh = data.waterLevels ? buildWaterMesh(data) : null;
+    if (waterMesh) group.add(waterMesh);
+
+    const colliders = [];
+    for (const structure of data.structures) computeStructureObbs(structure, colliders);
+    for (const structure of placedStructures.get(`${cx},${cz}`) ?? []) computeStructureObbs(structure, colliders);
+    let maxY = data.maxY;
+    if (colliders.length > 0) {
+        group.add(buildStructureMesh(colliders, cx * CHUNK_SIZE, cz * CHUNK_SIZE));
+        for (const obb of colliders) maxY = Math.max(maxY, obb.y + Math.hypot(obb.hx, obb.hy, obb.hz));
     }
 
-    group.userData = { trees: existingTrees };
+    group.userData = { trees: data.trees, colliders };
     const half = CHUNK_SIZE * 0.5;
     const bounds = new THREE.Box3(
-        new THREE.Vector3(cx * CHUNK_SIZE - half, minY - 2, cz * CHUNK_SIZE - half),
+        new THREE.Vector3(cx * CHUNK_SIZE - half, data.minY - 2, cz * CHUNK_SIZE - half),
         new THREE.Vector3(cx * CHUNK_SIZE + half, maxY + 2, cz * CHUNK_SIZE + half)
     );
     group.userData.bounds = bounds;
@@ -245,20 +219,219 @@ function createChunk(cx, cz, scene) {
     return group;
 }
 
+// Rebuild jobs swap the new mesh in for the old one so edited chunks never blink out.
+function placeChunk(job, data, scene) {
+    const existing = activeChunks.get(job.key);
+    if (job.rebuild ? !existing : existing) return false;
+    const mesh = buildChunkMesh(data, scene);
+    if (existing) disposeChunk(existing);
+    activeChunks.set(job.key, mesh);
+    return true;
+}
+
+function uploadReadyChunks(scene) {
+    if (readyChunks.length > 1) {
+        readyChunks.sort((a, b) => a.dist2 - b.dist2);
+    }
+    const start = performance.now();
+    let uploaded = 0;
+    while (readyChunks.length > 0) {
+        if (uploaded > 0 && performance.now() - start > CHUNK_UPLOAD_BUDGET_MS) break;
+        const job = readyChunks.shift();
+        // Superseded by a rebuild queued after it was generated; that build owns the key now.
+        if (pendingBuilds.get(job.key) !== job) continue;
+        pendingBuilds.delete(job.key);
+        if (placeChunk(job, job.data, scene)) uploaded++;
+    }
+    return uploaded;
+}
+
 const _lastUpdatePos = new THREE.Vector3(Infinity, Infinity, Infinity);
 
+function disposeChunk(mesh) {
+    mesh.removeFromParent();
+    mesh.traverse((obj) => {
+        if (obj.geometry) obj.geometry.dispose();
+    });
+}
+
+function resetChunks() {
+    for (const mesh of activeChunks.values()) disposeChunk(mesh);
+    activeChunks.clear();
+    buildQueue.length = 0;
+    buildQueueSet.clear();
+    pendingBuilds.clear();
+    readyChunks.length = 0;
+    lodRings.clear();
+    removeQueue.length = 0;
+    removeQueueSet.clear();
+    _lastUpdatePos.set(Infinity, Infinity, Infinity);
+}
+
+function notifyTerrainEdited(region) {
+    for (const fn of terrainEditListeners) fn(region);
+}
+
+// Edits belong to the world they were sculpted in, so a new seed starts from clean terrain.
+onWorldSeedChange((seed) => {
+    heightEdits.clear();
+    placedStructures.clear();
+    if (workerPool) workerPool.broadcast({ type: 'edits', reset: true, chunks: [] });
+    terrain = createTerrainGenerator(createNoise2D, seed, heightEdits);
+    resetChunks();
+});
+
+// Called with the edited world-space rectangle, or null when every edit was replaced.
+export function onTerrainEdited(fn) {
+    terrainEditListeners.add(fn);
+    return () => terrainEditListeners.delete(fn);
+}
+
+// Called with the reason once the chunk workers have given up and chunks build on the main thread.
+export function onChunkWorkersFailed(fn) {
+    workerFailureListeners.add(fn);
+    return () => workerFailureListeners.delete(fn);
+}
+
+function queueChunkRebuild(cx, cz) {
+    const key = `${cx},${cz}`;
+    const queued = buildQueueSet.has(key) ? buildQueue.find(job => job.key === key) : null;
+    if (queued) {
+        queued.rebuild = activeChunks.has(key);
+        queued.dist2 = -1;
+        return;
+    }
+    // An in-flight or finished-but-not-uploaded build was generated before this edit; drop its result and ask again.
+    if (!activeChunks.has(key) && !pendingBuilds.has(key)) return;
+    pendingBuilds.delete(key);
+    const readyIndex = readyChunks.findIndex(job => job.key === key);
+    if (readyIndex !== -1) readyChunks.splice(readyIndex, 1);
+    buildQueue.push({ key, cx, cz, dist2: -1, rebuild: activeChunks.has(key) });
+    buildQueueSet.add(key);
+}
+
+// brush: { mode, x, z, radius, amount } as in terrainEdits.applyHeightBrush.
+export function applyTerrainBrush(brush) {
+    const changed = applyHeightBrush(heightEdits, terrain.getTerrainHeight, brush);
+    if (changed.size === 0) return false;
+    if (workerPool) {
+        const chunks = [...changed].map(key => [key, heightEdits.getChunk(key).slice()]);
+        workerPool.broadcast({ type: 'edits', chunks });
+    }
+
+    const reach = brush.radius + EDIT_REBUILD_MARGIN;
+    const half = CHUNK_SIZE * 0.5;
+    const minCx = Math.floor((brush.x - reach + half) / CHUNK_SIZE);
+    const maxCx = Math.floor((brush.x + reach + half) / CHUNK_SIZE);
+    const minCz = Math.floor((brush.z - reach + half) / CHUNK_SIZE);
+    const maxCz = Math.floor((brush.z + reach + half) / CHUNK_SIZE);
+    for (let cx = minCx; cx <= maxCx; cx++) {
+        for (let cz = minCz; cz <= maxCz; cz++) queueChunkRebuild(cx, cz);
+    }
+    notifyTerrainEdited({
+        minX: brush.x - brush.radius - EDIT_STEP,
+        maxX: brush.x + brush.radius + EDIT_STEP,
+        minZ: brush.z - brush.radius - EDIT_STEP,
+        maxZ: brush.z + brush.radius + EDIT_STEP
+    });
+    return true;
+}
+
+function chunkKeyAt(x, z) {
+    const half = CHUNK_SIZE * 0.5;
+    return [Math.floor((x + half) / CHUNK_SIZE), Math.floor((z + half) / CHUNK_SIZE)];
+}
+
+// structure: { type, x, y, z, yaw } with type from prefabs.js PREFABS.
+export function placeStructure(structure) {
+    const [cx, cz] = chunkKeyAt(structure.x, structure.z);
+    const key = `${cx},${cz}`;
+    if (!placedStructures.has(key)) placedStructures.set(key, []);
+    placedStructures.get(key).push(structure);
+    queueChunkRebuild(cx, cz);
+}
+
+// Removes the hand-placed structure closest to (x, z) within `radius`; generated ruins stay.
+export function removeStructureNear(x, z, radius) {
+    let best = null;
+    let bestDist2 = radius * radius;
+    for (const [key, list] of placedStructures) {
+        list.forEach((s, index) => {
+            const d2 = (s.x - x) * (s.x - x) + (s.z - z) * (s.z - z);
+            if (d2 <= bestDist2) {
+                best = { key, list, index };
+                bestDist2 = d2;
+            }
+        });
+    }
+    if (!best) return false;
+    best.list.splice(best.index, 1);
+    if (best.list.length === 0) placedStructures.delete(best.key);
+    const [cx, cz] = best.key.split(',').map(Number);
+    queueChunkRebuild(cx, cz);
+    return true;
+}
+
+export function hasTerrainEdits() {
+    return heightEdits.size > 0 || placedStructures.size > 0;
+}
+
+export function exportTerrainEdits() {
+    const data = serializeHeightEdits(heightEdits, terrain.seed);
+    data.structures = [...placedStructures.values()].flat();
+    return data;
+}
+
+// Switches to the file's seed if needed, then replaces all edits and rebuilds the world around them.
+export function importTerrainEdits(data) {
+    const parsed = parseHeightEdits(data);
+    const structures = parseStructures(data.structures);
+    setWorldSeed(parsed.seed);
+    replaceTerrainEdits(parsed.chunks, structures);
+}
+
+export function clearTerrainEdits() {
+    replaceTerrainEdits([], []);
+}
+
+function replaceTerrainEdits(chunks, structures) {
+    heightEdits.clear();
+    for (const [key, grid] of chunks) heightEdits.setChunk(key, grid);
+    placedStructures.clear();
+    for (const structure of structures) {
+        const key = chunkKeyAt(structure.x, structure.z).join(',');
+        if (!placedStructures.has(key)) placedStructures.set(key, []);
+        placedStructures.get(key).push(structure);
+    }
+    if (workerPool) {
+        workerPool.broadcast({ type: 'edits', reset: true, chunks: chunks.map(([key, grid]) => [key, grid.slice()]) });
+    }
+    resetChunks();
+    notifyTerrainEdited(null);
+}
+
 export function updateChunks(playerPos, scene) {
     // Always process queues to ensure smooth loading even if player stops
     if (buildQueue.length > 1) {
         buildQueue.sort((a, b) => a.dist2 - b.dist2);
     }
     let built = 0;
-    while (built < MAX_CHUNK_BUILDS_PER_FRAME && buildQueue.length > 0) {
-        const job = buildQueue.shift();
-        buildQueueSet.delete(job.key);
-        if (activeChunks.has(job.key)) continue;
-        activeChunks.set(job.key, createChunk(job.cx, job.cz, scene));
-        built++;
+    if (workerPool && workerPool.isActive()) {
+        while (buildQueue.length > 0 && workerPool.hasCapacity()) {
+            const job = buildQueue.shift();
+            buildQueueSet.delete(job.key);
+            if ((activeChunks.has(job.key) && !job.rebuild) || pendingBuilds.has(job.key)) continue;
+            if (workerPool.submit(job, terrain.seed)) pendingBuilds.set(job.key, job);
+        }
+        built = uploadReadyChunks(scene);
+    } else {
+        while (built < MAX_CHUNK_BUILDS_PER_FRAME && buildQueue.length > 0) {
+            const job = buildQueue.shift();
+            buildQueueSet.delete(job.key);
+            if (activeChunks.has(job.key) !== Boolean(job.rebuild)) continue;
+            placeChunk(job, terrain.generateChunkData(job.cx, job.cz), scene);
+            built++;
+        }
     }
 
     if (removeQueue.length > 1) {
@@ -268,24 +441,25 @@ export function updateChunks(playerPos, scene) {
     while (removed < MAX_CHUNK_REMOVES_PER_FRAME && removeQueue.length > 0) {
         const job = removeQueue.shift();
         removeQueueSet.delete(job.key);
-        const mesh = job.mesh || activeChunks.get(job.key);
+        const mesh = activeChunks.get(job.key);
         if (!mesh) continue;
-        scene.remove(mesh);
-        mesh.traverse((obj) => {
-            if (obj.geometry) obj.geometry.dispose();
-        });
+        disposeChunk(mesh);
         activeChunks.delete(job.key);
         removed++;
     }
 
-    // Only check for new chunks if player has moved enough
-    if (playerPos.distanceToSquared(_lastUpdatePos) < 16.0) { // 4 units distance
-        return built > 0 || removed > 0;
-    }
-    _lastUpdatePos.copy(playerPos);
+    const fullDetailPending = buildQueue.length > 0 || pendingBuilds.size > 0;
+    lodRings.update(playerPos, scene, fullDetailPending);
 
     const currentChunkX = Math.floor(playerPos.x / CHUNK_SIZE);
     const currentChunkZ = Math.floor(playerPos.z / CHUNK_SIZE);
+    // Only check for new chunks if player has moved enough, or into another chunk, where the LOD rings
+    // have already moved their inner edge.
+    const sameChunk = Math.floor(_lastUpdatePos.x / CHUNK_SIZE) === currentChunkX && Math.floor(_lastUpdatePos.z / CHUNK_SIZE) === currentChunkZ;
+    if (sameChunk && playerPos.distanceToSquared(_lastUpdatePos) < 16.0) { // 4 units distance
+        return built > 0 || removed > 0;
+    }
+    _lastUpdatePos.copy(playerPos);
     const neededKeys = new Set();
 
     for (let x = -RENDER_DISTANCE; x <= RENDER_DISTANCE; x++) {
@@ -295,7 +469,7 @@ export function updateChunks(playerPos, scene) {
             const key = `${cx},${cz}`;
             neededKeys.add(key);
 
-            if (!activeChunks.has(key) && !buildQueueSet.has(key)) {
+            if (!activeChunks.has(key) && !buildQueueSet.has(key) && !pendingBuilds.has(key)) {
                 const dist2 = x * x + z * z;
                 buildQueue.push({ key, cx, cz, dist2 });
                 buildQueueSet.add(key);
@@ -312,16 +486,14 @@ export function updateChunks(playerPos, scene) {
         }
     }
 
+    // Anything outside the full-detail square is where the first LOD ring starts, so it goes.
     for (const [key, mesh] of activeChunks) {
-        if (removeQueueSet.has(key)) continue;
+        if (removeQueueSet.has(key) || neededKeys.has(key)) continue;
         const [kx, kz] = key.split(',').map(Number);
         const dx = kx - currentChunkX;
         const dz = kz - currentChunkZ;
-        const dist2 = dx * dx + dz * dz;
-        if (dist2 > (RENDER_DISTANCE + 1) * (RENDER_DISTANCE + 1)) {
-            removeQueue.push({ key, mesh, dist2 });
-            removeQueueSet.add(key);
-        }
+        removeQueue.push({ key, dist2: dx * dx + dz * dz });
+        removeQueueSet.add(key);
     }
     
     return built > 0 || removed > 0;